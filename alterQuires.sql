@@ -1 +1,170 @@
+-- Upgrades a database created before the schema migrations existed (src/database/migrations).
+-- Apply the statements below once, then run `npm run migrate`: the baseline migrations use
+-- CREATE TABLE IF NOT EXISTS and only record themselves as run on such a database.
+-- New schema changes go into a new migration file instead of this file.
 
+-- Access token expiry and refresh token rotation
+ALTER TABLE tblUsers
+    ADD COLUMN userAccessTokenExpiry DATETIME NULL AFTER userAccessToken,
+    ADD COLUMN userRefreshTokenExpiry DATETIME NULL AFTER userRefreshToken;
+
+-- Salted scrypt password hashes (legacy SHA-1 hashes are upgraded on login)
+ALTER TABLE tblUsers
+    MODIFY COLUMN userPassword VARCHAR(255) NOT NULL;
+
+-- Bind login keys to their OTP and count wrong OTP attempts
+ALTER TABLE tblUserVerificationDetails
+    ADD COLUMN verificationLinkedId INT NULL AFTER verificationValue,
+    ADD COLUMN verificationAttempts INT NOT NULL DEFAULT 0 AFTER verificationLinkedId;
+
+-- Per-device login sessions; tokens move from tblUsers to tblUserSessions (stored as SHA-256 hashes)
+CREATE TABLE tblUserSessions (
+    sessionId INT NOT NULL AUTO_INCREMENT,
+    sessionUserId INT NOT NULL,
+    sessionAccessToken CHAR(64) NOT NULL,
+    sessionAccessTokenExpiry DATETIME NOT NULL,
+    sessionRefreshToken CHAR(64) NOT NULL,
+    sessionRefreshTokenExpiry DATETIME NOT NULL,
+    sessionIp VARCHAR(45) NULL,
+    sessionUserAgent VARCHAR(255) NULL,
+    sessionCreatedDate DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    sessionLastSeenDate DATETIME NULL,
+    sessionStatus ENUM('0', '1') NOT NULL DEFAULT '1',
+    PRIMARY KEY (sessionId),
+    UNIQUE KEY uqSessionAccessToken (sessionAccessToken),
+    UNIQUE KEY uqSessionRefreshToken (sessionRefreshToken),
+    KEY idxSessionUserId (sessionUserId)
+);
+
+ALTER TABLE tblUsers
+    DROP COLUMN userAccessToken,
+    DROP COLUMN userAccessTokenExpiry,
+    DROP COLUMN userRefreshToken,
+    DROP COLUMN userRefreshTokenExpiry;
+
+-- Role based access control: each role stores a JSON list of permissions ("*" grants everything, "money.*" a whole group)
+ALTER TABLE tblUserRoles
+    ADD COLUMN rolePermissions TEXT NULL AFTER roleName;
+
+UPDATE tblUserRoles SET rolePermissions = '["*"]' WHERE roleId = 1;
+
+-- Every other existing role keeps the access it had before the permission checks, listed permission by permission
+-- so it does not pick up permissions added later; narrow the list down per role afterwards
+UPDATE tblUserRoles
+SET rolePermissions = '["dashboard.read", "sms.read", "sms.write", "email.read", "email.send", "whatsapp.read", "whatsapp.send", "money.read", "money.write", "event.trigger", "payment.read", "payment.link", "payment.payout", "contact.read", "nas.read", "nas.write", "nas.delete", "logs.clear"]'
+WHERE roleId <> 1 AND rolePermissions IS NULL;
+
+-- Brute-force protection counters for the login endpoints (keys are "ip:<address>" or "user:<login>")
+CREATE TABLE tblAuthThrottles (
+    throttleId INT NOT NULL AUTO_INCREMENT,
+    throttleKey VARCHAR(191) NOT NULL,
+    throttleHits INT NOT NULL DEFAULT 0,
+    throttleWindowStart DATETIME NULL,
+    throttleFailures INT NOT NULL DEFAULT 0,
+    throttleLastFailureDate DATETIME NULL,
+    throttleLockedUntil DATETIME NULL,
+    PRIMARY KEY (throttleId),
+    UNIQUE KEY uqThrottleKey (throttleKey)
+);
+
+-- Password reset email (verificationType 3 in tblUserVerificationDetails holds the hashed reset tokens)
+INSERT INTO tblEmailTemplates (templateId, templateSubject, templateBody, templateIsActive)
+VALUES (6, 'Reset your password', '<p>Hi {{ mailBodyData.name }},</p><p>Use the link below to reset your password. It is valid for {{ mailBodyData.validity }} minutes and can be used once.</p><p><a href="{{ mailBodyData.passwordResetLink }}">Reset password</a></p><p>If you did not request this, you can ignore this email.</p>', '1');
+
+-- Per-user login second factor: '0' emailed OTP, '1' authenticator (TOTP) code
+ALTER TABLE tblUsers
+    ADD COLUMN userLoginFactor ENUM('0', '1') NOT NULL DEFAULT '0' AFTER user2faQr;
+
+-- 2FA enrollment: a new secret stays pending until it is confirmed with a first code
+ALTER TABLE tblUsers
+    ADD COLUMN user2faPendingSecret VARCHAR(255) NULL AFTER user2faQr,
+    ADD COLUMN user2faPendingQr VARCHAR(255) NULL AFTER user2faPendingSecret;
+
+-- One-time 2FA recovery codes (SHA-256 hashes); recoveryCodeStatus '1' active, '2' used, '0' revoked
+CREATE TABLE tblUser2faRecoveryCodes (
+    recoveryCodeId INT NOT NULL AUTO_INCREMENT,
+    recoveryCodeUserId INT NOT NULL,
+    recoveryCodeHash CHAR(64) NOT NULL,
+    recoveryCodeStatus ENUM('0', '1', '2') NOT NULL DEFAULT '1',
+    recoveryCodeUsedDate DATETIME NULL,
+    recoveryCodeCreatedDate TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (recoveryCodeId),
+    KEY idxRecoveryCodeUser (recoveryCodeUserId)
+);
+
+-- API keys for machine-to-machine callers (SHA-256 hashes); scopes and IP allowlist are JSON lists
+CREATE TABLE tblApiKeys (
+    apiKeyId INT NOT NULL AUTO_INCREMENT,
+    apiKeyUserId INT NOT NULL,
+    apiKeyName VARCHAR(100) NOT NULL,
+    apiKeyPrefix VARCHAR(16) NOT NULL,
+    apiKeyHash CHAR(64) NOT NULL,
+    apiKeyScopes TEXT NOT NULL,
+    apiKeyAllowedIps TEXT NULL,
+    apiKeyExpiry DATETIME NULL,
+    apiKeyLastUsedDate DATETIME NULL,
+    apiKeyLastUsedIp VARCHAR(45) NULL,
+    apiKeyStatus ENUM('0', '1') NOT NULL DEFAULT '1',
+    apiKeyCreatedDate TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (apiKeyId),
+    UNIQUE KEY uqApiKeyHash (apiKeyHash)
+);
+
+-- Append-only security audit log; the application only ever inserts into this table
+CREATE TABLE tblAuditLogs (
+    auditId BIGINT NOT NULL AUTO_INCREMENT,
+    auditActorUserId INT NULL,
+    auditActorApiKeyId INT NULL,
+    auditAction VARCHAR(64) NOT NULL,
+    auditTarget VARCHAR(255) NULL,
+    auditIp VARCHAR(45) NULL,
+    auditUserAgent VARCHAR(255) NULL,
+    auditOutcome ENUM('success', 'failure') NOT NULL,
+    auditDetails TEXT NULL,
+    auditCreatedDate DATETIME NOT NULL,
+    PRIMARY KEY (auditId),
+    KEY idxAuditAction (auditAction),
+    KEY idxAuditActor (auditActorUserId),
+    KEY idxAuditCreatedDate (auditCreatedDate)
+);
+
+-- Known login devices (fingerprint = SHA-256 of "ip|user agent") and their optional trust token hash
+CREATE TABLE tblUserDevices (
+    deviceId INT NOT NULL AUTO_INCREMENT,
+    deviceUserId INT NOT NULL,
+    deviceFingerprint CHAR(64) NOT NULL,
+    deviceIp VARCHAR(45) NULL,
+    deviceUserAgent VARCHAR(255) NULL,
+    deviceTrustToken CHAR(64) NULL,
+    deviceTrustedUntil DATETIME NULL,
+    deviceFirstSeenDate DATETIME NOT NULL,
+    deviceLastSeenDate DATETIME NOT NULL,
+    deviceStatus ENUM('0', '1') NOT NULL DEFAULT '1',
+    PRIMARY KEY (deviceId),
+    KEY idxDeviceUserFingerprint (deviceUserId, deviceFingerprint),
+    UNIQUE KEY uqDeviceTrustToken (deviceTrustToken)
+);
+
+-- New device login alert email
+INSERT INTO tblEmailTemplates (templateId, templateSubject, templateBody, templateIsActive)
+VALUES (7, 'New login to your account', '<p>Hi {{ mailBodyData.name }},</p><p>Your account was just accessed from a new device.</p><p>Time: {{ mailBodyData.time }}<br>IP address: {{ mailBodyData.ip }}<br>Device: {{ mailBodyData.userAgent }}</p><p>If this was not you, reset your password and sign out of all sessions right away.</p>', '1');
+
+-- New device login alert on WhatsApp (variables: name, IP address, time).
+-- Set templateWhatsappClientIdentifier to the approved Twilio content SID, then activate the template.
+INSERT INTO tblWhatsappTemplates (templateName, templateWhatsappClientIdentifier, templateVariableCount, templateIsActive)
+VALUES ('new_device_login', '', 3, '0');
+
+-- User management: deactivated users cannot log in and their sessions stop working
+ALTER TABLE tblUsers
+    ADD COLUMN userIsActive ENUM('0', '1') NOT NULL DEFAULT '1' AFTER userLoginFactor;
+
+-- Invite email for new users (verificationType 4 in tblUserVerificationDetails holds the hashed invite tokens)
+INSERT INTO tblEmailTemplates (templateId, templateSubject, templateBody, templateIsActive)
+VALUES (8, 'You have been invited', '<p>Hi {{ mailBodyData.name }},</p><p>An account has been created for you. Use the link below to choose your password. It is valid for {{ mailBodyData.validity }} hours and can be used once.</p><p><a href="{{ mailBodyData.passwordResetLink }}">Set your password</a></p>', '1');
+
+-- Idempotent IMAP imports: an email is stored once per message ID.
+-- Remove existing duplicates first, keeping the oldest row of each message.
+DELETE m1 FROM tblMails m1
+    JOIN tblMails m2 ON m1.mailMessageId = m2.mailMessageId AND m1.mailId > m2.mailId;
+ALTER TABLE tblMails
+    ADD UNIQUE KEY uqMailMessageId (mailMessageId);
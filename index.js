@@ -7,9 +7,17 @@ const express = require('express'); // Web framework for Node.js
 // Create an instance of an Express application
 const app = express(); // Express application instance
 
+// Only read X-Forwarded-For from the reverse proxies named in TRUST_PROXY (addresses, subnets or a hop count),
+// otherwise req.ip is the address of the connecting socket and cannot be set by the client
+const trustProxy = process.env.TRUST_PROXY || false; // Trust no proxy by default
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy); // Express proxy trust setting
+
 // Import the routes for your application from the specified file
 const appRoute = require('./src/routes/routes'); // Your route handlers
 
+// Import the MySQL utility to close its connection pool on shutdown
+const MySQL = require('./src/utils/db/Mysql'); // Database utility
+
 // Import the custom error-handling middleware
 const errorMiddleware = require('./src/middleware/errorMiddleware'); // Middleware for handling errors
 
@@ -23,7 +31,17 @@ app.use(errorMiddleware); // Error-handling middleware
 const PORT = process.env.PORT || 3000; // Port configuration
 
 // Start the server and listen for incoming requests on the specified port
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     // Log a message indicating that the server is running and on which port
     console.log(`Server is running on port ${PORT}`); // Server start message
 });
+
+// Stop accepting requests and close the database pool on shutdown
+const shutdown = () => {
+    server.close(async () => {
+        await MySQL.closePool(); // Close the pooled database connections
+        process.exit(0);
+    });
+};
+process.on('SIGTERM', shutdown); // Sent by process managers and containers
+process.on('SIGINT', shutdown); // Sent by Ctrl+C
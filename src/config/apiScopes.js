@@ -0,0 +1,7 @@
+const apiScopes = {
+    EVENT_TRIGGER: "event:trigger",
+    SMS_INGEST: "sms:ingest",
+};
+
+// Export the API key scope names as a constant for easy access
+module.exports = apiScopes;
@@ -0,0 +1,30 @@
+const auditActions = {
+    LOGIN: "auth.login",
+    OTP_SEND: "auth.otp.send",
+    PASSWORD_FORGOT: "auth.password.forgot",
+    PASSWORD_RESET: "auth.password.reset",
+    PASSWORD_CHANGE: "auth.password.change",
+    TWOFA_ENROLL: "2fa.enroll",
+    TWOFA_VERIFY: "2fa.verify",
+    TWOFA_LOGIN_FACTOR: "2fa.loginFactor",
+    TWOFA_RECOVERY_CODES: "2fa.recoveryCodes",
+    TWOFA_DISABLE: "2fa.disable",
+    PAYMENT_LINK_CREATE: "payment.link.create",
+    PAYOUT_CREATE: "payment.payout.create",
+    TRANSECTION_UPDATE: "money.transection.update",
+    TRANSECTION_DELETE: "money.transection.delete",
+    TRANSECTION_TRANSFER: "money.transection.transfer",
+    NAS_FILE_DELETE: "nas.file.delete",
+    NAS_FOLDER_DELETE: "nas.folder.delete",
+    USER_CREATE: "user.create",
+    USER_UPDATE: "user.update",
+    USER_ROLE_ASSIGN: "user.role.assign",
+    USER_DEACTIVATE: "user.deactivate",
+    USER_ACTIVATE: "user.activate",
+    USER_PASSWORD_RESET: "user.password.reset",
+    APIKEY_CREATE: "apikey.create",
+    APIKEY_REVOKE: "apikey.revoke",
+};
+
+// Export the audit action names as a constant for easy access
+module.exports = auditActions;
@@ -0,0 +1,27 @@
+const permissions = {
+    DASHBOARD_READ: "dashboard.read",
+    SMS_READ: "sms.read",
+    SMS_WRITE: "sms.write",
+    EMAIL_READ: "email.read",
+    EMAIL_SEND: "email.send",
+    WHATSAPP_READ: "whatsapp.read",
+    WHATSAPP_SEND: "whatsapp.send",
+    MONEY_READ: "money.read",
+    MONEY_WRITE: "money.write",
+    EVENT_TRIGGER: "event.trigger",
+    PAYMENT_READ: "payment.read",
+    PAYMENT_LINK: "payment.link",
+    PAYMENT_PAYOUT: "payment.payout",
+    CONTACT_READ: "contact.read",
+    NAS_READ: "nas.read",
+    NAS_WRITE: "nas.write",
+    NAS_DELETE: "nas.delete",
+    LOGS_CLEAR: "logs.clear",
+    SECURITY_UNLOCK: "security.unlock",
+    APIKEYS_MANAGE: "apikeys.manage",
+    AUDIT_READ: "audit.read",
+    USERS_MANAGE: "users.manage",
+};
+
+// Export the permission names as a constant for easy access
+module.exports = permissions;
@@ -19,6 +19,12 @@ const tables = {
     TBL_USER_ROLES: "tblUserRoles",
     TBL_USER_VERIFICATION_DETAILS: "tblUserVerificationDetails",
     TBL_USERS: "tblUsers",
+    TBL_USER_SESSIONS: "tblUserSessions",
+    TBL_USER_2FA_RECOVERY_CODES: "tblUser2faRecoveryCodes",
+    TBL_USER_DEVICES: "tblUserDevices",
+    TBL_AUTH_THROTTLES: "tblAuthThrottles",
+    TBL_API_KEYS: "tblApiKeys",
+    TBL_AUDIT_LOGS: "tblAuditLogs",
     TBL_VISITORS: "tblVisitors",
     TBL_WHATSAPP_CLIENTS: "tblWhatsappClients",
     TBL_WHATSAPP_TEMPLATES: "tblWhatsappTemplates",
@@ -32,6 +38,7 @@ const tables = {
     TBL_PAYMENT_LINKS: "tblPaymentLinks",
     TBL_OPTIONS: "tblOptions",
     TBL_FILE_ICONS: "tblFileIcons",
+    TBL_MIGRATIONS: "tblMigrations",
 };
 
 // Export the table names as a constant for easy access
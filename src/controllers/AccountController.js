@@ -0,0 +1,95 @@
+const MySQL = require('../utils/db/Mysql'); // Import the MySQL utility for database operations
+const tables = require('../config/tables'); // Import table configurations
+const Logger = require('../utils/logs/Logger'); // Import the Logger utility for logging
+const Password = require('../utils/password/Password'); // Import the Password utility for hashing passwords
+const TokenService = require('../services/auth/TokenService'); // Import the Token service for revoking sessions
+const AuditLog = require('../utils/logs/AuditLog'); // Import the AuditLog utility for recording security events
+const auditActions = require('../config/auditActions'); // Import audit action names
+
+/**
+ * @class AccountController
+ * @description Controller class for operations the logged-in user performs on their own account.
+ * @version 1.0.0
+ * @date 2026-10-18
+ * @author Jay Chauhan
+ */
+class AccountController {
+    /**
+     * @function changePassword
+     * @description Changes the password of the logged-in user after checking the current password.
+     *              Every other session of the user is signed out, the current one stays active.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async changePassword(req, res) {
+        const db = new MySQL(); // Create a new instance of the MySQL utility
+
+        try {
+            const currentPassword = req.body.currentPassword; // Get the current password from the request body
+            const newPassword = req.body.newPassword; // Get the new password from the request body
+
+            if (!currentPassword || !newPassword) {
+                return res.status(400).json({ message: 'Current and new password are required' });
+            }
+
+            if (typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
+                return res.status(400).json({ message: 'Passwords must be strings' });
+            }
+
+            if (newPassword.length < Password.MIN_LENGTH) {
+                return res.status(400).json({ message: `Password must be at least ${Password.MIN_LENGTH} characters long` });
+            }
+
+            // Connect to the database
+            await db.connect();
+
+            // Query the logged-in user's password hash
+            const user = await db.table(tables.TBL_USERS)
+                .select("userId", "userPassword")
+                .where("userId", req.user.userId)
+                .first();
+
+            if (!user || !(await Password.verify(currentPassword, user.userPassword))) {
+                await AccountController.#audit(req, auditActions.PASSWORD_CHANGE, AuditLog.FAILURE, { reason: 'invalid_password' });
+                return res.status(401).json({ message: 'Current password is incorrect' });
+            }
+
+            // Store the new password hash
+            await db.table(tables.TBL_USERS)
+                .where("userId", user.userId)
+                .update({ userPassword: await Password.hash(newPassword) });
+
+            const tokenService = new TokenService(); // Create a new instance of the Token service
+            await tokenService.revokeSessions(req.user.userId, req.user.sessionId); // Keep only the current session
+            await AccountController.#audit(req, auditActions.PASSWORD_CHANGE, AuditLog.SUCCESS);
+
+            res.status(200).json({ message: 'Password changed successfully' });
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            // Log the error
+            logger.write("Error in changePassword: " + error, "account/error");
+            res.status(500).json({ message: 'Oops! Something went wrong!' });
+        } finally {
+            // Disconnect from the database
+            await db.disconnect();
+        }
+    }
+
+    /**
+     * @function #audit
+     * @description Records an action of the logged-in user on their own account in the audit log.
+     * @param {Request} req - The Express request object.
+     * @param {string} action - The action name, see config/auditActions.
+     * @param {string} outcome - AuditLog.SUCCESS or AuditLog.FAILURE.
+     * @param {Object} [details] - Extra details.
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async #audit(req, action, outcome, details = null) {
+        const auditLog = new AuditLog(); // Create a new instance of the AuditLog utility
+        await auditLog.write(req, { action, outcome, target: req.user.userId, details });
+    }
+}
+
+module.exports = AccountController; // Export the AccountController class
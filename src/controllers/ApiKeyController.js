@@ -0,0 +1,152 @@
+const Logger = require('../utils/logs/Logger'); // Import the Logger utility for logging
+const ApiKeyService = require('../services/auth/ApiKeyService'); // Import the API key service
+const apiScopes = require('../config/apiScopes'); // Import the known API key scopes
+const AuditLog = require('../utils/logs/AuditLog'); // Import the AuditLog utility for recording security events
+const auditActions = require('../config/auditActions'); // Import audit action names
+const { date } = require('../utils/functions'); // Import utility functions
+
+/**
+ * @class ApiKeyController
+ * @description Controller class for creating, listing and revoking API keys used by machine-to-machine callers.
+ * @version 1.0.0
+ * @date 2026-10-18
+ * @author Jay Chauhan
+ */
+class ApiKeyController {
+    /**
+     * @function createKey
+     * @description Creates an API key with the given scopes, IP allowlist and expiry. The plain key is only returned here.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async createKey(req, res) {
+        try {
+            const { name, scopes, allowedIps, expiresAt } = req.body; // Get the key details from the request body
+
+            if (!name || String(name).length > 100) {
+                return res.status(400).json({ message: 'Name is required (max 100 characters)' });
+            }
+
+            if (!ApiKeyService.isValidScopeList(scopes)) {
+                return res.status(400).json({ message: 'Scopes must be a list of: ' + Object.values(apiScopes).join(', ') });
+            }
+
+            if (allowedIps !== undefined && allowedIps !== null && (!Array.isArray(allowedIps) || !allowedIps.every(ip => typeof ip === 'string' && ip.trim()))) {
+                return res.status(400).json({ message: 'Allowed IPs must be a list of IP addresses' });
+            }
+
+            let expiry = null;
+            if (expiresAt) {
+                const expiryTime = new Date(expiresAt).getTime();
+                if (isNaN(expiryTime) || expiryTime <= Date.now()) {
+                    return res.status(400).json({ message: 'Expiry must be a date in the future' });
+                }
+                expiry = date('YYYY-MM-DD HH:mm:ss', expiryTime);
+            }
+
+            const apiKeyService = new ApiKeyService(); // Create a new instance of the API key service
+            const created = await apiKeyService.createKey(req.user.userId, {
+                name: String(name),
+                scopes: scopes,
+                allowedIps: allowedIps ? allowedIps.map(ip => ip.trim()) : null,
+                expiresAt: expiry
+            });
+
+            // Record the name and scopes only, the key itself never goes into the audit log
+            await ApiKeyController.#audit(req, auditActions.APIKEY_CREATE, created.apiKeyId, { name: String(name), scopes });
+
+            res.status(200).json({
+                success: true,
+                message: 'API key created. Store it now, it will not be shown again.',
+                apiKeyId: created.apiKeyId,
+                key: created.key
+            });
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in creating API key: " + error, "apikey/error"); // Log the error
+            res.status(500).json({ message: 'Oops! Something went wrong!' }); // Send an error response
+        }
+    }
+
+    /**
+     * @function getKeys
+     * @description Lists the active API keys with their scopes and last use.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async getKeys(req, res) {
+        try {
+            const apiKeyService = new ApiKeyService(); // Create a new instance of the API key service
+            const keys = await apiKeyService.listKeys();
+
+            const response = keys.map(key => ({
+                id: key.apiKeyId,
+                name: key.apiKeyName,
+                prefix: key.apiKeyPrefix,
+                scopes: key.apiKeyScopes,
+                allowedIps: key.apiKeyAllowedIps,
+                expiresAt: key.apiKeyExpiry,
+                createdBy: key.apiKeyUserId,
+                createdAt: key.apiKeyCreatedDate,
+                lastUsedAt: key.apiKeyLastUsedDate,
+                lastUsedIp: key.apiKeyLastUsedIp
+            })); // Map the keys to the response format
+
+            res.status(200).json({ success: true, keys: response });
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in getting API keys: " + error, "apikey/error"); // Log the error
+            res.status(500).json({ message: 'Oops! Something went wrong!' }); // Send an error response
+        }
+    }
+
+    /**
+     * @function revokeKey
+     * @description Revokes an API key.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async revokeKey(req, res) {
+        try {
+            const apiKeyId = req.body.apiKeyId; // Get the key ID from the request body
+
+            if (!apiKeyId) {
+                return res.status(400).json({ message: 'API key ID is required' });
+            }
+
+            const apiKeyService = new ApiKeyService(); // Create a new instance of the API key service
+            const revoked = await apiKeyService.revokeKey(apiKeyId);
+
+            if (revoked) {
+                await ApiKeyController.#audit(req, auditActions.APIKEY_REVOKE, revoked.apiKeyId, { name: revoked.name, scopes: revoked.scopes });
+                res.status(200).json({ success: true, message: 'API key revoked successfully' });
+            } else {
+                res.status(404).json({ success: false, message: 'API key not found' });
+            }
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in revoking API key: " + error, "apikey/error"); // Log the error
+            res.status(500).json({ message: 'Oops! Something went wrong!' }); // Send an error response
+        }
+    }
+
+    /**
+     * @function #audit
+     * @description Records an API key change in the audit log.
+     * @param {Request} req - The Express request object.
+     * @param {string} action - The action name, see config/auditActions.
+     * @param {number} apiKeyId - The ID of the key.
+     * @param {Object} details - The key name and scopes.
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async #audit(req, action, apiKeyId, details) {
+        const auditLog = new AuditLog(); // Create a new instance of the AuditLog utility
+        await auditLog.write(req, { action, target: apiKeyId, details });
+    }
+}
+
+module.exports = ApiKeyController; // Export the ApiKeyController class
@@ -1,25 +1,30 @@
 const MySQL = require('../utils/db/Mysql'); // Import the MySQL utility for database operations
-const tables = require('../config/tables'); // Import table configurations
+const Contact = require('../models/Contact'); // Import the contact model
 const Logger = require('../utils/logs/Logger'); // Import the Logger utility for logging
+const { getPagination, setPaginationHeaders } = require('../utils/functions'); // Utility functions to read and send the paging details
 
 class ContactController {
     static async getContacts(req, res) {
+        const db = new MySQL();
+
         try {
-            const db = new MySQL();
+            const { page, perPage } = getPagination(req);
 
             await db.connect();
-            const contacts = await db.table(tables.TBL_CONTACTS)
-                .select("contactId as id", "contactFirstName as firstName", "contactLastName as lastName")
-                .where("contactIsActive", "1")
-                .get();
-            await db.disconnect();
-            res.status(200).json({ success: true, contacts: contacts });
+            const { data: contacts, pagination } = await Contact.query(db)
+                .select("c.contactId as id", "c.contactFirstName as firstName", "c.contactLastName as lastName")
+                .where("c.contactIsActive", Contact.FLAG.YES)
+                .orderBy("c.contactId", "ASC")
+                .paginate(page, perPage);
+            setPaginationHeaders(res, pagination).status(200).json({ success: true, contacts: contacts });
         } catch (error) {
             const logger = new Logger();
-            logger.write("Error creating secret [controller]: " + JSON.stringify(error), "verifyuser/error");
+            logger.write("Error in getting contacts: " + error, "contact/error");
             res.status(500).json({ message: 'Oops! Something went wrong!' });
+        } finally {
+            await db.disconnect();
         }
     }
 }
 
-module.exports = ContactController; // Export the RoutesController class
+module.exports = ContactController; // Export the ContactController class
@@ -28,8 +28,8 @@ class DataController {
 
             // Query visits data from the database
             const visits = await db.table(tables.TBL_VISITORS)
-                .select("DATE(visitedDate) as visitedDate", "count(*) as visit_count")
-                .groupBy("DATE(visitedDate)")
+                .select(MySQL.raw("DATE(visitedDate) as visitedDate"), MySQL.raw("count(*) as visit_count"))
+                .groupBy(MySQL.raw("DATE(visitedDate)"))
                 .orderBy("visitedDate", "DESC")
                 .limit(10)
                 .get();
@@ -60,10 +60,9 @@ class DataController {
 
             // Query bot visits data from the database
             const visits = await db.table(tables.TBL_VISITORS)
-                .select("DATE(visitedDate) as visitedDate", "count(*) as visit_count")
-                .where("os", "0")
-                .orWhere("device", "Bot", "LIKE")
-                .groupBy("DATE(visitedDate)")
+                .select(MySQL.raw("DATE(visitedDate) as visitedDate"), MySQL.raw("count(*) as visit_count"))
+                .where(query => query.where("os", "0").orWhere("device", "Bot", "LIKE"))
+                .groupBy(MySQL.raw("DATE(visitedDate)"))
                 .orderBy("visitedDate", "DESC")
                 .limit(10)
                 .get();
@@ -94,7 +93,7 @@ class DataController {
 
             // Query the visitor OS data
             const visitorsOs = await db.table(tables.TBL_VISITORS)
-                .select('os', 'count(*) as count')
+                .select('os', MySQL.raw('count(*) as count'))
                 .groupBy('os')
                 .get();
 
@@ -0,0 +1,98 @@
+const Logger = require('../utils/logs/Logger'); // Import the Logger utility for logging
+const DeviceService = require('../services/auth/DeviceService'); // Import the Device service
+
+/**
+ * @class DeviceController
+ * @description Controller class for listing the known devices of the logged-in user and revoking them or their trust.
+ * @version 1.0.0
+ * @date 2026-10-18
+ * @author Jay Chauhan
+ */
+class DeviceController {
+    /**
+     * @function getDevices
+     * @description Fetches the known devices of the logged-in user.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async getDevices(req, res) {
+        try {
+            const deviceService = new DeviceService(); // Create a new instance of the Device service
+            const devices = await deviceService.listDevices(req.user.userId);
+
+            const response = devices.map(device => ({
+                id: device.deviceId,
+                ip: device.deviceIp,
+                userAgent: device.deviceUserAgent,
+                trustedUntil: device.deviceTrustedUntil && new Date(device.deviceTrustedUntil) > new Date() ? device.deviceTrustedUntil : null,
+                firstSeenAt: device.deviceFirstSeenDate,
+                lastSeenAt: device.deviceLastSeenDate
+            })); // Map the devices to the response format
+
+            res.status(200).json({ success: true, devices: response });
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in getting devices: " + error, "device/error"); // Log the error
+            res.status(500).json({ message: 'Oops! Something went wrong!' }); // Send an error response
+        }
+    }
+
+    /**
+     * @function untrustDevice
+     * @description Removes the trust of a device, so logging in from it asks for the OTP again.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async untrustDevice(req, res) {
+        try {
+            const deviceId = req.body.deviceId; // Get the device ID from the request body
+
+            if (!deviceId) {
+                return res.status(400).json({ message: 'Device ID is required' });
+            }
+
+            const deviceService = new DeviceService(); // Create a new instance of the Device service
+            if (await deviceService.revokeTrust(req.user.userId, deviceId)) {
+                res.status(200).json({ success: true, message: 'Device is no longer trusted' });
+            } else {
+                res.status(404).json({ success: false, message: 'Device not found' });
+            }
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in untrusting device: " + error, "device/error"); // Log the error
+            res.status(500).json({ message: 'Oops! Something went wrong!' }); // Send an error response
+        }
+    }
+
+    /**
+     * @function revokeDevice
+     * @description Forgets a device and its trust, so the next login from it raises a new-device alert again.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async revokeDevice(req, res) {
+        try {
+            const deviceId = req.body.deviceId; // Get the device ID from the request body
+
+            if (!deviceId) {
+                return res.status(400).json({ message: 'Device ID is required' });
+            }
+
+            const deviceService = new DeviceService(); // Create a new instance of the Device service
+            if (await deviceService.revokeDevice(req.user.userId, deviceId)) {
+                res.status(200).json({ success: true, message: 'Device removed successfully' });
+            } else {
+                res.status(404).json({ success: false, message: 'Device not found' });
+            }
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in revoking device: " + error, "device/error"); // Log the error
+            res.status(500).json({ message: 'Oops! Something went wrong!' }); // Send an error response
+        }
+    }
+}
+
+module.exports = DeviceController; // Export the DeviceController class
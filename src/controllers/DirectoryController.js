@@ -3,6 +3,8 @@ const Logger = require('../utils/logs/Logger'); // Import the Logger utility for
 const HttpRequest = require('../utils/request/HttpRequest');
 const MySQL = require('../utils/db/Mysql'); // Import the MySQL utility for database operations
 const tables = require('../config/tables'); // Import table configurations
+const AuditLog = require('../utils/logs/AuditLog'); // Import the AuditLog utility for recording security events
+const auditActions = require('../config/auditActions'); // Import audit action names
 
 class DirectoryController {
     static async getDirectoryTree(req, res) {
@@ -71,9 +73,11 @@ class DirectoryController {
             };
             const request = new HttpRequest(process.env.NAS_BASE_URL);
             const response = await request.postRequest("/deleteFile", data, headers);
+            await new AuditLog().write(req, { action: auditActions.NAS_FILE_DELETE, target: data.location });
 
             res.status(200).json({ success: true, nasResponse: response });
         } catch (error) {
+            await new AuditLog().write(req, { action: auditActions.NAS_FILE_DELETE, outcome: AuditLog.FAILURE, target: req.body.location });
             const logger = new Logger();
             logger.write("Error fetching directory: " + JSON.stringify(error), "directory-list/error");
             res.status(500).json({ message: 'Oops! Something went wrong!' });
@@ -91,9 +95,11 @@ class DirectoryController {
             };
             const request = new HttpRequest(process.env.NAS_BASE_URL);
             const response = await request.postRequest("/deleteFolder", data, headers);
+            await new AuditLog().write(req, { action: auditActions.NAS_FOLDER_DELETE, target: data.location });
 
             res.status(200).json({ success: true, nasResponse: response });
         } catch (error) {
+            await new AuditLog().write(req, { action: auditActions.NAS_FOLDER_DELETE, outcome: AuditLog.FAILURE, target: req.body.location });
             const logger = new Logger();
             logger.write("Error fetching directory: " + JSON.stringify(error), "directory-list/error");
             res.status(500).json({ message: 'Oops! Something went wrong!' });
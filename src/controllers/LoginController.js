@@ -5,6 +5,16 @@ const crypto = require('crypto'); // Import the crypto module for generating sec
 const Logger = require('../utils/logs/Logger'); // Import the Logger utility for logging
 const WhatsappService = require('../services/WhatsappService');
 const HttpRequest = require('../utils/request/HttpRequest');
+const TokenService = require('../services/auth/TokenService');
+const GoogleAuthenticator = require('../providers/2fa/google-authenticator');
+const TwoFactorAuthService = require('../services/2fa/TwoFactorAuthService');
+const LoginThrottleService = require('../services/auth/LoginThrottleService');
+const DeviceService = require('../services/auth/DeviceService');
+const PasswordResetService = require('../services/auth/PasswordResetService');
+const Password = require('../utils/password/Password'); // Import the Password utility for hashing passwords
+const AuditLog = require('../utils/logs/AuditLog'); // Import the AuditLog utility for recording security events
+const auditActions = require('../config/auditActions'); // Import audit action names
+const { getClientIp, hashToken } = require('../utils/functions'); // Utility functions to get the client IP address and hash tokens
 
 /**
  * @class LoginController
@@ -36,35 +46,55 @@ class LoginController {
 
             // Query the user information from the database
             const user = await db.table(tables.TBL_USERS)
-                .select("userId", "userFirstName", "userLastName", "userPassword", "userEmail", "userPhoneNumber", "userAccessToken", "userRefreshToken")
+                .select("userId", "userFirstName", "userLastName", "userPassword", "userEmail", "userPhoneNumber", "userWhatsappNumber", "userIsActive")
                 .where("userLogin", loginData.username)
                 .first();
 
             // Check if user exists and password is correct
             if (user) {
-                if (LoginController.#sha1(loginData.password) === user.userPassword) {
-                    // Query verification data
-                    const verificationData = await db.table(tables.TBL_USER_VERIFICATION_DETAILS)
-                        .select("*")
-                        .where("verificationUserId", user.userId)
-                        .where("verificationType", "1")
-                        .where("verificationStatus", "1")
-                        .get();
-
-                    // Verify user based on OTP or login key
-                    if (verificationData) {
-                        if (await LoginController.#verifyUser(verificationData, loginData, db)) {
-                            res.status(200).json({ message: `Welcome ${user.userFirstName} ${user.userLastName}`, accessToken: user.userAccessToken, refreshToken: user.userRefreshToken });
-                        } else {
-                            res.status(401).json({ message: 'Invalid OTP' });
-                        }
-                    } else {
-                        res.status(401).json({ message: 'Invalid credentials' });
+                if (await Password.verify(loginData.password, user.userPassword)) {
+                    await LoginController.#rehashPassword(user, loginData.password, db); // Upgrade legacy hashes
+
+                    if (user.userIsActive != "1") {
+                        await LoginController.#audit(req, auditActions.LOGIN, AuditLog.FAILURE, loginData.username, user.userId, { reason: 'inactive_user' });
+                        return res.status(403).json({ message: 'Your account has been deactivated' });
+                    }
+
+                    // Verify user based on the OTP and login key issued by sendOtp
+                    const verification = await LoginController.#verifyUser(user, loginData, db);
+
+                    switch (verification.status) {
+                        case "verified":
+                            await LoginController.#completeLogin(req, res, user); // Start the session
+                            break;
+                        case "not_found":
+                            await LoginController.#recordFailure(req);
+                            await LoginController.#audit(req, auditActions.LOGIN, AuditLog.FAILURE, loginData.username, user.userId, { reason: 'invalid_login_key' });
+                            res.status(401).json({ message: 'Invalid login key! Please request a new OTP.', expired: false, invalidLoginKey: true });
+                            break;
+                        case "expired":
+                            await LoginController.#audit(req, auditActions.LOGIN, AuditLog.FAILURE, loginData.username, user.userId, { reason: 'otp_expired' });
+                            res.status(401).json({ message: 'OTP expired! Please request a new OTP.', expired: true });
+                            break;
+                        case "locked":
+                            await LoginController.#recordFailure(req);
+                            await LoginController.#audit(req, auditActions.LOGIN, AuditLog.FAILURE, loginData.username, user.userId, { reason: 'otp_locked' });
+                            res.status(401).json({ message: 'Too many invalid attempts! Please request a new OTP.', expired: true });
+                            break;
+                        default:
+                            await LoginController.#recordFailure(req);
+                            await LoginController.#audit(req, auditActions.LOGIN, AuditLog.FAILURE, loginData.username, user.userId, { reason: 'invalid_otp' });
+                            res.status(401).json({ message: 'Invalid OTP', expired: false, attemptsLeft: verification.attemptsLeft });
+                            break;
                     }
                 } else {
+                    await LoginController.#recordFailure(req);
+                    await LoginController.#audit(req, auditActions.LOGIN, AuditLog.FAILURE, loginData.username, user.userId, { reason: 'invalid_password' });
                     res.status(401).json({ message: 'Invalid credentials' });
                 }
             } else {
+                await LoginController.#recordFailure(req);
+                await LoginController.#audit(req, auditActions.LOGIN, AuditLog.FAILURE, loginData.username, null, { reason: 'unknown_user' });
                 res.status(404).json({ message: 'User not found' });
             }
         } catch (error) {
@@ -78,9 +108,41 @@ class LoginController {
         }
     }
 
+    /**
+     * @function refreshToken
+     * @description Swaps a valid refresh token for a new access/refresh token pair and revokes the old pair.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async refreshToken(req, res) {
+        try {
+            const refreshToken = req.body.refreshToken; // Get the refresh token from the request body
+
+            if (!refreshToken) {
+                return res.status(400).json({ message: 'Refresh token is required' });
+            }
+
+            const tokenService = new TokenService(); // Create a new instance of the Token service
+            const tokens = await tokenService.refreshTokens(refreshToken); // Rotate the token pair
+
+            if (tokens) {
+                res.status(200).json({ message: 'Token refreshed successfully', ...tokens });
+            } else {
+                res.status(401).json({ message: 'Invalid or expired refresh token' });
+            }
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            // Log the error
+            logger.write("Error in refreshToken: " + error, "login/error");
+            res.status(500).json({ message: 'Oops! Something went wrong!' });
+        }
+    }
+
     /**
      * @function sendOtp
-     * @description Sends an OTP to the user's email for login verification.
+     * @description Sends an OTP to the user's email for login verification. Requests from a trusted device
+     *              (valid `devicetoken` header) skip the OTP and are logged in right away.
      * @param {Request} req - The Express request object.
      * @param {Response} res - The Express response object.
      * @returns {Promise<void>}
@@ -101,85 +163,79 @@ class LoginController {
 
             // Query user information from the database
             const user = await db.table(tables.TBL_USERS)
-                .select("userId", "userPassword", "userEmail", "userPhoneNumber", "userWhatsappNumber", "userLogin", "userFirstName", "userLastName")
+                .select("userId", "userPassword", "userEmail", "userPhoneNumber", "userWhatsappNumber", "userLogin", "userFirstName", "userLastName", "userLoginFactor", "user2faSecret", "userIsActive")
                 .where("userLogin", inputData.username)
                 .first();
 
             // Check if user exists and password is correct
             if (user) {
-                if (LoginController.#sha1(inputData.password) === user.userPassword) {
-                    const otp = LoginController.#generateOtp(); // Generate an OTP
-                    const templateData = {
-                        loginId: user.userLogin,
-                        otp: otp
-                    };
+                if (await Password.verify(inputData.password, user.userPassword)) {
+                    await LoginController.#rehashPassword(user, inputData.password, db); // Upgrade legacy hashes
 
-                    // Send OTP email
-                    // Mail
-                    await email.sendEmailTemplate(1, templateData, user.userEmail);
-                    // Whatsapp
-                    // const templateId = await whatsapp.getTemplateIdByName('login_otp');
-                    // await whatsapp.sendTemplateMessage("91" + user.userWhatsappNumber, templateId, [user.userFirstName + " " + user.userLastName, otp]);
-                    // Slack
-                    const data = {
-                        "blocks": [
-                            {
-                                "type": "section",
-                                "text": {
-                                    "type": "mrkdwn",
-                                    "text": "*Secure Login OTP Code*"
-                                }
-                            },
-                            {
-                                "type": "section",
-                                "text": {
-                                    "type": "mrkdwn",
-                                    "text": "Please use the One-Time Password (OTP) provided below to complete your login process."
-                                }
-                            },
-                            {
-                                "type": "section",
-                                "text": {
-                                    "type": "mrkdwn",
-                                    "text": "*Otp:*\n" + otp + "\n*Validity:*\nOtp is valid for 5 minutes only."
-                                },
-                                "accessory": {
-                                    "type": "image",
-                                    "image_url": "https://api.slack.com/img/blocks/bkb_template_images/approvalsNewDevice.png",
-                                    "alt_text": "login thumbnail"
-                                }
-                            }
-                        ]
+                    if (user.userIsActive != "1") {
+                        await LoginController.#audit(req, auditActions.OTP_SEND, AuditLog.FAILURE, inputData.username, user.userId, { reason: 'inactive_user' });
+                        return res.status(403).json({ message: 'Your account has been deactivated' });
                     }
-                    const request = new HttpRequest("https://hooks.slack.com/services/T0856KL0477");
-                    await request.postRequest("/B08CT362QV7/PjW87801OpBcVQ1D5JcM166E", data);
 
-                    // Insert OTP verification details into the database
+                    // Trusted devices skip the OTP step and are logged in right away
+                    const deviceService = new DeviceService(); // Create a new instance of the Device service
+                    if (await deviceService.isTrusted(user.userId, req.headers.devicetoken)) {
+                        return await LoginController.#completeLogin(req, res, user, { trustedDevice: true });
+                    }
+
+                    // Users with an active authenticator confirm the login with a TOTP code instead of an emailed OTP
+                    const useAuthenticator = user.userLoginFactor == "1" && !!user.user2faSecret;
+                    const otp = useAuthenticator ? "" : LoginController.#generateOtp(); // Generate an OTP
+
+                    // Invalidate any OTP and login key issued earlier, only the latest pair may be used
+                    await db.table(tables.TBL_USER_VERIFICATION_DETAILS)
+                        .where("verificationUserId", user.userId)
+                        .where("verificationType", "1")
+                        .where("verificationStatus", "1")
+                        .update({ verificationStatus: "0" });
+
+                    // Insert OTP verification details into the database, key type 3 marks an authenticator code
                     const otpVerificationData = {
                         verificationUserId: user.userId,
                         verificationType: "1",
-                        verificationKeyType: "1",
+                        verificationKeyType: useAuthenticator ? "3" : "1",
                         verificationValue: otp,
                         verificationStatus: "1",
                     };
-                    await db.table(tables.TBL_USER_VERIFICATION_DETAILS).insert(otpVerificationData);
+                    const otpVerificationId = await db.table(tables.TBL_USER_VERIFICATION_DETAILS).insert(otpVerificationData);
 
-                    // Generate and insert login key verification details
-                    const loginKey = LoginController.#sha1(inputData.password + otp + user.userPassword);
+                    // Generate and insert login key verification details, bound to the OTP above
+                    const loginKey = LoginController.#sha1(inputData.password + otp + user.userPassword + crypto.randomBytes(16).toString('hex'));
                     const loginKeyVerificationData = {
                         verificationUserId: user.userId,
                         verificationType: "1",
                         verificationKeyType: "2",
                         verificationValue: loginKey,
+                        verificationLinkedId: otpVerificationId,
                         verificationStatus: "1",
                     };
                     await db.table(tables.TBL_USER_VERIFICATION_DETAILS).insert(loginKeyVerificationData);
 
-                    res.status(200).json({ message: 'OTP sent successfully', loginKey: loginKey, otpSent: true });
+                    // Deliver the OTP only once it is stored, so the code the user receives can always be checked
+                    if (!useAuthenticator) {
+                        await LoginController.#deliverOtp(user, otp, email); // Send the OTP by email and Slack
+                    }
+
+                    await LoginController.#audit(req, auditActions.OTP_SEND, AuditLog.SUCCESS, inputData.username, user.userId, { factor: useAuthenticator ? 'totp' : 'email' });
+
+                    if (useAuthenticator) {
+                        res.status(200).json({ message: 'Enter the code from your authenticator app', loginKey: loginKey, otpSent: false, factor: 'totp' });
+                    } else {
+                        res.status(200).json({ message: 'OTP sent successfully', loginKey: loginKey, otpSent: true, factor: 'email' });
+                    }
                 } else {
+                    await LoginController.#recordFailure(req);
+                    await LoginController.#audit(req, auditActions.OTP_SEND, AuditLog.FAILURE, inputData.username, user.userId, { reason: 'invalid_password' });
                     res.status(401).json({ message: 'Invalid credentials' });
                 }
             } else {
+                await LoginController.#recordFailure(req);
+                await LoginController.#audit(req, auditActions.OTP_SEND, AuditLog.FAILURE, inputData.username, null, { reason: 'unknown_user' });
                 res.status(404).json({ message: 'User not found' });
             }
         } catch (error) {
@@ -212,14 +268,14 @@ class LoginController {
 
             // Query user information from the database
             const user = await db.table(tables.TBL_USERS)
-                .select("userId", "userLogin", "userAccessToken", "userRefreshToken", "userFirstName", "userLastName")
+                .select("userId", "userLogin", "userFirstName", "userLastName")
                 .where("userEmail", emailId)
                 .first();
 
             // Check if user exists
             if (user) {
                 // Generate verification token
-                const verificationToken = LoginController.#sha1(user.email + user.userAccessToken + user.userRefreshToken + LoginController.#generateOtp());
+                const verificationToken = LoginController.#sha1(emailId + crypto.randomBytes(32).toString('hex') + LoginController.#generateOtp());
 
                 // Insert verification details into the database
                 const verificationData = {
@@ -317,6 +373,145 @@ class LoginController {
         }
     }
 
+    /**
+     * @function forgotPassword
+     * @description Sends a short-lived, single-use password reset token to the user's email. The response is the
+     *              same whether or not the email is registered, so it cannot be used to discover accounts.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async forgotPassword(req, res) {
+        const db = new MySQL(); // Create a new instance of the MySQL utility
+
+        try {
+            const emailId = req.body.email; // Get the email ID from the request body
+
+            if (!emailId) {
+                return res.status(400).json({ message: 'Email is required' });
+            }
+
+            // Connect to the database
+            await db.connect();
+
+            // Query user information from the database
+            const user = await db.table(tables.TBL_USERS)
+                .select("userId", "userFirstName", "userLastName", "userEmail", "userIsActive")
+                .where("userEmail", emailId)
+                .first();
+
+            if (user && user.userIsActive == "1") {
+                const passwordResetService = new PasswordResetService(); // Create a new instance of the Password reset service
+                const sent = await passwordResetService.sendLink(user); // Send password reset email
+                if (sent) {
+                    await LoginController.#audit(req, auditActions.PASSWORD_FORGOT, AuditLog.SUCCESS, emailId, user.userId);
+                } else {
+                    await LoginController.#audit(req, auditActions.PASSWORD_FORGOT, AuditLog.FAILURE, emailId, user.userId, { reason: 'email_not_sent' });
+                }
+            } else if (user) {
+                await LoginController.#audit(req, auditActions.PASSWORD_FORGOT, AuditLog.FAILURE, emailId, user.userId, { reason: 'inactive_user' });
+            } else {
+                await LoginController.#audit(req, auditActions.PASSWORD_FORGOT, AuditLog.FAILURE, emailId, null, { reason: 'unknown_email' });
+            }
+
+            res.status(200).json({ message: 'If the email is registered, a password reset link has been sent' });
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            // Log the error
+            logger.write("Error in forgotPassword: " + error, "login/error");
+            res.status(500).json({ message: 'Oops! Something went wrong!' });
+        } finally {
+            // Disconnect from the database
+            await db.disconnect();
+        }
+    }
+
+    /**
+     * @function resetPassword
+     * @description Sets a new password using a password reset or invite token, then revokes every session, pending OTP and reset token of the user.
+     *              Accepting an invite also marks the email as verified, since the link was delivered to it.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async resetPassword(req, res) {
+        const db = new MySQL(); // Create a new instance of the MySQL utility
+
+        try {
+            const resetToken = req.body.token; // Get the reset token from the request body
+            const newPassword = req.body.password; // Get the new password from the request body
+
+            if (!resetToken || !newPassword) {
+                return res.status(400).json({ message: 'Token and password are required' });
+            }
+
+            if (typeof resetToken !== 'string' || typeof newPassword !== 'string') {
+                return res.status(400).json({ message: 'Token and password must be strings' });
+            }
+
+            if (newPassword.length < Password.MIN_LENGTH) {
+                return res.status(400).json({ message: `Password must be at least ${Password.MIN_LENGTH} characters long` });
+            }
+
+            // Connect to the database
+            await db.connect();
+
+            // Query the active reset or invite token
+            const verification = await db.table(tables.TBL_USER_VERIFICATION_DETAILS)
+                .select("verificationId", "verificationUserId", "verificationType", "verificationCreatedDate")
+                .where("verificationValue", hashToken(resetToken))
+                .whereIn("verificationType", ["3", "4"])
+                .where("verificationKeyType", "2")
+                .where("verificationStatus", "1")
+                .first();
+
+            if (!verification) {
+                await LoginController.#audit(req, auditActions.PASSWORD_RESET, AuditLog.FAILURE, null, null, { reason: 'invalid_token' });
+                return res.status(404).json({ message: 'Reset link is invalid or already used!' });
+            }
+
+            // Reject tokens older than the configured TTL
+            const ageInMs = Date.now() - new Date(verification.verificationCreatedDate).getTime();
+            if (ageInMs > PasswordResetService.ttlMinutes(verification.verificationType) * 60 * 1000) {
+                await db.table(tables.TBL_USER_VERIFICATION_DETAILS).where("verificationId", verification.verificationId).update({ verificationStatus: "0" });
+                await LoginController.#audit(req, auditActions.PASSWORD_RESET, AuditLog.FAILURE, null, verification.verificationUserId, { reason: 'expired_token' });
+                return res.status(410).json({ message: 'Reset link expired!', expired: true });
+            }
+
+            // Store the new password hash
+            const userUpdateDetails = { userPassword: await Password.hash(newPassword) };
+            if (verification.verificationType === PasswordResetService.TYPE_INVITE) {
+                userUpdateDetails.userIsEmailVerified = "1"; // The invite reached this mailbox
+            }
+            await db.table(tables.TBL_USERS)
+                .where("userId", verification.verificationUserId)
+                .update(userUpdateDetails);
+
+            // Mark the token as used and invalidate pending OTPs, login keys and other reset tokens
+            await db.table(tables.TBL_USER_VERIFICATION_DETAILS).where("verificationId", verification.verificationId).update({ verificationStatus: "2" });
+            await db.table(tables.TBL_USER_VERIFICATION_DETAILS)
+                .where("verificationUserId", verification.verificationUserId)
+                .where("verificationStatus", "1")
+                .whereIn("verificationType", ["1", "3", "4"])
+                .update({ verificationStatus: "0" });
+
+            // Sign the user out everywhere
+            const tokenService = new TokenService(); // Create a new instance of the Token service
+            await tokenService.revokeSessions(verification.verificationUserId);
+            await LoginController.#audit(req, auditActions.PASSWORD_RESET, AuditLog.SUCCESS, null, verification.verificationUserId);
+
+            res.status(200).json({ message: 'Password reset successfully! Please login again.' });
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            // Log the error
+            logger.write("Error in resetPassword: " + error, "login/error");
+            res.status(500).json({ message: 'Oops! Something went wrong!' });
+        } finally {
+            // Disconnect from the database
+            await db.disconnect();
+        }
+    }
+
     /**
      * @function #generateOtp
      * @description Generates a secure OTP (One-Time Password) consisting of digits only.
@@ -345,29 +540,268 @@ class LoginController {
         return crypto.createHash('sha1').update(data, 'utf8').digest('hex');
     }
 
+    /**
+     * @function #deliverOtp
+     * @description Delivers a login OTP to the user by email and Slack.
+     * @param {Object} user - User row containing userLogin and userEmail.
+     * @param {string} otp - The OTP to deliver.
+     * @param {Mail} email - Mail utility instance.
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async #deliverOtp(user, otp, email) {
+        const templateData = {
+            loginId: user.userLogin,
+            otp: otp
+        };
+
+        // Send OTP email
+        // Mail
+        await email.sendEmailTemplate(1, templateData, user.userEmail);
+        // Whatsapp
+        // const templateId = await whatsapp.getTemplateIdByName('login_otp');
+        // await whatsapp.sendTemplateMessage("91" + user.userWhatsappNumber, templateId, [user.userFirstName + " " + user.userLastName, otp]);
+        // Slack
+        const data = {
+            "blocks": [
+                {
+                    "type": "section",
+                    "text": {
+                        "type": "mrkdwn",
+                        "text": "*Secure Login OTP Code*"
+                    }
+                },
+                {
+                    "type": "section",
+                    "text": {
+                        "type": "mrkdwn",
+                        "text": "Please use the One-Time Password (OTP) provided below to complete your login process."
+                    }
+                },
+                {
+                    "type": "section",
+                    "text": {
+                        "type": "mrkdwn",
+                        "text": "*Otp:*\n" + otp + "\n*Validity:*\nOtp is valid for " + LoginController.#otpTtlMinutes() + " minutes only."
+                    },
+                    "accessory": {
+                        "type": "image",
+                        "image_url": "https://api.slack.com/img/blocks/bkb_template_images/approvalsNewDevice.png",
+                        "alt_text": "login thumbnail"
+                    }
+                }
+            ]
+        }
+        const request = new HttpRequest("https://hooks.slack.com/services/T0856KL0477");
+        await request.postRequest("/B08CT362QV7/PjW87801OpBcVQ1D5JcM166E", data);
+    }
+
+    /**
+     * @function #completeLogin
+     * @description Starts a session for a verified user: issues the tokens, clears the failed attempts, records the
+     *              device (alerting the user if it is new) and, if requested with `rememberDevice`, trusts the device.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @param {Object} user - User row containing userId, names, userEmail and userWhatsappNumber.
+     * @param {Object} [details={}] - Extra audit details, e.g. whether the OTP was skipped.
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async #completeLogin(req, res, user, details = {}) {
+        const device = { ip: getClientIp(req), userAgent: req.headers['user-agent'] }; // The device logging in
+
+        const tokenService = new TokenService(); // Create a new instance of the Token service
+        const tokens = await tokenService.issueTokens(user.userId, device); // Start a new session for this device
+        await new LoginThrottleService().reset(LoginThrottleService.keysFor(req)); // Clear the failed attempts
+
+        // Alert the user about logins from devices we have not seen before (not on the very first login)
+        const deviceService = new DeviceService(); // Create a new instance of the Device service
+        const knownDevice = await deviceService.recordLogin(user.userId, device);
+        if (knownDevice.isNew && !knownDevice.isFirst) {
+            await LoginController.#sendNewDeviceAlert(user, device);
+        }
+
+        // Remember the device so the next login can skip the OTP step
+        const trust = req.body.rememberDevice ? await deviceService.trustDevice(user.userId, knownDevice.deviceId) : {};
+
+        await LoginController.#audit(req, auditActions.LOGIN, AuditLog.SUCCESS, req.body.username, user.userId, { ...details, newDevice: knownDevice.isNew });
+        res.status(200).json({ message: `Welcome ${user.userFirstName} ${user.userLastName}`, ...tokens, ...trust });
+    }
+
+    /**
+     * @function #sendNewDeviceAlert
+     * @description Tells the user about a login from a new device by email and, if a number is set, WhatsApp.
+     *              Failures are only logged, so they never block the login itself.
+     * @param {Object} user - User row containing names, userEmail and userWhatsappNumber.
+     * @param {Object} device - The device that logged in (`ip`, `userAgent`).
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async #sendNewDeviceAlert(user, device) {
+        const name = user.userFirstName + " " + user.userLastName;
+        const time = new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+
+        try {
+            // Mail
+            const email = new Mail(); // Create a new instance of the Mail utility
+            await email.sendEmailTemplate(7, { name, ip: device.ip, userAgent: device.userAgent, time }, user.userEmail);
+
+            // Whatsapp
+            if (user.userWhatsappNumber) {
+                const whatsapp = new WhatsappService(); // Create a new instance of the Whatsapp service
+                const templateId = await whatsapp.getTemplateIdByName('new_device_login');
+                if (templateId) {
+                    await whatsapp.sendTemplateMessage("91" + user.userWhatsappNumber, templateId, [name, device.ip, time]);
+                }
+            }
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in sending new device alert: " + error, "login/error");
+        }
+    }
+
+    /**
+     * @function #audit
+     * @description Records an authentication event in the audit log.
+     * @param {Request} req - The Express request object.
+     * @param {string} action - The audit action name.
+     * @param {string} outcome - AuditLog.SUCCESS or AuditLog.FAILURE.
+     * @param {string|null} target - The login name or email the request was made for.
+     * @param {number|null} userId - The matching user, if any.
+     * @param {Object} [details] - Extra details, e.g. the failure reason.
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async #audit(req, action, outcome, target, userId, details = null) {
+        const auditLog = new AuditLog(); // Create a new instance of the AuditLog utility
+        await auditLog.write(req, { action, outcome, target, actorId: userId, details });
+    }
+
+    /**
+     * @function #recordFailure
+     * @description Records a failed login attempt for the client IP and the username of the request.
+     * @param {Request} req - The Express request object.
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async #recordFailure(req) {
+        const throttle = new LoginThrottleService(); // Create a new instance of the Login throttle service
+        await throttle.recordFailure(LoginThrottleService.keysFor(req));
+    }
+
+    /**
+     * @function #rehashPassword
+     * @description Re-hashes the user's password with the current algorithm if the stored hash is outdated (e.g. legacy SHA-1).
+     * @param {Object} user - User row containing userId and userPassword.
+     * @param {string} password - The verified plain text password.
+     * @param {Object} db - Database connection object.
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async #rehashPassword(user, password, db) {
+        if (Password.needsRehash(user.userPassword)) {
+            const passwordHash = await Password.hash(password);
+            await db.table(tables.TBL_USERS).where("userId", user.userId).update({ userPassword: passwordHash });
+            user.userPassword = passwordHash; // Keep the in-memory row in sync
+        }
+    }
+
     /**
      * @function #verifyUser
-     * @description Verifies the user based on OTP or login key.
-     * @param {Array} verificationData - Array of verification details.
+     * @description Verifies the OTP and login key issued by a single sendOtp call. The OTP must be used
+     *              within the configured TTL and is invalidated after the configured number of wrong attempts.
+     *              Each attempt is counted in the database before the code is checked, and only an OTP that is still
+     *              active can be used, so parallel guesses cannot get past the attempt limit or use the OTP twice.
+     * @param {Object} user - User row containing userId.
      * @param {Object} loginData - Object containing login details.
      * @param {Object} db - Database connection object.
-     * @returns {Promise<boolean>} - True if verification is successful, false otherwise.
+     * @returns {Promise<Object>} - `{ status }` where status is verified, not_found (unknown or already used login key), expired,
+     *                              locked or invalid, plus `attemptsLeft` when invalid.
      * @private
      */
-    static async #verifyUser(verificationData, loginData, db) {
-        let response = false;
-        for (const details of verificationData) {
-            if (details.verificationKeyType === "1") {
-                response = (details.verificationValue == loginData.otp);
-            } else if (details.verificationKeyType === "2") {
-                response = (details.verificationValue == loginData.loginKey);
-            }
-            const updateVerificationDetails = {
-                verificationStatus: response ? "2" : "0"
-            };
-            await db.table(tables.TBL_USER_VERIFICATION_DETAILS).where("verificationId", details.verificationId).update(updateVerificationDetails);
+    static async #verifyUser(user, loginData, db) {
+        // Query the active login key issued by sendOtp
+        const loginKeyDetails = await db.table(tables.TBL_USER_VERIFICATION_DETAILS)
+            .select("verificationId", "verificationLinkedId")
+            .where("verificationUserId", user.userId)
+            .where("verificationType", "1")
+            .where("verificationKeyType", "2")
+            .where("verificationStatus", "1")
+            .where("verificationValue", loginData.loginKey || "")
+            .first();
+
+        // Query the OTP bound to that login key
+        const otpDetails = loginKeyDetails && await db.table(tables.TBL_USER_VERIFICATION_DETAILS)
+            .select("verificationId", "verificationKeyType", "verificationValue", "verificationAttempts", "verificationCreatedDate")
+            .where("verificationId", loginKeyDetails.verificationLinkedId)
+            .where("verificationStatus", "1")
+            .first();
+
+        if (!otpDetails) {
+            return { status: "not_found" }; // Unknown, used or superseded login key
+        }
+
+        // Closes the login key and the OTP, unless a parallel request already did; returns whether this request closed them
+        const verificationIds = [loginKeyDetails.verificationId, otpDetails.verificationId];
+        const setStatus = async (status) => {
+            return await db.table(tables.TBL_USER_VERIFICATION_DETAILS)
+                .whereIn("verificationId", verificationIds)
+                .where("verificationStatus", "1")
+                .update({ verificationStatus: status });
+        };
+
+        // Reject OTPs older than the configured TTL
+        const ageInMs = Date.now() - new Date(otpDetails.verificationCreatedDate).getTime();
+        if (ageInMs > LoginController.#otpTtlMinutes() * 60 * 1000) {
+            await setStatus("0");
+            return { status: "expired" };
+        }
+
+        // Count the attempt before checking the code, as long as the OTP is active and below the limit
+        const maxAttempts = parseInt(process.env.OTP_MAX_ATTEMPTS || 5);
+        const counted = await db.table(tables.TBL_USER_VERIFICATION_DETAILS)
+            .where("verificationId", otpDetails.verificationId)
+            .where("verificationStatus", "1")
+            .where("verificationAttempts", maxAttempts, "<")
+            .update({ verificationAttempts: MySQL.raw("verificationAttempts + 1") });
+
+        if (!counted) {
+            return await setStatus("0") ? { status: "locked" } : { status: "not_found" };
+        }
+
+        // Authenticator codes are checked against the user's TOTP secret (or a one-time recovery code), emailed OTPs against the stored value
+        const codeMatches = otpDetails.verificationKeyType === "3"
+            ? await new GoogleAuthenticator(user.userId).verifyToken(String(loginData.otp || ""))
+                || await new TwoFactorAuthService(user.userId).useRecoveryCode(loginData.otp)
+            : String(otpDetails.verificationValue) === String(loginData.otp);
+
+        if (codeMatches) {
+            // Mark both as used, a parallel request that used them first wins
+            return await setStatus("2") ? { status: "verified" } : { status: "not_found" };
+        }
+
+        // Invalidate the OTP once the limit is reached
+        const { verificationAttempts } = await db.table(tables.TBL_USER_VERIFICATION_DETAILS)
+            .select("verificationAttempts")
+            .where("verificationId", otpDetails.verificationId)
+            .first();
+        const attempts = parseInt(verificationAttempts || 0);
+
+        if (attempts >= maxAttempts) {
+            await setStatus("0");
+            return { status: "locked" };
         }
-        return response;
+        return { status: "invalid", attemptsLeft: maxAttempts - attempts };
+    }
+
+    /**
+     * @function #otpTtlMinutes
+     * @description Returns the configured OTP validity in minutes.
+     * @returns {number} - OTP validity in minutes.
+     * @private
+     */
+    static #otpTtlMinutes() {
+        return parseInt(process.env.OTP_TTL_MINUTES || 5);
     }
 }
 
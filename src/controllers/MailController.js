@@ -2,9 +2,9 @@ const Logger = require('../utils/logs/Logger'); // Import the Logger utility for
 const Email = require('../utils/mail/Mail'); // Import the Email utility for sending mails
 const Imap = require('../utils/mail/ImapClient'); // Import the ImapClient utility for fetching mails
 const MySQL = require('../utils/db/Mysql'); // Import the MySQL utility for database operations
-const tables = require('../config/tables'); // Import table configurations
 const HttpRequest = require('../utils/request/HttpRequest');
-const { date, convertToPlainText } = require('../utils/functions'); // Utility function to get the current date
+const Mail = require('../models/Mail'); // Import the mail model
+const { date, convertToPlainText, getPagination, setPaginationHeaders } = require('../utils/functions'); // Utility functions for dates, plain text and paging
 
 /**
  * @class MailController
@@ -106,21 +106,20 @@ class MailController {
 
             await db.connect(); // Connect to the database
 
-            // Iterate through the fetched emails and insert them into the database
-            emails.forEach(async (mail, index) => {
-                const insertDetails = {
-                    mailMessageId: mail.messageId,
-                    mailFromEmail: mail.from.value[0].address,
-                    mailFromName: mail.from.value[0].name || null,
-                    mailToEmail: mail.to.value[0].address,
-                    mailToName: mail.to.value[0].name || null,
-                    mailSubject: mail.subject || null,
-                    mailBody: mail.html,
-                    mailText: convertToPlainText(mail.text),
-                    mailType: "0"
-                };
-                await db.table(tables.TBL_MAILS).insert(insertDetails); // Insert email details into the database
-            });
+            // Insert all fetched emails at once, emails imported by an earlier run are left untouched
+            const mailRows = emails.map(mail => ({
+                mailMessageId: mail.messageId,
+                mailFromEmail: mail.from.value[0].address,
+                mailFromName: mail.from.value[0].name || null,
+                mailToEmail: mail.to.value[0].address,
+                mailToName: mail.to.value[0].name || null,
+                mailSubject: mail.subject || null,
+                mailBody: mail.html,
+                mailText: convertToPlainText(mail.text),
+                mailType: Mail.TYPES.RECEIVED
+            }));
+            await db.table(Mail.table).upsert(mailRows.map(row => Mail.validate(row)), []); // Skip emails whose message ID is already stored
+
             const emailCount = emails.length;
             if (emailCount > 0) {
                 const data = {
@@ -160,12 +159,15 @@ class MailController {
         try {
             await db.connect(); // Connect to the database
 
-            const emails = await db.table(tables.TBL_MAILS)
-                .select("*")
-                .orderBy("mailDate", "DESC")
-                .get(); // Fetch all email records from the database
+            const { page, perPage } = getPagination(req); // Requested page and emails per page
+
+            const { data: emails, pagination } = await Mail.query(db)
+                .select("ml.*")
+                .orderBy("ml.mailDate", "DESC")
+                .orderBy("ml.mailId", "DESC")
+                .paginate(page, perPage); // Fetch a page of email records from the database
 
-            res.status(200).json(MailController.formatMailData(emails)); // Send the email data as a JSON response
+            setPaginationHeaders(res, pagination).status(200).json(MailController.formatMailData(emails)); // Send the email data as a JSON response, the paging metadata in the headers
         } catch (error) {
             const logger = new Logger(); // Create a new instance of the Logger utility
             logger.write("Error in getting emails: " + error, "email/get"); // Log the error
@@ -202,11 +204,11 @@ class MailController {
             // Define static values and convert mailType to 'inbox' or 'social'
             const path = ''; // Assuming no path is provided
             const attachments = []; // Assuming no attachments are provided
-            const type = mailType === '0' ? 'inbox' : 'sent_mail'; // Adjust based on mailType
+            const type = mailType === Mail.TYPES.RECEIVED ? 'inbox' : 'sent_mail'; // Adjust based on mailType
             const group = type === 'social' ? 'social' : 'personal';
             const isImportant = false;
             const isStar = false;
-            const isUnread = mail.mailIsRead == "0";
+            const isUnread = mail.mailIsRead == Mail.FLAG.NO;
 
             // Return formatted mail object
             return {
@@ -241,9 +243,7 @@ class MailController {
 
             const mailId = req.body.id; // Get the mail ID from the request body
 
-            await db.table(tables.TBL_MAILS)
-                .where("mailId", mailId) // Mark the email as read in the database
-                .update({ mailIsRead: "1" });
+            await Mail.update(mailId, { mailIsRead: Mail.FLAG.YES }, db); // Mark the email as read in the database
 
             res.status(200).json({ message: 'Email marked as read successfully!' }); // Send a success response
         } catch (error) {
@@ -1,6 +1,12 @@
 const MySQL = require('../utils/db/Mysql'); // Import the MySQL utility for database operations
 const tables = require('../config/tables'); // Import table configurations
 const Logger = require('../utils/logs/Logger'); // Import the Logger utility for logging
+const AuditLog = require('../utils/logs/AuditLog'); // Import the AuditLog utility for the audit trail
+const auditActions = require('../config/auditActions'); // Import the audit action names
+const { date, getPagination, setPaginationHeaders } = require('../utils/functions'); // Utility functions for dates and paging
+const BankDetail = require('../models/BankDetail'); // Import the bank model
+const PaymentMethod = require('../models/PaymentMethod'); // Import the payment method model
+const Transaction = require('../models/Transaction'); // Import the transaction model
 
 /**
  * @class MoneyController
@@ -102,6 +108,8 @@ class MoneyController {
     /**
      * @function saveTransection
      * @description Saves a new transaction in the database and updates the related bank balance accordingly.
+     *              Both writes happen in one transaction with the bank row locked. The bank is the one of the payment
+     *              method (`method`); a `bank` sent along must match it.
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      * @returns {void}
@@ -110,9 +118,15 @@ class MoneyController {
         const db = new MySQL(); // Create a new instance of the MySQL utility
 
         try {
-            await db.connect(); // Connect to the database
+            if (!MoneyController.#isValidAmount(req.body.amount)) {
+                return res.status(400).json({ message: 'Amount must be a positive number', "success": false });
+            }
 
-            const bankId = req.body.bank; // Extract bankId from request body
+            if (!req.body.method) {
+                return res.status(400).json({ message: 'Payment method is required', "success": false });
+            }
+
+            await db.connect(); // Connect to the database
 
             // Prepare transaction details from request body
             const transectionDetails = {
@@ -120,30 +134,35 @@ class MoneyController {
                 transectionPaymentMeyhodId: req.body.method,
                 transectionTitle: req.body.title,
                 transectionAmount: req.body.amount,
-                transectionType: req.body.agree ? "1" : "0" // Determine transaction type based on 'agree' field
+                transectionType: req.body.agree ? Transaction.TYPES.INCOME : Transaction.TYPES.EXPENSE // Determine transaction type based on 'agree' field
             };
 
-            // Insert the new transaction into the database
-            const insertedId = await db.table(tables.TBL_TRANSECTIONS).insert(transectionDetails);
+            // Insert the transaction and apply it to the bank balance together, or not at all
+            const result = await db.transaction(async trx => {
+                // The balance is kept on the bank of the payment method, where updates and deletes correct it later
+                const bankId = await MoneyController.#getBankId(trx, transectionDetails.transectionPaymentMeyhodId);
+                if (!bankId) {
+                    return { status: 400, message: "Payment method not found!" };
+                }
 
-            if (insertedId) {
-                // Fetch the current bank balance from the database
-                const balance = await db.table(tables.TBL_BANK_DETAILS).select("bankAccountBalance").where("bankId", bankId).first();
+                if (req.body.bank && String(req.body.bank) !== String(bankId)) {
+                    return { status: 400, message: "Payment method does not belong to the bank!" };
+                }
 
-                // Calculate the new balance based on the transaction type
-                const balanceDetails = {
-                    bankAccountBalance: (transectionDetails.transectionType == "1" ? (parseFloat(balance.bankAccountBalance) + parseFloat(transectionDetails.transectionAmount)) : (parseFloat(balance.bankAccountBalance) - parseFloat(transectionDetails.transectionAmount)))
+                // Apply the amount to the bank balance based on the transaction type
+                const applied = await MoneyController.#applyBalanceChanges(trx, {
+                    [bankId]: Transaction.balanceChange(transectionDetails.transectionType, transectionDetails.transectionAmount)
+                });
+                if (!applied) {
+                    return { status: 400, message: "Bank not found!" };
                 }
 
-                // Update the bank balance in the database
-                await db.table(tables.TBL_BANK_DETAILS).where("bankId", bankId).update(balanceDetails);
+                // Insert the new transaction into the database
+                await Transaction.create(transectionDetails, trx);
+                return { status: 200, message: "Transection inserted successfully!" };
+            });
 
-                res.status(200).json({ message: "Transection inserted successfully!", "success": true }); // Send success response
-            } else {
-                const logger = new Logger(); // Create a new instance of the Logger utility
-                logger.write("Error in inserting transection: " + JSON.stringify(transectionDetails), "money/error"); // Log the error with transaction details
-                res.status(500).json({ message: "Transection not inserted successfully!", "success": false }); // Send failure response
-            }
+            res.status(result.status).json({ message: result.message, "success": result.status === 200 }); // Send the result
         } catch (error) {
             const logger = new Logger(); // Create a new instance of the Logger utility
             logger.write("Error in inserting transection: " + error, "money/error"); // Log the error with a custom message
@@ -153,6 +172,244 @@ class MoneyController {
         }
     }
 
+    /**
+     * @function saveTransfer
+     * @description Moves money from one bank to another. The source and destination are given as payment methods
+     *              (`fromMethod`, `toMethod`) or as banks (`fromBank`, `toBank`, booked on the first payment method of
+     *              the bank). A linked pair of transfer entries is written and the balance moved in one transaction
+     *              with the bank rows locked. Transfers are not counted as income or expense.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @returns {void}
+     */
+    static async saveTransfer(req, res) {
+        const db = new MySQL(); // Create a new instance of the MySQL utility
+
+        try {
+            const { userId, title, amount, fromMethod, toMethod, fromBank, toBank } = req.body;
+
+            if (!MoneyController.#isValidAmount(amount)) {
+                return res.status(400).json({ message: 'Amount must be a positive number', "success": false });
+            }
+
+            if (!(fromMethod || fromBank) || !(toMethod || toBank)) {
+                return res.status(400).json({ message: 'Source and destination are required', "success": false });
+            }
+
+            await db.connect(); // Connect to the database
+
+            const result = await db.transaction(async trx => {
+                const source = await MoneyController.#getPaymentMethod(trx, fromMethod, fromBank);
+                const destination = await MoneyController.#getPaymentMethod(trx, toMethod, toBank);
+                if (!source || !destination) {
+                    return { status: 400, message: "Payment method not found!" };
+                }
+
+                if (String(source.paymentMethodBankId) === String(destination.paymentMethodBankId)) {
+                    return { status: 400, message: "Source and destination must be different banks!" };
+                }
+
+                // Move the amount out of the source bank and into the destination bank
+                const applied = await MoneyController.#applyBalanceChanges(trx, {
+                    [source.paymentMethodBankId]: -parseFloat(amount),
+                    [destination.paymentMethodBankId]: parseFloat(amount)
+                });
+                if (!applied) {
+                    return { status: 400, message: "Bank not found!" };
+                }
+
+                // Write both entries of the transfer and link them to each other
+                const transfer = {
+                    transactionUserId: userId || (req.user && req.user.userId),
+                    transectionTitle: title || "Transfer",
+                    transectionAmount: amount,
+                    transectionType: Transaction.TYPES.TRANSFER
+                };
+                const outId = await Transaction.create({
+                    ...transfer,
+                    transectionPaymentMeyhodId: source.paymentMethodId,
+                    transectionTransferDirection: Transaction.TRANSFER_DIRECTIONS.OUT
+                }, trx);
+                const inId = await Transaction.create({
+                    ...transfer,
+                    transectionPaymentMeyhodId: destination.paymentMethodId,
+                    transectionTransferDirection: Transaction.TRANSFER_DIRECTIONS.IN,
+                    transectionLinkedId: outId
+                }, trx);
+                await Transaction.update(outId, { transectionLinkedId: inId }, trx);
+
+                return { status: 200, message: "Transfer saved successfully!", ids: [outId, inId], details: { amount: amount, fromBank: source.paymentMethodBankId, toBank: destination.paymentMethodBankId } };
+            });
+
+            if (result.status === 200) {
+                await MoneyController.#audit(req, auditActions.TRANSECTION_TRANSFER, result.ids.join(","), result.details);
+            }
+            res.status(result.status).json({ message: result.message, "success": result.status === 200 }); // Send the result
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in saving transfer: " + error, "money/error"); // Log the error with a custom message
+            res.status(500).json({ message: 'Oops! Something went wrong!', "success": false }); // Send an error response
+        } finally {
+            await db.disconnect(); // Disconnect from the database
+        }
+    }
+
+    /**
+     * @function updateTransection
+     * @description Edits a transaction, e.g. to fix a mistyped amount. Fields not sent are left as they are. The old
+     *              amount is taken back from its bank balance and the new one applied, so a changed amount, type or
+     *              payment method (and with it the bank) keeps every balance right. All of it happens in one
+     *              transaction with the transaction and bank rows locked.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @returns {void}
+     */
+    static async updateTransection(req, res) {
+        const db = new MySQL(); // Create a new instance of the MySQL utility
+
+        try {
+            const { id, userId, method, title, amount, agree } = req.body;
+
+            if (!id) {
+                return res.status(400).json({ message: 'Transection ID is required', "success": false });
+            }
+
+            if (amount !== undefined && !MoneyController.#isValidAmount(amount)) {
+                return res.status(400).json({ message: 'Amount must be a positive number', "success": false });
+            }
+
+            await db.connect(); // Connect to the database
+
+            const result = await db.transaction(async trx => {
+                const transection = await Transaction.query(trx).select("t.*").where("t.transactionId", id).lockForUpdate().first();
+                if (!transection) {
+                    return { status: 404, message: "Transection not found!" };
+                }
+
+                if (transection.transectionType === Transaction.TYPES.TRANSFER) {
+                    return { status: 400, message: "Transfers cannot be edited, delete the transfer and save it again!" };
+                }
+
+                // Map the accepted fields to their columns, skipping the ones not sent
+                const transectionUpdateDetails = {};
+                if (userId !== undefined) transectionUpdateDetails.transactionUserId = userId;
+                if (method !== undefined) transectionUpdateDetails.transectionPaymentMeyhodId = method;
+                if (title !== undefined) transectionUpdateDetails.transectionTitle = title;
+                if (amount !== undefined) transectionUpdateDetails.transectionAmount = amount;
+                if (agree !== undefined) transectionUpdateDetails.transectionType = agree ? Transaction.TYPES.INCOME : Transaction.TYPES.EXPENSE;
+
+                if (!Object.keys(transectionUpdateDetails).length) {
+                    return { status: 400, message: "Nothing to update" };
+                }
+
+                const updated = { ...transection, ...transectionUpdateDetails };
+                const oldBankId = await MoneyController.#getBankId(trx, transection.transectionPaymentMeyhodId);
+                const newBankId = await MoneyController.#getBankId(trx, updated.transectionPaymentMeyhodId);
+                if (!newBankId) {
+                    return { status: 400, message: "Payment method not found!" };
+                }
+
+                // Take the old amount back and apply the new one, both banks are the same one unless the payment method changed
+                const balanceChanges = { [newBankId]: Transaction.balanceChange(updated.transectionType, updated.transectionAmount) };
+                if (oldBankId) {
+                    balanceChanges[oldBankId] = (balanceChanges[oldBankId] || 0) - Transaction.balanceChange(transection.transectionType, transection.transectionAmount);
+                }
+                if (!await MoneyController.#applyBalanceChanges(trx, balanceChanges)) {
+                    return { status: 400, message: "Bank not found!" };
+                }
+
+                const fields = Object.keys(transectionUpdateDetails); // The edited fields, for the audit log
+                transectionUpdateDetails.transectionUpdatedDate = date();
+                await Transaction.update(id, transectionUpdateDetails, trx);
+                return { status: 200, message: "Transection updated successfully!", fields: fields };
+            });
+
+            if (result.status === 200) {
+                await MoneyController.#audit(req, auditActions.TRANSECTION_UPDATE, id, { fields: result.fields });
+            }
+            res.status(result.status).json({ message: result.message, "success": result.status === 200 }); // Send the result
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in updating transection: " + error, "money/error"); // Log the error with a custom message
+            res.status(500).json({ message: 'Oops! Something went wrong!', "success": false }); // Send an error response
+        } finally {
+            await db.disconnect(); // Disconnect from the database
+        }
+    }
+
+    /**
+     * @function deleteTransection
+     * @description Deletes a transaction and takes its amount back from the bank balance, in one transaction with the
+     *              transaction and bank rows locked. Deleting either entry of a transfer deletes both and moves the
+     *              money back. The rows are kept with the deletion date and user, so the history stays auditable;
+     *              deleted transactions no longer show up in the lists and totals.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @returns {void}
+     */
+    static async deleteTransection(req, res) {
+        const db = new MySQL(); // Create a new instance of the MySQL utility
+
+        try {
+            const { id } = req.body;
+
+            if (!id) {
+                return res.status(400).json({ message: 'Transection ID is required', "success": false });
+            }
+
+            await db.connect(); // Connect to the database
+
+            const result = await db.transaction(async trx => {
+                const transection = await Transaction.query(trx).select("t.*").where("t.transactionId", id).lockForUpdate().first();
+                if (!transection) {
+                    return { status: 404, message: "Transection not found!" };
+                }
+
+                // A transfer is deleted as a whole, together with its other entry
+                const entries = [transection];
+                if (transection.transectionType === Transaction.TYPES.TRANSFER && transection.transectionLinkedId) {
+                    const linked = await Transaction.query(trx).select("t.*").where("t.transactionId", transection.transectionLinkedId).lockForUpdate().first();
+                    if (linked) {
+                        entries.push(linked);
+                    }
+                }
+
+                // Reverse the effect of the entries on their bank balances
+                const balanceChanges = {};
+                for (const entry of entries) {
+                    const bankId = await MoneyController.#getBankId(trx, entry.transectionPaymentMeyhodId);
+                    if (!bankId) {
+                        return { status: 400, message: "Bank not found!" };
+                    }
+                    balanceChanges[bankId] = (balanceChanges[bankId] || 0) - Transaction.balanceChange(entry.transectionType, entry.transectionAmount, entry.transectionTransferDirection);
+                }
+                if (!await MoneyController.#applyBalanceChanges(trx, balanceChanges)) {
+                    return { status: 400, message: "Bank not found!" };
+                }
+
+                const deleteDetails = {
+                    transectionDeletedDate: date(),
+                    transectionDeletedUserId: (req.user && req.user.userId) || null
+                };
+                for (const entry of entries) {
+                    await Transaction.update(entry.transactionId, deleteDetails, trx);
+                }
+                return { status: 200, message: "Transection deleted successfully!", details: { amount: transection.transectionAmount, type: transection.transectionType, balanceChanges: balanceChanges } };
+            });
+
+            if (result.status === 200) {
+                await MoneyController.#audit(req, auditActions.TRANSECTION_DELETE, id, result.details);
+            }
+            res.status(result.status).json({ message: result.message, "success": result.status === 200 }); // Send the result
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in deleting transection: " + error, "money/error"); // Log the error with a custom message
+            res.status(500).json({ message: 'Oops! Something went wrong!', "success": false }); // Send an error response
+        } finally {
+            await db.disconnect(); // Disconnect from the database
+        }
+    }
+
     /**
      * @function getTransectionSummary
      * @description Fetches a summary of transactions (expense, income, and transfer) from the database and returns it in the response.
@@ -172,22 +429,22 @@ class MoneyController {
                 transfer: 0
             };
 
-            // Query transaction summary data from the database
-            const transectionDetails = await db.table(tables.TBL_TRANSECTIONS)
-                .select("sum(transectionAmount) as amount", "transectionType as type")
-                .groupBy("transectionType")
+            // Query transaction summary data from the database, a transfer is counted once by its outgoing entry
+            const transectionDetails = await Transaction.oneEntryPerTransfer(Transaction.query(db))
+                .select(MySQL.raw("SUM(t.transectionAmount) as amount"), "t.transectionType as type")
+                .groupBy("t.transectionType")
                 .get();
 
             // Categorize the amounts by transaction type
             transectionDetails.forEach(transection => {
                 switch (transection.type) {
-                    case "0":
+                    case Transaction.TYPES.EXPENSE:
                         response.expance = transection.amount;
                         break;
-                    case "1":
+                    case Transaction.TYPES.INCOME:
                         response.income = transection.amount;
                         break;
-                    case "2":
+                    case Transaction.TYPES.TRANSFER:
                         response.transfer = transection.amount;
                         break;
                 }
@@ -206,6 +463,7 @@ class MoneyController {
     /**
      * @function getRecentTransection
      * @description Fetches the most recent transactions from the database and returns them in the response.
+     *              A transfer is listed once, by its outgoing entry.
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      * @returns {void}
@@ -217,9 +475,9 @@ class MoneyController {
             await db.connect(); // Connect to the database
 
             // Query to fetch the most recent 5 transactions from the database
-            const transections = await db.table(tables.TBL_TRANSECTIONS)
-                .select("transectionAmount", "transectionType", "transectionTitle", "transectionTime")
-                .orderBy("transectionTime", "DESC")
+            const transections = await Transaction.oneEntryPerTransfer(Transaction.query(db))
+                .select("t.transectionAmount", "t.transectionType", "t.transectionTitle", "t.transectionTime")
+                .orderBy("t.transectionTime", "DESC")
                 .limit(5)
                 .get();
 
@@ -235,7 +493,9 @@ class MoneyController {
 
     /**
      * @function getTransection
-     * @description Fetches the most recent transactions from the database and returns them in the response.
+     * @description Fetches a page of transactions, newest first, and returns it with the paging metadata in the headers.
+     *              Accepts the `page` and `perPage` query parameters, `bankId` to list the transactions of one bank and
+     *              `withDeleted=1` to include deleted transactions, which carry their transectionDeletedDate.
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      * @returns {void}
@@ -246,16 +506,18 @@ class MoneyController {
         try {
             await db.connect(); // Connect to the database
 
-            // Query to fetch the most recent 5 transactions from the database
-            const transections = await db.table(tables.TBL_TRANSECTIONS + " t")
-                .join(tables.TBL_PAYMENT_METHODS + " m", "t.transectionPaymentMeyhodId=m.paymentMethodId")
-                .join(tables.TBL_BANK_DETAILS + " b", "b.bankId=m.paymentMethodBankId")
-                .join(tables.TBL_USERS + " u", "u.userId=t.transactionUserId")
-                .select("t.transactionId", "t.transectionAmount", "t.transectionType", "t.transectionTitle", "t.transectionTime", "m.paymentMethodName", "b.bankName", "CONCAT(u.userFirstName, ' ', u.userLastName) as name")
+            const { page, perPage } = getPagination(req); // Requested page and transactions per page
+
+            const withDeleted = req.query.withDeleted === "1"; // Whether to include deleted transactions
+
+            // Query a page of transactions, newest first, optionally of one bank only
+            const { data: transections, pagination } = await (req.query.bankId ? Transaction.forBank(req.query.bankId, db, withDeleted) : Transaction.withDetails(db, withDeleted))
+                .select("t.transactionId", "t.transectionAmount", "t.transectionType", "t.transectionTitle", "t.transectionTime", "t.transectionTransferDirection", "t.transectionLinkedId", "t.transectionDeletedDate", "pm.paymentMethodName", "b.bankName", MySQL.raw("CONCAT(u.userFirstName, ' ', u.userLastName) as name"))
                 .orderBy("t.transectionTime", "DESC")
-                .get();
+                .orderBy("t.transactionId", "DESC")
+                .paginate(page, perPage);
 
-            res.status(200).json(transections); // Send the recent transactions as a JSON response
+            setPaginationHeaders(res, pagination).status(200).json(transections); // Send the page of transactions as a JSON response, the paging metadata in the headers
         } catch (error) {
             const logger = new Logger(); // Create a new instance of the Logger utility
             logger.write("Error in fetching recent transection: " + error, "money/error"); // Log the error with a custom message
@@ -281,8 +543,8 @@ class MoneyController {
 
             // Query to get the total bank balance for active accounts
             const balanceData = await db.table(tables.TBL_BANK_DETAILS)
-                .select("SUM(bankAccountBalance) as totalBalance")
-                .where("bankAccountIsActive", "1")
+                .select(MySQL.raw("SUM(bankAccountBalance) as totalBalance"))
+                .where("bankAccountIsActive", BankDetail.FLAG.YES)
                 .first();
 
             res.status(200).json({ bankBalance: balanceData.totalBalance }); // Send the total bank balance as a JSON response
@@ -312,7 +574,7 @@ class MoneyController {
             // Query to get the total bank balance for active accounts
             const bankData = await db.table(tables.TBL_BANK_DETAILS)
                 .select("bankName as bank", "bankAccountBalance as balance")
-                .where("bankAccountIsActive", "1")
+                .where("bankAccountIsActive", BankDetail.FLAG.YES)
                 .get();
 
             res.status(200).json({ bankData: bankData }); // Send the total bank balance as a JSON response
@@ -324,6 +586,91 @@ class MoneyController {
             await db.disconnect(); // Disconnect from the database
         }
     }
+
+    /**
+     * @function #getBankId
+     * @description Returns the bank a payment method books on.
+     * @private
+     * @param {MySQL} trx - The transaction instance.
+     * @param {number|string} paymentMethodId - The payment method ID.
+     * @returns {Promise<number|null>} The bank ID, or null for an unknown payment method.
+     */
+    static async #getBankId(trx, paymentMethodId) {
+        const paymentMethod = await PaymentMethod.find(paymentMethodId, trx);
+        return paymentMethod ? paymentMethod.paymentMethodBankId : null;
+    }
+
+    /**
+     * @function #isValidAmount
+     * @description Checks that an amount is a positive number, e.g. 250 or "250.50".
+     * @private
+     * @param {*} amount - The amount from the request body.
+     * @returns {boolean}
+     */
+    static #isValidAmount(amount) {
+        const number = typeof amount === "string" && amount.trim() !== "" ? Number(amount) : amount;
+        return typeof number === "number" && Number.isFinite(number) && number > 0;
+    }
+
+    /**
+     * @function #getPaymentMethod
+     * @description Looks up a payment method by its ID, or the first payment method of a bank.
+     * @private
+     * @param {MySQL} trx - The transaction instance.
+     * @param {number|string} [paymentMethodId] - The payment method ID.
+     * @param {number|string} [bankId] - The bank ID, used when no payment method ID is given.
+     * @returns {Promise<Object|undefined>} The paymentMethodId and paymentMethodBankId, or undefined if there is none.
+     */
+    static async #getPaymentMethod(trx, paymentMethodId, bankId) {
+        const query = PaymentMethod.query(trx).select("pm.paymentMethodId", "pm.paymentMethodBankId");
+        if (paymentMethodId) {
+            return await query.where("pm.paymentMethodId", paymentMethodId).first();
+        }
+        return await query.where("pm.paymentMethodBankId", bankId).orderBy("pm.paymentMethodId", "ASC").first();
+    }
+
+    /**
+     * @function #applyBalanceChanges
+     * @description Adds an amount to the balance of one or more banks. Every bank row is locked first, in ID order so
+     *              two requests cannot end up waiting on each other, and nothing is changed if a bank does not exist.
+     * @private
+     * @param {MySQL} trx - The transaction instance.
+     * @param {Object} changes - The amount to add per bank ID, negative to subtract.
+     * @returns {Promise<boolean>} Whether every bank exists.
+     */
+    static async #applyBalanceChanges(trx, changes) {
+        const bankIds = Object.keys(changes).sort((a, b) => a - b);
+
+        const balances = {};
+        for (const bankId of bankIds) {
+            const bank = await BankDetail.query(trx).select("b.bankAccountBalance").where("b.bankId", bankId).lockForUpdate().first();
+            if (!bank) {
+                return false;
+            }
+            balances[bankId] = parseFloat(bank.bankAccountBalance);
+        }
+
+        for (const bankId of bankIds) {
+            const bankAccountBalance = Math.round((balances[bankId] + changes[bankId]) * 100) / 100; // Keep the two decimals of the column
+            await BankDetail.update(bankId, { bankAccountBalance: bankAccountBalance }, trx);
+        }
+        return true;
+    }
+
+    /**
+     * @function #audit
+     * @description Records a change to a transaction in the audit log.
+     * @private
+     * @param {Object} req - Express request object
+     * @param {string} action - The audit action.
+     * @param {number|string} transectionId - The transaction ID.
+     * @param {Object} [details=null] - Extra details of the change.
+     * @returns {Promise<void>}
+     */
+    static async #audit(req, action, transectionId, details = null) {
+        const auditLog = new AuditLog(); // Create a new instance of the AuditLog utility
+        await auditLog.write(req, { action, target: transectionId, details });
+    }
 }
 
 module.exports = MoneyController; // Export the MoneyController class
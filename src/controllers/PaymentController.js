@@ -1,6 +1,8 @@
 const Logger = require('../utils/logs/Logger'); // Import the Logger utility for logging
 const PaymentService = require('../services/payment/PaymentService');
 const { getOption } = require('../utils/functions');
+const AuditLog = require('../utils/logs/AuditLog'); // Import the AuditLog utility for recording security events
+const auditActions = require('../config/auditActions'); // Import audit action names
 
 /**
  * @class PaymentController
@@ -31,6 +33,12 @@ class PaymentController {
             linkNotify: data.linkNotify,
         };
         const paymentLink = await payment.createPaymentLink(linkConfig, data.contactId, data.linkType);
+        await new AuditLog().write(req, {
+            action: auditActions.PAYMENT_LINK_CREATE,
+            outcome: paymentLink ? AuditLog.SUCCESS : AuditLog.FAILURE,
+            target: data.contactId,
+            details: { amount: data.amount, linkType: data.linkType }
+        });
         res.status(200).json({ success: true, message: 'Link created successfully!', data: paymentLink });
     }
 
@@ -47,6 +55,12 @@ class PaymentController {
             cardDetails: data.cardDetails,
         };
         const paymentLink = await payment.createPayoutLink(linkConfig, data.contactId, data.linkType);
+        await new AuditLog().write(req, {
+            action: auditActions.PAYOUT_CREATE,
+            outcome: paymentLink ? AuditLog.SUCCESS : AuditLog.FAILURE,
+            target: data.contactId,
+            details: { amount: data.amount, type: data.type, linkType: data.linkType }
+        });
         res.status(200).json({ message: 'Details logged successfully!', data: paymentLink });
     }
 
@@ -0,0 +1,133 @@
+const Logger = require('../utils/logs/Logger'); // Import the Logger utility for logging
+const LoginThrottleService = require('../services/auth/LoginThrottleService'); // Import the Login throttle service
+const MySQL = require('../utils/db/Mysql'); // Import the MySQL utility for database operations
+const tables = require('../config/tables'); // Import table configurations
+const { getPagination, setPaginationHeaders, date } = require('../utils/functions'); // Utility functions for paging and dates
+
+/**
+ * @class SecurityController
+ * @description Controller class for administrative security operations such as unlocking locked-out accounts
+ *              and browsing the audit log.
+ * @version 1.0.0
+ * @date 2026-10-18
+ * @author Jay Chauhan
+ */
+class SecurityController {
+    /**
+     * @function unlockAccount
+     * @description Clears the failed login attempts and lockout of a username and, optionally, of an IP address.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async unlockAccount(req, res) {
+        try {
+            const username = req.body.username; // Get the username from the request body
+            const ip = req.body.ip; // Get the optional IP address from the request body
+
+            if (!username && !ip) {
+                return res.status(400).json({ message: 'Username or IP address is required' });
+            }
+
+            const keys = [];
+            if (username) keys.push('user:' + String(username).trim().toLowerCase());
+            if (ip) keys.push('ip:' + String(ip).trim());
+
+            const throttle = new LoginThrottleService(); // Create a new instance of the Login throttle service
+            const unlocked = await throttle.reset(keys); // Clear the failures and lockout
+
+            if (unlocked) {
+                res.status(200).json({ success: true, message: 'Account unlocked successfully' });
+            } else {
+                res.status(404).json({ success: false, message: 'No lockout found' });
+            }
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in unlocking account: " + error, "security/error"); // Log the error
+            res.status(500).json({ message: 'Oops! Something went wrong!' }); // Send an error response
+        }
+    }
+
+    /**
+     * @function getAuditLog
+     * @description Fetches a page of audit entries, newest first. Supports filtering by action, outcome,
+     *              actor, IP address and a date range through the query string. A date-only `to` includes that whole day.
+     *              The paging details are sent in the X-Total-Count, X-Page, X-Per-Page, X-Total-Pages and X-Next-Page headers.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async getAuditLog(req, res) {
+        const db = new MySQL(); // Create a new instance of the MySQL utility
+
+        try {
+            const { page, perPage } = getPagination(req); // Requested page and entries per page
+            const { action, outcome, actorId, ip, from, to } = req.query; // Get the filters from the query string
+
+            // A repeated query parameter arrives as an array, only single values are accepted
+            if ([action, outcome, actorId, ip, from, to].some(value => value !== undefined && typeof value !== 'string')) {
+                return res.status(400).json({ message: 'Each filter can only be given once' });
+            }
+
+            const fromDate = from ? SecurityController.#parseDate(from, false) : null;
+            const toDate = to ? SecurityController.#parseDate(to, true) : null;
+            if ((from && !fromDate) || (to && !toDate)) {
+                return res.status(400).json({ message: 'From and to must be valid dates' });
+            }
+
+            await db.connect(); // Connect to the database
+
+            // Apply the filters from the query string
+            db.table(tables.TBL_AUDIT_LOGS).select("*");
+            if (action) db.where("auditAction", action);
+            if (outcome) db.where("auditOutcome", outcome);
+            if (actorId) db.where("auditActorUserId", actorId);
+            if (ip) db.where("auditIp", ip);
+            if (fromDate) db.where("auditCreatedDate", fromDate, ">=");
+            if (toDate) db.where("auditCreatedDate", toDate, "<=");
+
+            // Query the requested page and count the matching entries
+            const { data: entries, pagination } = await db.orderBy("auditId", "DESC").paginate(page, perPage);
+
+            const response = entries.map(entry => ({
+                id: entry.auditId,
+                actorId: entry.auditActorUserId,
+                apiKeyId: entry.auditActorApiKeyId,
+                action: entry.auditAction,
+                target: entry.auditTarget,
+                ip: entry.auditIp,
+                userAgent: entry.auditUserAgent,
+                outcome: entry.auditOutcome,
+                details: entry.auditDetails ? JSON.parse(entry.auditDetails) : null,
+                createdAt: entry.auditCreatedDate
+            })); // Map the entries to the response format
+
+            setPaginationHeaders(res, pagination).status(200).json({ success: true, entries: response });
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in getting audit log: " + error, "security/error"); // Log the error
+            res.status(500).json({ message: 'Oops! Something went wrong!' }); // Send an error response
+        } finally {
+            await db.disconnect(); // Disconnect from the database
+        }
+    }
+
+    /**
+     * @function #parseDate
+     * @description Converts a date filter to the format of the audit log dates.
+     * @param {string} value - The date from the query string, with or without a time.
+     * @param {boolean} endOfDay - Whether a date without a time stands for the end of that day.
+     * @returns {string|null} The date as YYYY-MM-DD HH:mm:ss, or null if it is not a valid date.
+     * @private
+     */
+    static #parseDate(value, endOfDay) {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            value += endOfDay ? ' 23:59:59' : ' 00:00:00'; // Read date-only values in local time
+        }
+
+        const time = new Date(value).getTime();
+        return isNaN(time) ? null : date('YYYY-MM-DD HH:mm:ss', time);
+    }
+}
+
+module.exports = SecurityController; // Export the SecurityController class
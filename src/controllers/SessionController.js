@@ -0,0 +1,115 @@
+const MySQL = require('../utils/db/Mysql'); // Import the MySQL utility for database operations
+const tables = require('../config/tables'); // Import table configurations
+const Logger = require('../utils/logs/Logger'); // Import the Logger utility for logging
+const TokenService = require('../services/auth/TokenService'); // Import the Token service for revoking sessions
+
+/**
+ * @class SessionController
+ * @description Controller class for listing and revoking the login sessions (devices) of the logged-in user.
+ * @version 1.0.0
+ * @date 2026-10-18
+ * @author Jay Chauhan
+ */
+class SessionController {
+    /**
+     * @function getSessions
+     * @description Fetches the active sessions of the logged-in user, flagging the one making the request.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async getSessions(req, res) {
+        const db = new MySQL(); // Create a new instance of the MySQL utility
+
+        try {
+            await db.connect(); // Connect to the database
+
+            // Query the active sessions of the user
+            const sessions = await db.table(tables.TBL_USER_SESSIONS)
+                .select("sessionId", "sessionIp", "sessionUserAgent", "sessionCreatedDate", "sessionLastSeenDate")
+                .where("sessionUserId", req.user.userId)
+                .where("sessionStatus", "1")
+                .orderBy("sessionLastSeenDate", "DESC")
+                .get();
+
+            const response = sessions.map(session => ({
+                id: session.sessionId,
+                ip: session.sessionIp,
+                userAgent: session.sessionUserAgent,
+                createdAt: session.sessionCreatedDate,
+                lastSeenAt: session.sessionLastSeenDate,
+                current: session.sessionId == req.user.sessionId
+            })); // Map the sessions to the response format
+
+            res.status(200).json({ success: true, sessions: response });
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in getting sessions: " + error, "session/error"); // Log the error
+            res.status(500).json({ message: 'Oops! Something went wrong!' }); // Send an error response
+        } finally {
+            await db.disconnect(); // Disconnect from the database
+        }
+    }
+
+    /**
+     * @function revokeSession
+     * @description Revokes one session of the logged-in user, signing that device out.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async revokeSession(req, res) {
+        const db = new MySQL(); // Create a new instance of the MySQL utility
+
+        try {
+            const sessionId = req.body.sessionId; // Get the session ID from the request body
+
+            if (!sessionId) {
+                return res.status(400).json({ message: 'Session ID is required' });
+            }
+
+            await db.connect(); // Connect to the database
+
+            // Revoke the session, only if it belongs to the logged-in user
+            const revoked = await db.table(tables.TBL_USER_SESSIONS)
+                .where("sessionId", sessionId)
+                .where("sessionUserId", req.user.userId)
+                .where("sessionStatus", "1")
+                .update({ sessionStatus: "0" });
+
+            if (revoked) {
+                res.status(200).json({ success: true, message: 'Session revoked successfully' });
+            } else {
+                res.status(404).json({ success: false, message: 'Session not found' });
+            }
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in revoking session: " + error, "session/error"); // Log the error
+            res.status(500).json({ message: 'Oops! Something went wrong!' }); // Send an error response
+        } finally {
+            await db.disconnect(); // Disconnect from the database
+        }
+    }
+
+    /**
+     * @function revokeOtherSessions
+     * @description Revokes every session of the logged-in user except the one making the request ("log out everywhere else").
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async revokeOtherSessions(req, res) {
+        try {
+            const tokenService = new TokenService(); // Create a new instance of the Token service
+            await tokenService.revokeSessions(req.user.userId, req.user.sessionId); // Keep only the current session
+
+            res.status(200).json({ success: true, message: 'All other sessions revoked successfully' });
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in revoking other sessions: " + error, "session/error"); // Log the error
+            res.status(500).json({ message: 'Oops! Something went wrong!' }); // Send an error response
+        }
+    }
+}
+
+module.exports = SessionController; // Export the SessionController class
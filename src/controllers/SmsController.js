@@ -1,6 +1,7 @@
 const Logger = require('../utils/logs/Logger'); // Import the Logger utility for logging
 const MySQL = require('../utils/db/Mysql'); // Import the MySQL utility for database operations
 const tables = require('../config/tables'); // Import table configurations
+const { getPagination, setPaginationHeaders } = require('../utils/functions'); // Utility functions to read the paging query parameters and send the paging headers
 
 /**
  * @class SmsController
@@ -15,7 +16,10 @@ class SmsController {
     /**
      * @static
      * @method getSms
-     * @description Fetches SMS data from the database and sends it as a JSON response.
+     * @description Fetches a page of SMS conversations, the most recently active first, with all of their messages
+     *              and sends them as a JSON response. Every number an SMS was sent from or to is one conversation.
+     *              Accepts the `page` and `perPage` query parameters and sends the paging metadata in the X-Total-Count,
+     *              X-Page, X-Per-Page, X-Total-Pages and X-Next-Page headers, counted in conversations.
      * @param {Object} req - HTTP request object
      * @param {Object} res - HTTP response object
      */
@@ -23,11 +27,36 @@ class SmsController {
         const db = new MySQL(); // Create a new instance of the MySQL utility
 
         try {
+            const { page, perPage } = getPagination(req, 20); // Requested page and conversations per page
+
             await db.connect(); // Connect to the database
-            const smsData = await db.table(tables.TBL_SMS).select("*").get(); // Fetch SMS data from the specified table
+
+            // Page through the numbers on either side of the messages, each number is one conversation
+            const { data: numbers, pagination } = await db.table(MySQL.raw(`(SELECT smsFrom AS smsNumber, smsTime FROM ${tables.TBL_SMS} UNION ALL SELECT smsTo AS smsNumber, smsTime FROM ${tables.TBL_SMS}) n`))
+                .select("n.smsNumber", MySQL.raw("MAX(n.smsTime) as lastMessageTime"))
+                .groupBy("n.smsNumber")
+                .orderBy("lastMessageTime", "DESC")
+                .orderBy("n.smsNumber", "ASC")
+                .paginate(page, perPage);
+
+            let smsData = [];
+            if (numbers.length) {
+                const smsNumbers = numbers.map(number => number.smsNumber);
+                smsData = await db.table(tables.TBL_SMS)
+                    .select("*")
+                    .where(query => query.whereIn("smsFrom", smsNumbers).orWhere(group => group.whereIn("smsTo", smsNumbers)))
+                    .orderBy("smsTime", "ASC")
+                    .orderBy("smsId", "ASC")
+                    .get(); // Fetch the messages of the conversations on this page, oldest first
+            }
+
+            // Keep the conversations of this page, in the order of the page
             const userMessage = SmsController.#generateSmsJson(smsData); // Generate JSON object from the SMS data
+            const conversations = numbers
+                .map(number => userMessage.find(user => user.userId === number.smsNumber))
+                .filter(Boolean);
 
-            res.status(200).json(userMessage); // Send the SMS data as a JSON response
+            setPaginationHeaders(res, pagination).status(200).json(conversations); // Send the SMS data as a JSON response, the paging metadata in the headers
         } catch (error) {
             const logger = new Logger(); // Create a new instance of the Logger utility
             logger.write("Error in getting sms: " + error, "sms/error"); // Log the error
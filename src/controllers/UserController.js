@@ -0,0 +1,461 @@
+const crypto = require('crypto'); // Import the crypto module for generating placeholder passwords
+const MySQL = require('../utils/db/Mysql'); // Import the MySQL utility for database operations
+const tables = require('../config/tables'); // Import table configurations
+const Logger = require('../utils/logs/Logger'); // Import the Logger utility for logging
+const AuditLog = require('../utils/logs/AuditLog'); // Import the AuditLog utility for recording security events
+const auditActions = require('../config/auditActions'); // Import audit action names
+const Password = require('../utils/password/Password'); // Import the Password utility for hashing passwords
+const TokenService = require('../services/auth/TokenService'); // Import the Token service for revoking sessions
+const PasswordResetService = require('../services/auth/PasswordResetService'); // Import the Password reset service for invite and reset links
+
+/**
+ * @class UserController
+ * @description Controller class for managing the admin users: listing, inviting, editing, assigning roles,
+ *              deactivating and forcing password resets. Every change is recorded in the audit log.
+ * @version 1.0.0
+ * @date 2026-10-18
+ * @author Jay Chauhan
+ */
+class UserController {
+    /**
+     * @function getUsers
+     * @description Fetches all users with their role.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async getUsers(req, res) {
+        const db = new MySQL(); // Create a new instance of the MySQL utility
+
+        try {
+            await db.connect(); // Connect to the database
+
+            const users = await db.table(tables.TBL_USERS + " u")
+                .join(tables.TBL_USER_ROLES + " r", "r.roleId=u.userRoleId", "LEFT")
+                .select("u.userId", "u.userFirstName", "u.userLastName", "u.userEmail", "u.userLogin", "u.userPhoneNumber", "u.userWhatsappNumber", "u.userRoleId", "r.roleName", "u.userIsActive", "u.userIsEmailVerified", "u.userLoginFactor")
+                .orderBy("u.userId", "ASC")
+                .get();
+
+            const response = users.map(user => ({
+                id: user.userId,
+                firstName: user.userFirstName,
+                lastName: user.userLastName,
+                email: user.userEmail,
+                login: user.userLogin,
+                phoneNumber: user.userPhoneNumber,
+                whatsappNumber: user.userWhatsappNumber,
+                roleId: user.userRoleId,
+                roleName: user.roleName,
+                isActive: user.userIsActive == "1",
+                isEmailVerified: user.userIsEmailVerified == "1",
+                loginFactor: user.userLoginFactor == "1" ? 'totp' : 'email'
+            })); // Map the users to the response format
+
+            res.status(200).json({ success: true, users: response });
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in getting users: " + error, "user/error"); // Log the error
+            res.status(500).json({ message: 'Oops! Something went wrong!' }); // Send an error response
+        } finally {
+            await db.disconnect(); // Disconnect from the database
+        }
+    }
+
+    /**
+     * @function createUser
+     * @description Creates a user and emails them an invite link to choose their password.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async createUser(req, res) {
+        const db = new MySQL(); // Create a new instance of the MySQL utility
+
+        try {
+            const { firstName, lastName, email, login, roleId, phoneNumber, whatsappNumber } = req.body;
+
+            if (!firstName || !lastName || !email || !login || !roleId) {
+                return res.status(400).json({ message: 'First name, last name, email, login and role are required' });
+            }
+
+            const validationError = UserController.#validateContactDetails({ email, phoneNumber, whatsappNumber });
+            if (validationError) {
+                return res.status(400).json({ message: validationError });
+            }
+
+            await db.connect(); // Connect to the database
+
+            if (!(await UserController.#roleExists(db, roleId))) {
+                return res.status(400).json({ message: 'Role not found' });
+            }
+
+            // Logins and emails must stay unique
+            const existingUser = await db.table(tables.TBL_USERS)
+                .select("userId")
+                .where(query => query.where("userLogin", login).orWhere("userEmail", email))
+                .first();
+
+            if (existingUser) {
+                return res.status(409).json({ message: 'A user with this login or email already exists' });
+            }
+
+            const user = {
+                userFirstName: firstName,
+                userLastName: lastName,
+                userEmail: email,
+                userLogin: login,
+                userPhoneNumber: phoneNumber || null,
+                userWhatsappNumber: whatsappNumber || null,
+                userRoleId: roleId,
+                userPassword: await Password.hash(crypto.randomBytes(32).toString('hex')), // Unusable until the invite is accepted
+                userIsEmailVerified: "0",
+                userIsActive: "1"
+            };
+            const userId = await db.table(tables.TBL_USERS).insert(user);
+
+            // Let the new user choose their own password
+            const passwordResetService = new PasswordResetService(); // Create a new instance of the Password reset service
+            const inviteSent = await passwordResetService.sendLink({ userId, ...user }, PasswordResetService.TYPE_INVITE);
+
+            await UserController.#audit(req, auditActions.USER_CREATE, userId, { login, email, roleId, inviteSent });
+            res.status(200).json({
+                success: true,
+                message: inviteSent ? 'User created and invite sent' : 'User created, but the invite could not be sent',
+                userId: userId,
+                inviteSent: inviteSent
+            });
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in creating user: " + error, "user/error"); // Log the error
+            res.status(500).json({ message: 'Oops! Something went wrong!' }); // Send an error response
+        } finally {
+            await db.disconnect(); // Disconnect from the database
+        }
+    }
+
+    /**
+     * @function updateUser
+     * @description Updates the profile, email and phone/WhatsApp numbers of a user. Changing the email marks it unverified.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async updateUser(req, res) {
+        const db = new MySQL(); // Create a new instance of the MySQL utility
+
+        try {
+            const { userId, firstName, lastName, email, phoneNumber, whatsappNumber } = req.body;
+
+            if (!userId) {
+                return res.status(400).json({ message: 'User ID is required' });
+            }
+
+            const validationError = UserController.#validateContactDetails({ email, phoneNumber, whatsappNumber });
+            if (validationError) {
+                return res.status(400).json({ message: validationError });
+            }
+
+            await db.connect(); // Connect to the database
+
+            const user = await db.table(tables.TBL_USERS)
+                .select("userId", "userEmail")
+                .where("userId", userId)
+                .first();
+
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            // Map the accepted fields to their columns, skipping the ones not sent
+            const userUpdateDetails = {};
+            if (firstName !== undefined) userUpdateDetails.userFirstName = firstName;
+            if (lastName !== undefined) userUpdateDetails.userLastName = lastName;
+            if (phoneNumber !== undefined) userUpdateDetails.userPhoneNumber = phoneNumber || null;
+            if (whatsappNumber !== undefined) userUpdateDetails.userWhatsappNumber = whatsappNumber || null;
+
+            if (email !== undefined && email !== user.userEmail) {
+                const emailOwner = await db.table(tables.TBL_USERS)
+                    .select("userId")
+                    .where("userEmail", email)
+                    .first();
+
+                if (emailOwner) {
+                    return res.status(409).json({ message: 'A user with this email already exists' });
+                }
+
+                userUpdateDetails.userEmail = email;
+                userUpdateDetails.userIsEmailVerified = "0"; // The new address has to be verified again
+            }
+
+            if (!Object.keys(userUpdateDetails).length) {
+                return res.status(400).json({ message: 'Nothing to update' });
+            }
+
+            await db.table(tables.TBL_USERS).where("userId", userId).update(userUpdateDetails);
+
+            await UserController.#audit(req, auditActions.USER_UPDATE, userId, { fields: Object.keys(userUpdateDetails) });
+            res.status(200).json({ success: true, message: 'User updated successfully' });
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in updating user: " + error, "user/error"); // Log the error
+            res.status(500).json({ message: 'Oops! Something went wrong!' }); // Send an error response
+        } finally {
+            await db.disconnect(); // Disconnect from the database
+        }
+    }
+
+    /**
+     * @function assignRole
+     * @description Assigns a role to a user. Users cannot change their own role.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async assignRole(req, res) {
+        const db = new MySQL(); // Create a new instance of the MySQL utility
+
+        try {
+            const { userId, roleId } = req.body;
+
+            if (!userId || !roleId) {
+                return res.status(400).json({ message: 'User ID and role are required' });
+            }
+
+            if (userId == req.user.userId) {
+                return res.status(400).json({ message: 'You cannot change your own role' });
+            }
+
+            await db.connect(); // Connect to the database
+
+            if (!(await UserController.#roleExists(db, roleId))) {
+                return res.status(400).json({ message: 'Role not found' });
+            }
+
+            const user = await db.table(tables.TBL_USERS)
+                .select("userId", "userRoleId")
+                .where("userId", userId)
+                .first();
+
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            await db.table(tables.TBL_USERS).where("userId", userId).update({ userRoleId: roleId });
+
+            await UserController.#audit(req, auditActions.USER_ROLE_ASSIGN, userId, { from: user.userRoleId, to: roleId });
+            res.status(200).json({ success: true, message: 'Role assigned successfully' });
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in assigning role: " + error, "user/error"); // Log the error
+            res.status(500).json({ message: 'Oops! Something went wrong!' }); // Send an error response
+        } finally {
+            await db.disconnect(); // Disconnect from the database
+        }
+    }
+
+    /**
+     * @function deactivateUser
+     * @description Deactivates a user: signs them out everywhere, revokes their API keys and invalidates their pending OTPs and links.
+     *              Users cannot deactivate themselves.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async deactivateUser(req, res) {
+        const db = new MySQL(); // Create a new instance of the MySQL utility
+
+        try {
+            const userId = req.body.userId; // Get the user ID from the request body
+
+            if (!userId) {
+                return res.status(400).json({ message: 'User ID is required' });
+            }
+
+            if (userId == req.user.userId) {
+                return res.status(400).json({ message: 'You cannot deactivate yourself' });
+            }
+
+            await db.connect(); // Connect to the database
+
+            const deactivated = await db.table(tables.TBL_USERS)
+                .where("userId", userId)
+                .where("userIsActive", "1")
+                .update({ userIsActive: "0" });
+
+            if (!deactivated) {
+                return res.status(404).json({ message: 'Active user not found' });
+            }
+
+            // Invalidate pending OTPs, login keys, reset and invite links
+            await db.table(tables.TBL_USER_VERIFICATION_DETAILS)
+                .where("verificationUserId", userId)
+                .where("verificationStatus", "1")
+                .update({ verificationStatus: "0" });
+
+            // Revoke the API keys created by the user
+            await db.table(tables.TBL_API_KEYS)
+                .where("apiKeyUserId", userId)
+                .where("apiKeyStatus", "1")
+                .update({ apiKeyStatus: "0" });
+
+            const tokenService = new TokenService(); // Create a new instance of the Token service
+            await tokenService.revokeSessions(userId); // Sign the user out everywhere
+
+            await UserController.#audit(req, auditActions.USER_DEACTIVATE, userId);
+            res.status(200).json({ success: true, message: 'User deactivated successfully' });
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in deactivating user: " + error, "user/error"); // Log the error
+            res.status(500).json({ message: 'Oops! Something went wrong!' }); // Send an error response
+        } finally {
+            await db.disconnect(); // Disconnect from the database
+        }
+    }
+
+    /**
+     * @function activateUser
+     * @description Reactivates a deactivated user.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async activateUser(req, res) {
+        const db = new MySQL(); // Create a new instance of the MySQL utility
+
+        try {
+            const userId = req.body.userId; // Get the user ID from the request body
+
+            if (!userId) {
+                return res.status(400).json({ message: 'User ID is required' });
+            }
+
+            await db.connect(); // Connect to the database
+
+            const activated = await db.table(tables.TBL_USERS)
+                .where("userId", userId)
+                .where("userIsActive", "0")
+                .update({ userIsActive: "1" });
+
+            if (!activated) {
+                return res.status(404).json({ message: 'Deactivated user not found' });
+            }
+
+            await UserController.#audit(req, auditActions.USER_ACTIVATE, userId);
+            res.status(200).json({ success: true, message: 'User activated successfully' });
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in activating user: " + error, "user/error"); // Log the error
+            res.status(500).json({ message: 'Oops! Something went wrong!' }); // Send an error response
+        } finally {
+            await db.disconnect(); // Disconnect from the database
+        }
+    }
+
+    /**
+     * @function forcePasswordReset
+     * @description Replaces the password of a user with an unusable one, signs them out everywhere and emails them
+     *              a password reset link.
+     * @param {Request} req - The Express request object.
+     * @param {Response} res - The Express response object.
+     * @returns {Promise<void>}
+     */
+    static async forcePasswordReset(req, res) {
+        const db = new MySQL(); // Create a new instance of the MySQL utility
+
+        try {
+            const userId = req.body.userId; // Get the user ID from the request body
+
+            if (!userId) {
+                return res.status(400).json({ message: 'User ID is required' });
+            }
+
+            await db.connect(); // Connect to the database
+
+            const user = await db.table(tables.TBL_USERS)
+                .select("userId", "userFirstName", "userLastName", "userEmail")
+                .where("userId", userId)
+                .where("userIsActive", "1")
+                .first();
+
+            if (!user) {
+                return res.status(404).json({ message: 'Active user not found' });
+            }
+
+            // The old password stops working right away
+            await db.table(tables.TBL_USERS)
+                .where("userId", userId)
+                .update({ userPassword: await Password.hash(crypto.randomBytes(32).toString('hex')) });
+
+            const tokenService = new TokenService(); // Create a new instance of the Token service
+            await tokenService.revokeSessions(userId); // Sign the user out everywhere
+
+            const passwordResetService = new PasswordResetService(); // Create a new instance of the Password reset service
+            const linkSent = await passwordResetService.sendLink(user);
+
+            await UserController.#audit(req, auditActions.USER_PASSWORD_RESET, userId, { linkSent });
+            res.status(200).json({
+                success: true,
+                message: linkSent ? 'Password reset and link sent' : 'Password reset, but the link could not be sent',
+                linkSent: linkSent
+            });
+        } catch (error) {
+            const logger = new Logger(); // Create a new instance of the Logger utility
+            logger.write("Error in forcing password reset: " + error, "user/error"); // Log the error
+            res.status(500).json({ message: 'Oops! Something went wrong!' }); // Send an error response
+        } finally {
+            await db.disconnect(); // Disconnect from the database
+        }
+    }
+
+    /**
+     * @function #validateContactDetails
+     * @description Checks the format of the email and phone/WhatsApp numbers, skipping the ones not sent.
+     * @param {Object} details - `{ email, phoneNumber, whatsappNumber }`.
+     * @returns {string|null} - An error message, or null if the details are valid.
+     * @private
+     */
+    static #validateContactDetails(details) {
+        if (details.email !== undefined && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(details.email))) {
+            return 'Invalid email address';
+        }
+        for (const field of ['phoneNumber', 'whatsappNumber']) {
+            if (details[field] && !/^\d{10}$/.test(String(details[field]))) {
+                return `Invalid ${field === 'phoneNumber' ? 'phone' : 'WhatsApp'} number, expected 10 digits`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @function #roleExists
+     * @description Checks whether a role exists.
+     * @param {Object} db - Database connection object.
+     * @param {number} roleId - The ID of the role.
+     * @returns {Promise<boolean>} - True if the role exists.
+     * @private
+     */
+    static async #roleExists(db, roleId) {
+        const role = await db.table(tables.TBL_USER_ROLES)
+            .select("roleId")
+            .where("roleId", roleId)
+            .first();
+        return !!role;
+    }
+
+    /**
+     * @function #audit
+     * @description Records a user management change in the audit log.
+     * @param {Request} req - The Express request object.
+     * @param {string} action - The audit action name.
+     * @param {number} userId - The user that was changed.
+     * @param {Object} [details] - Extra details of the change.
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async #audit(req, action, userId, details = null) {
+        const auditLog = new AuditLog(); // Create a new instance of the AuditLog utility
+        await auditLog.write(req, { action, target: userId, details });
+    }
+}
+
+module.exports = UserController; // Export the UserController class
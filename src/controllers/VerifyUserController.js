@@ -2,13 +2,15 @@ const MySQL = require('../utils/db/Mysql'); // Import the MySQL utility for data
 const tables = require('../config/tables'); // Import table configurations
 const Logger = require('../utils/logs/Logger'); // Import the Logger utility for logging
 const TwoFactorAuthService = require('../services/2fa/TwoFactorAuthService');
+const AuditLog = require('../utils/logs/AuditLog'); // Import the AuditLog utility for recording security events
+const auditActions = require('../config/auditActions'); // Import audit action names
 
 class VerifyUserController {
     static async createSecret(req, res) {
         try {
-            const token = req.headers.authorization.replace("Bearer ", "");
-            const mfaService = new TwoFactorAuthService(token);
+            const mfaService = new TwoFactorAuthService(req.user.userId);
             const qrUrl = await mfaService.generateSecret();
+            await new AuditLog().write(req, { action: auditActions.TWOFA_ENROLL, outcome: qrUrl ? AuditLog.SUCCESS : AuditLog.FAILURE });
 
             res.status(200).json({ success: true, qrUrl: qrUrl });
         } catch (error) {
@@ -21,18 +23,85 @@ class VerifyUserController {
 
     static async verifySecret(req, res) {
         try {
-            const token = req.headers.authorization.replace("Bearer ", "");
             const reqData = req.body;
-            const mfaService = new TwoFactorAuthService(token);
-            const verify = await mfaService.verifyCode(reqData.code);
+            const mfaService = new TwoFactorAuthService(req.user.userId);
+            const result = await mfaService.verifyCode(reqData.code);
+            await new AuditLog().write(req, { action: auditActions.TWOFA_VERIFY, outcome: result.verified ? AuditLog.SUCCESS : AuditLog.FAILURE, details: { activated: result.activated } });
 
-            res.status(200).json({ success: true, message: "Verified User!", verify: verify });
+            if (result.activated) {
+                // Recovery codes are only shown once, right after the authenticator is confirmed
+                return res.status(200).json({ success: true, message: "Authenticator enabled!", verify: true, recoveryCodes: result.recoveryCodes });
+            }
+
+            res.status(200).json({ success: true, message: "Verified User!", verify: result.verified });
         } catch (error) {
             const logger = new Logger();
             logger.write("Error verifying user [controller]: " + JSON.stringify(error), "verifyuser/error");
             res.status(500).json({ message: 'Oops! Something went wrong!' });
         }
     }
+
+    static async setLoginFactor(req, res) {
+        try {
+            const factor = req.body.factor;
+
+            if (!['email', 'totp'].includes(factor)) {
+                return res.status(400).json({ success: false, message: "Factor must be 'email' or 'totp'!" });
+            }
+
+            const mfaService = new TwoFactorAuthService(req.user.userId);
+            const saved = await mfaService.setLoginFactor(factor);
+            await new AuditLog().write(req, { action: auditActions.TWOFA_LOGIN_FACTOR, outcome: saved ? AuditLog.SUCCESS : AuditLog.FAILURE, target: factor });
+
+            if (saved) {
+                res.status(200).json({ success: true, message: "Login factor updated!", factor: factor });
+            } else {
+                res.status(400).json({ success: false, message: "Please set up the authenticator app first!" });
+            }
+        } catch (error) {
+            const logger = new Logger();
+            logger.write("Error setting login factor [controller]: " + JSON.stringify(error), "verifyuser/error");
+            res.status(500).json({ message: 'Oops! Something went wrong!' });
+        }
+    }
+
+    static async regenerateRecoveryCodes(req, res) {
+        try {
+            const { password, code } = req.body;
+            const mfaService = new TwoFactorAuthService(req.user.userId);
+            const recoveryCodes = await mfaService.regenerateRecoveryCodes({ password, code });
+            await new AuditLog().write(req, { action: auditActions.TWOFA_RECOVERY_CODES, outcome: recoveryCodes ? AuditLog.SUCCESS : AuditLog.FAILURE });
+
+            if (!recoveryCodes) {
+                return res.status(401).json({ success: false, message: "Invalid password or code!" });
+            }
+
+            res.status(200).json({ success: true, message: "Recovery codes regenerated!", recoveryCodes: recoveryCodes });
+        } catch (error) {
+            const logger = new Logger();
+            logger.write("Error regenerating recovery codes [controller]: " + JSON.stringify(error), "verifyuser/error");
+            res.status(500).json({ message: 'Oops! Something went wrong!' });
+        }
+    }
+
+    static async disable2fa(req, res) {
+        try {
+            const { password, code } = req.body;
+            const mfaService = new TwoFactorAuthService(req.user.userId);
+            const disabled = await mfaService.disable({ password, code });
+            await new AuditLog().write(req, { action: auditActions.TWOFA_DISABLE, outcome: disabled ? AuditLog.SUCCESS : AuditLog.FAILURE });
+
+            if (!disabled) {
+                return res.status(401).json({ success: false, message: "Invalid password or code!" });
+            }
+
+            res.status(200).json({ success: true, message: "Two-factor authentication disabled!" });
+        } catch (error) {
+            const logger = new Logger();
+            logger.write("Error disabling 2FA [controller]: " + JSON.stringify(error), "verifyuser/error");
+            res.status(500).json({ message: 'Oops! Something went wrong!' });
+        }
+    }
 }
 
 module.exports = VerifyUserController; // Export the RoutesController class
@@ -2,6 +2,7 @@ const Logger = require('../utils/logs/Logger'); // Import the Logger utility for
 const Whatsapp = require('../utils/whatsapp/Whatsapp'); // Import the Whatsapp utility for sending Whatsapp messages
 const Twilio = require('../providers/twilio/class-twilio');
 const WhatsappService = require('../services/WhatsappService');
+const { getPagination, setPaginationHeaders } = require('../utils/functions'); // Utility functions to read the paging query parameters and send the paging headers
 
 /**
  * @class WhatsappController
@@ -117,11 +118,12 @@ class WhatsappController {
 
     static async getWhatsappMessages(req, res) {
         try {
+            const { page, perPage } = getPagination(req, 20); // Requested page and conversations per page
             const whatsapp = new WhatsappService();
-            const response = await whatsapp.getWhatsappMessages();
+            const response = await whatsapp.getWhatsappMessages(page, perPage);
 
             if (response) {
-                res.status(200).json(response);
+                setPaginationHeaders(res, response.pagination).status(200).json(response.conversations); // The paging metadata goes in the headers
             } else {
                 res.status(500).json({ message: 'Whatsapp message not found!' });
             }
@@ -0,0 +1,170 @@
+const fs = require('fs'); // Import the file system module to list migration files
+const path = require('path'); // Import the path module to resolve migration files
+const MySQL = require('../utils/db/Mysql'); // Import the MySQL utility, migrations use the same connection settings
+const tables = require('../config/tables'); // Import table configurations
+const { date } = require('../utils/functions'); // Utility function to format dates
+
+const MIGRATION_FILE = /^\d{14}_[a-z0-9_]+\.js$/; // "YYYYMMDDHHmmss_description.js"
+
+/**
+ * @class Migrator
+ * @description Runs the versioned schema migrations in `src/database/migrations`. Each migration file is named
+ *              after its creation time ("20261018090000_create_user_tables.js") and exports `up(db)` and
+ *              `down(db)`, which receive a MySQL instance. Migrations run in file name order, and the ones
+ *              that ran are recorded in tblMigrations together with their batch number, so a rollback
+ *              undoes the last `migrate` run as a whole.
+ *              MySQL commits DDL statements implicitly, so a failing migration is not undone automatically;
+ *              write each step so it can be run again (CREATE TABLE IF NOT EXISTS, DROP TABLE IF EXISTS).
+ * @author Jay Chauhan
+ */
+class Migrator {
+    /**
+     * @constructor
+     * @param {string} [directory] - The directory holding the migration files.
+     */
+    constructor(directory = path.join(__dirname, 'migrations')) {
+        this.db = new MySQL(); // Initialize the MySQL database connection utility
+        this.directory = directory;
+    }
+
+    /**
+     * @function migrate
+     * @description Runs every migration that has not run yet, as one new batch.
+     * @returns {Promise<Array<string>>} The names of the migrations that ran.
+     */
+    async migrate() {
+        await this.#prepare();
+
+        const ran = (await this.#getRanMigrations()).map(migration => migration.migrationName);
+        const pending = this.#getMigrationFiles().filter(name => !ran.includes(name));
+        if (!pending.length) {
+            return [];
+        }
+
+        const batch = await this.#getLastBatch() + 1;
+        for (const name of pending) {
+            await this.#load(name).up(this.db);
+            await this.db.table(tables.TBL_MIGRATIONS).insert({
+                migrationName: name,
+                migrationBatch: batch,
+                migrationRunDate: date()
+            });
+        }
+        return pending;
+    }
+
+    /**
+     * @function rollback
+     * @description Reverts the migrations of the last batch, newest first.
+     * @returns {Promise<Array<string>>} The names of the migrations that were reverted.
+     */
+    async rollback() {
+        await this.#prepare();
+
+        const batch = await this.#getLastBatch();
+        const migrations = (await this.#getRanMigrations())
+            .filter(migration => migration.migrationBatch === batch)
+            .reverse();
+
+        for (const migration of migrations) {
+            await this.#load(migration.migrationName).down(this.db);
+            await this.db.table(tables.TBL_MIGRATIONS).where("migrationId", migration.migrationId).delete();
+        }
+        return migrations.map(migration => migration.migrationName);
+    }
+
+    /**
+     * @function status
+     * @description Lists every migration file with the batch it ran in.
+     * @returns {Promise<Array<Object>>} `{ name, batch }` per migration, batch is null for pending migrations.
+     */
+    async status() {
+        await this.#prepare();
+
+        const ran = await this.#getRanMigrations();
+        return this.#getMigrationFiles().map(name => {
+            const migration = ran.find(row => row.migrationName === name);
+            return { name, batch: migration ? migration.migrationBatch : null };
+        });
+    }
+
+    /**
+     * @function #prepare
+     * @description Creates the migrations-state table if it does not exist yet.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async #prepare() {
+        await this.db.connect(); // Connect to the database
+        await this.db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_MIGRATIONS} (
+                migrationId INT NOT NULL AUTO_INCREMENT,
+                migrationName VARCHAR(191) NOT NULL,
+                migrationBatch INT NOT NULL,
+                migrationRunDate DATETIME NOT NULL,
+                PRIMARY KEY (migrationId),
+                UNIQUE KEY uqMigrationName (migrationName)
+            )
+        `);
+    }
+
+    /**
+     * @function #getMigrationFiles
+     * @description Lists the migration files, oldest first.
+     * @private
+     * @returns {Array<string>} The file names without the .js extension.
+     */
+    #getMigrationFiles() {
+        return fs.readdirSync(this.directory)
+            .filter(file => MIGRATION_FILE.test(file))
+            .sort()
+            .map(file => file.replace(/\.js$/, ''));
+    }
+
+    /**
+     * @function #getRanMigrations
+     * @description Fetches the migrations that already ran, in the order they ran.
+     * @private
+     * @returns {Promise<Array<Object>>}
+     */
+    async #getRanMigrations() {
+        return await this.db.table(tables.TBL_MIGRATIONS)
+            .select("migrationId", "migrationName", "migrationBatch")
+            .orderBy("migrationId", "ASC")
+            .get();
+    }
+
+    /**
+     * @function #getLastBatch
+     * @description Returns the number of the last batch, 0 if no migration ran yet.
+     * @private
+     * @returns {Promise<number>}
+     */
+    async #getLastBatch() {
+        const row = await this.db.table(tables.TBL_MIGRATIONS)
+            .select(MySQL.raw("MAX(migrationBatch) as batch"))
+            .first();
+        return row && row.batch ? parseInt(row.batch) : 0;
+    }
+
+    /**
+     * @function #load
+     * @description Loads a migration file and checks that it exports up() and down().
+     * @private
+     * @param {string} name - The migration name.
+     * @returns {Object} The migration module.
+     */
+    #load(name) {
+        const file = path.join(this.directory, name + '.js');
+        if (!fs.existsSync(file)) {
+            throw new Error(`Migration file ${name}.js is missing.`);
+        }
+        const migration = require(file);
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+            throw new Error(`Migration ${name} must export up() and down().`);
+        }
+        return migration;
+    }
+}
+
+module.exports = Migrator; // Export the Migrator class
@@ -0,0 +1,71 @@
+const fs = require('fs'); // Import the file system module to list seeder files
+const path = require('path'); // Import the path module to resolve seeder files
+const MySQL = require('../utils/db/Mysql'); // Import the MySQL utility, seeders use the same connection settings
+
+const SEEDER_FILE = /^\d{3}_[a-z0-9_]+\.js$/; // "010_description.js"
+
+/**
+ * @class Seeder
+ * @description Fills the database with the rows the panel needs to work. Reference seeders in
+ *              `src/database/seeders` (routes, menu, options, templates, locations) always run; demo
+ *              seeders in `src/database/seeders/demo` add sample money, contact and message data for local
+ *              development. Each seeder file exports `run(db)`, which receives a MySQL instance, and the files
+ *              run in name order. Seeders write rows with fixed IDs through upsert(), so running them again
+ *              does not create duplicates.
+ * @author Jay Chauhan
+ */
+class Seeder {
+    /**
+     * @constructor
+     * @param {string} [directory] - The directory holding the reference seeders, with the demo seeders in `demo/`.
+     */
+    constructor(directory = path.join(__dirname, 'seeders')) {
+        this.db = new MySQL(); // Initialize the MySQL database connection utility
+        this.directory = directory;
+    }
+
+    /**
+     * @function run
+     * @description Runs the reference seeders, followed by the demo seeders if requested.
+     * @param {boolean} [withDemo=false] - Whether to add the demo dataset as well.
+     * @returns {Promise<Array<string>>} The names of the seeders that ran.
+     */
+    async run(withDemo = false) {
+        await this.db.connect(); // Connect to the database
+
+        const seeders = this.#getSeederFiles(this.directory);
+        if (withDemo) {
+            seeders.push(...this.#getSeederFiles(path.join(this.directory, 'demo')));
+        }
+
+        const ran = [];
+        for (const file of seeders) {
+            const seeder = require(file);
+            if (typeof seeder.run !== 'function') {
+                throw new Error(`Seeder ${path.basename(file)} must export run().`);
+            }
+            await seeder.run(this.db);
+            ran.push(path.relative(this.directory, file).replace(/\.js$/, ''));
+        }
+        return ran;
+    }
+
+    /**
+     * @function #getSeederFiles
+     * @description Lists the seeder files of a directory in name order.
+     * @private
+     * @param {string} directory - The directory to list.
+     * @returns {Array<string>} The absolute file paths.
+     */
+    #getSeederFiles(directory) {
+        if (!fs.existsSync(directory)) {
+            return [];
+        }
+        return fs.readdirSync(directory)
+            .filter(file => SEEDER_FILE.test(file))
+            .sort()
+            .map(file => path.join(directory, file));
+    }
+}
+
+module.exports = Seeder; // Export the Seeder class
@@ -0,0 +1,48 @@
+/**
+ * Author: Jay Chauhan
+ * Script Name: migrate
+ * Description:
+ * Command line entry point for the schema migrations.
+ *
+ *   npm run migrate            Runs the pending migrations.
+ *   npm run migrate:rollback   Reverts the migrations of the last run.
+ *   npm run migrate:status     Lists the migrations and whether they ran.
+ */
+
+const MySQL = require('../utils/db/Mysql'); // Import the MySQL utility to close the pool when done
+const Migrator = require('./Migrator'); // Import the migration runner
+
+const run = async (command) => {
+    const migrator = new Migrator();
+
+    switch (command) {
+        case 'migrate': {
+            const ran = await migrator.migrate();
+            ran.forEach(name => console.log(`Migrated:    ${name}`));
+            console.log(ran.length ? `${ran.length} migration(s) ran.` : 'Nothing to migrate.');
+            break;
+        }
+        case 'rollback': {
+            const reverted = await migrator.rollback();
+            reverted.forEach(name => console.log(`Rolled back: ${name}`));
+            console.log(reverted.length ? `${reverted.length} migration(s) rolled back.` : 'Nothing to roll back.');
+            break;
+        }
+        case 'status': {
+            const migrations = await migrator.status();
+            migrations.forEach(migration => {
+                console.log(`${migration.batch !== null ? `Ran (batch ${migration.batch})` : 'Pending'}`.padEnd(18) + migration.name);
+            });
+            break;
+        }
+        default:
+            throw new Error(`Unknown command "${command}". Use migrate, rollback or status.`);
+    }
+};
+
+run(process.argv[2] || 'migrate')
+    .catch(error => {
+        console.error('Migration failed: ' + error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => MySQL.closePool()); // Close the pool so the process can exit
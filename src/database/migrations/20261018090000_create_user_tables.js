@@ -0,0 +1,185 @@
+const tables = require('../../config/tables'); // Import table configurations
+
+/**
+ * Users, roles and everything the login flow stores: verification keys, sessions,
+ * 2FA recovery codes, known devices, login throttles, API keys and the audit log.
+ */
+module.exports = {
+    up: async (db) => {
+        // Each role stores a JSON list of permissions ("*" grants everything, "money.*" a whole group)
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_USER_ROLES} (
+                roleId INT NOT NULL AUTO_INCREMENT,
+                roleName VARCHAR(100) NOT NULL,
+                rolePermissions TEXT NULL,
+                PRIMARY KEY (roleId)
+            )
+        `);
+
+        // userLoginFactor: '0' emailed OTP, '1' authenticator (TOTP) code
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_USERS} (
+                userId INT NOT NULL AUTO_INCREMENT,
+                userFirstName VARCHAR(100) NOT NULL,
+                userLastName VARCHAR(100) NOT NULL,
+                userEmail VARCHAR(191) NOT NULL,
+                userLogin VARCHAR(100) NOT NULL,
+                userPassword VARCHAR(255) NOT NULL,
+                userPhoneNumber VARCHAR(20) NULL,
+                userWhatsappNumber VARCHAR(20) NULL,
+                userRoleId INT NULL,
+                userIsEmailVerified ENUM('0', '1') NOT NULL DEFAULT '0',
+                user2faSecret VARCHAR(255) NULL,
+                user2faQr VARCHAR(255) NULL,
+                user2faPendingSecret VARCHAR(255) NULL,
+                user2faPendingQr VARCHAR(255) NULL,
+                userLoginFactor ENUM('0', '1') NOT NULL DEFAULT '0',
+                userIsActive ENUM('0', '1') NOT NULL DEFAULT '1',
+                PRIMARY KEY (userId),
+                UNIQUE KEY uqUserLogin (userLogin),
+                UNIQUE KEY uqUserEmail (userEmail),
+                KEY idxUserRoleId (userRoleId)
+            )
+        `);
+
+        // verificationType: 1 login, 2 email verification, 3 password reset, 4 invite
+        // verificationKeyType: 1 emailed OTP, 2 token (SHA-256 hash), 3 authenticator code
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_USER_VERIFICATION_DETAILS} (
+                verificationId INT NOT NULL AUTO_INCREMENT,
+                verificationUserId INT NOT NULL,
+                verificationType ENUM('1', '2', '3', '4') NOT NULL,
+                verificationKeyType ENUM('1', '2', '3') NOT NULL,
+                verificationValue VARCHAR(255) NOT NULL,
+                verificationLinkedId INT NULL,
+                verificationAttempts INT NOT NULL DEFAULT 0,
+                verificationStatus ENUM('0', '1', '2') NOT NULL DEFAULT '1',
+                verificationCreatedDate TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (verificationId),
+                KEY idxVerificationUser (verificationUserId, verificationType, verificationStatus),
+                KEY idxVerificationValue (verificationValue)
+            )
+        `);
+
+        // Per-device login sessions, tokens are stored as SHA-256 hashes
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_USER_SESSIONS} (
+                sessionId INT NOT NULL AUTO_INCREMENT,
+                sessionUserId INT NOT NULL,
+                sessionAccessToken CHAR(64) NOT NULL,
+                sessionAccessTokenExpiry DATETIME NOT NULL,
+                sessionRefreshToken CHAR(64) NOT NULL,
+                sessionRefreshTokenExpiry DATETIME NOT NULL,
+                sessionIp VARCHAR(45) NULL,
+                sessionUserAgent VARCHAR(255) NULL,
+                sessionCreatedDate DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                sessionLastSeenDate DATETIME NULL,
+                sessionStatus ENUM('0', '1') NOT NULL DEFAULT '1',
+                PRIMARY KEY (sessionId),
+                UNIQUE KEY uqSessionAccessToken (sessionAccessToken),
+                UNIQUE KEY uqSessionRefreshToken (sessionRefreshToken),
+                KEY idxSessionUserId (sessionUserId)
+            )
+        `);
+
+        // recoveryCodeStatus: '1' active, '2' used, '0' revoked
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_USER_2FA_RECOVERY_CODES} (
+                recoveryCodeId INT NOT NULL AUTO_INCREMENT,
+                recoveryCodeUserId INT NOT NULL,
+                recoveryCodeHash CHAR(64) NOT NULL,
+                recoveryCodeStatus ENUM('0', '1', '2') NOT NULL DEFAULT '1',
+                recoveryCodeUsedDate DATETIME NULL,
+                recoveryCodeCreatedDate TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (recoveryCodeId),
+                KEY idxRecoveryCodeUser (recoveryCodeUserId)
+            )
+        `);
+
+        // Known login devices (fingerprint = SHA-256 of "ip|user agent") and their optional trust token hash
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_USER_DEVICES} (
+                deviceId INT NOT NULL AUTO_INCREMENT,
+                deviceUserId INT NOT NULL,
+                deviceFingerprint CHAR(64) NOT NULL,
+                deviceIp VARCHAR(45) NULL,
+                deviceUserAgent VARCHAR(255) NULL,
+                deviceTrustToken CHAR(64) NULL,
+                deviceTrustedUntil DATETIME NULL,
+                deviceFirstSeenDate DATETIME NOT NULL,
+                deviceLastSeenDate DATETIME NOT NULL,
+                deviceStatus ENUM('0', '1') NOT NULL DEFAULT '1',
+                PRIMARY KEY (deviceId),
+                KEY idxDeviceUserFingerprint (deviceUserId, deviceFingerprint),
+                UNIQUE KEY uqDeviceTrustToken (deviceTrustToken)
+            )
+        `);
+
+        // Brute-force protection counters for the login endpoints (keys are "ip:<address>" or "user:<login>")
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_AUTH_THROTTLES} (
+                throttleId INT NOT NULL AUTO_INCREMENT,
+                throttleKey VARCHAR(191) NOT NULL,
+                throttleHits INT NOT NULL DEFAULT 0,
+                throttleWindowStart DATETIME NULL,
+                throttleFailures INT NOT NULL DEFAULT 0,
+                throttleLastFailureDate DATETIME NULL,
+                throttleLockedUntil DATETIME NULL,
+                PRIMARY KEY (throttleId),
+                UNIQUE KEY uqThrottleKey (throttleKey)
+            )
+        `);
+
+        // API keys for machine-to-machine callers (SHA-256 hashes); scopes and IP allowlist are JSON lists
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_API_KEYS} (
+                apiKeyId INT NOT NULL AUTO_INCREMENT,
+                apiKeyUserId INT NOT NULL,
+                apiKeyName VARCHAR(100) NOT NULL,
+                apiKeyPrefix VARCHAR(16) NOT NULL,
+                apiKeyHash CHAR(64) NOT NULL,
+                apiKeyScopes TEXT NOT NULL,
+                apiKeyAllowedIps TEXT NULL,
+                apiKeyExpiry DATETIME NULL,
+                apiKeyLastUsedDate DATETIME NULL,
+                apiKeyLastUsedIp VARCHAR(45) NULL,
+                apiKeyStatus ENUM('0', '1') NOT NULL DEFAULT '1',
+                apiKeyCreatedDate TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (apiKeyId),
+                UNIQUE KEY uqApiKeyHash (apiKeyHash)
+            )
+        `);
+
+        // Append-only security audit log; the application only ever inserts into this table
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_AUDIT_LOGS} (
+                auditId BIGINT NOT NULL AUTO_INCREMENT,
+                auditActorUserId INT NULL,
+                auditActorApiKeyId INT NULL,
+                auditAction VARCHAR(64) NOT NULL,
+                auditTarget VARCHAR(255) NULL,
+                auditIp VARCHAR(45) NULL,
+                auditUserAgent VARCHAR(255) NULL,
+                auditOutcome ENUM('success', 'failure') NOT NULL,
+                auditDetails TEXT NULL,
+                auditCreatedDate DATETIME NOT NULL,
+                PRIMARY KEY (auditId),
+                KEY idxAuditAction (auditAction),
+                KEY idxAuditActor (auditActorUserId),
+                KEY idxAuditCreatedDate (auditCreatedDate)
+            )
+        `);
+    },
+
+    down: async (db) => {
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_AUDIT_LOGS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_API_KEYS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_AUTH_THROTTLES}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_USER_DEVICES}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_USER_2FA_RECOVERY_CODES}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_USER_SESSIONS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_USER_VERIFICATION_DETAILS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_USERS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_USER_ROLES}`);
+    }
+};
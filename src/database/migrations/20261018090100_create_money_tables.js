@@ -0,0 +1,117 @@
+const tables = require('../../config/tables'); // Import table configurations
+
+/**
+ * Bank accounts with their cards, UPI IDs and payment methods, the transactions
+ * booked against them, and the payment gateways with the links created through them.
+ */
+module.exports = {
+    up: async (db) => {
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_BANK_DETAILS} (
+                bankId INT NOT NULL AUTO_INCREMENT,
+                bankName VARCHAR(100) NOT NULL,
+                bankAccountNumber VARCHAR(34) NULL,
+                bankAccountBalance DECIMAL(15, 2) NOT NULL DEFAULT 0,
+                bankAccountIsActive ENUM('0', '1') NOT NULL DEFAULT '1',
+                PRIMARY KEY (bankId)
+            )
+        `);
+
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_CARD_DETAILS} (
+                cardId INT NOT NULL AUTO_INCREMENT,
+                cardBankId INT NULL,
+                cardNumber VARCHAR(25) NOT NULL,
+                cardType VARCHAR(20) NULL,
+                cardIsActive ENUM('0', '1') NOT NULL DEFAULT '1',
+                PRIMARY KEY (cardId),
+                KEY idxCardBankId (cardBankId)
+            )
+        `);
+
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_UPI_DETAILS} (
+                upiDetailId INT NOT NULL AUTO_INCREMENT,
+                upiBankId INT NULL,
+                upiId VARCHAR(100) NOT NULL,
+                upiIsActive ENUM('0', '1') NOT NULL DEFAULT '1',
+                PRIMARY KEY (upiDetailId),
+                KEY idxUpiBankId (upiBankId)
+            )
+        `);
+
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_PAYMENT_METHODS} (
+                paymentMethodId INT NOT NULL AUTO_INCREMENT,
+                paymentMethodName VARCHAR(100) NOT NULL,
+                paymentMethodBankId INT NOT NULL,
+                PRIMARY KEY (paymentMethodId),
+                KEY idxPaymentMethodBankId (paymentMethodBankId)
+            )
+        `);
+
+        // transectionType: '0' expense, '1' income, '2' transfer
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_TRANSECTIONS} (
+                transactionId INT NOT NULL AUTO_INCREMENT,
+                transactionUserId INT NOT NULL,
+                transectionPaymentMeyhodId INT NOT NULL,
+                transectionTitle VARCHAR(255) NOT NULL,
+                transectionAmount DECIMAL(15, 2) NOT NULL,
+                transectionType ENUM('0', '1', '2') NOT NULL,
+                transectionTime DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (transactionId),
+                KEY idxTransectionTime (transectionTime)
+            )
+        `);
+
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_PAYMENT_GATEWAY} (
+                pgId INT NOT NULL AUTO_INCREMENT,
+                pgName VARCHAR(50) NOT NULL,
+                pgToken VARCHAR(255) NOT NULL,
+                pgSecret VARCHAR(255) NOT NULL,
+                pgApiVersion VARCHAR(20) NULL,
+                pgBankAccountLinked INT NULL,
+                pgSandBox ENUM('0', '1') NOT NULL DEFAULT '0',
+                pgIsActive ENUM('0', '1') NOT NULL DEFAULT '1',
+                PRIMARY KEY (pgId)
+            )
+        `);
+
+        // linkStatus holds the internal status code, see the cashfreeLinkStatusMap option
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_PAYMENT_LINKS} (
+                linkId INT NOT NULL AUTO_INCREMENT,
+                linkPgId VARCHAR(100) NOT NULL,
+                linkIdFormatted VARCHAR(100) NOT NULL,
+                linkGateway VARCHAR(50) NOT NULL,
+                linkContactId INT NULL,
+                linkUrl VARCHAR(255) NOT NULL,
+                linkQr TEXT NULL,
+                linkPurpose VARCHAR(255) NULL,
+                linkAmount DECIMAL(15, 2) NOT NULL,
+                linkStatus VARCHAR(20) NOT NULL DEFAULT '0',
+                linkExpiry DATETIME NULL,
+                linkNotification VARCHAR(255) NULL,
+                linkPaidAt DATETIME NULL,
+                linkExpiredAt DATETIME NULL,
+                linkFailedAt DATETIME NULL,
+                linkCreatedDate TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (linkId),
+                UNIQUE KEY uqLinkIdFormatted (linkIdFormatted),
+                KEY idxLinkPgId (linkPgId)
+            )
+        `);
+    },
+
+    down: async (db) => {
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_PAYMENT_LINKS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_PAYMENT_GATEWAY}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_TRANSECTIONS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_PAYMENT_METHODS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_UPI_DETAILS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_CARD_DETAILS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_BANK_DETAILS}`);
+    }
+};
@@ -0,0 +1,97 @@
+const tables = require('../../config/tables'); // Import table configurations
+
+/**
+ * Contacts with their phone numbers and email addresses, and the
+ * country / state / district / pincode lookup tables.
+ */
+module.exports = {
+    up: async (db) => {
+        // Legacy contact list, superseded by tblContacts
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_CONTACT} (
+                contactId INT NOT NULL AUTO_INCREMENT,
+                contactName VARCHAR(200) NOT NULL,
+                contactNumber VARCHAR(20) NULL,
+                contactEmail VARCHAR(191) NULL,
+                PRIMARY KEY (contactId)
+            )
+        `);
+
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_CONTACTS} (
+                contactId INT NOT NULL AUTO_INCREMENT,
+                contactFirstName VARCHAR(100) NOT NULL,
+                contactLastName VARCHAR(100) NULL,
+                contactImage VARCHAR(255) NULL,
+                contactIsActive ENUM('0', '1') NOT NULL DEFAULT '1',
+                PRIMARY KEY (contactId)
+            )
+        `);
+
+        // contactInformationCategory: '0' phone number, '2' email address
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_CONTACT_INFORMATIONS} (
+                contactInformationId INT NOT NULL AUTO_INCREMENT,
+                contactId INT NOT NULL,
+                contactInformationType ENUM('0', '1') NOT NULL DEFAULT '0',
+                contactInformationCategory ENUM('0', '1', '2') NOT NULL,
+                contactInformationValue VARCHAR(191) NOT NULL,
+                contactInformationIsActive ENUM('0', '1') NOT NULL DEFAULT '1',
+                PRIMARY KEY (contactInformationId),
+                KEY idxContactInformationContact (contactId),
+                KEY idxContactInformationValue (contactInformationValue)
+            )
+        `);
+
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_COUNTRY} (
+                countryId INT NOT NULL AUTO_INCREMENT,
+                countryName VARCHAR(100) NOT NULL,
+                countryCode CHAR(2) NULL,
+                PRIMARY KEY (countryId)
+            )
+        `);
+
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_STATE} (
+                stateId INT NOT NULL AUTO_INCREMENT,
+                stateCountryId INT NOT NULL,
+                stateName VARCHAR(100) NOT NULL,
+                PRIMARY KEY (stateId),
+                KEY idxStateCountryId (stateCountryId)
+            )
+        `);
+
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_DISTRICT} (
+                districtId INT NOT NULL AUTO_INCREMENT,
+                districtStateId INT NOT NULL,
+                districtName VARCHAR(100) NOT NULL,
+                PRIMARY KEY (districtId),
+                KEY idxDistrictStateId (districtStateId)
+            )
+        `);
+
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_PINCODE} (
+                pincodeId INT NOT NULL AUTO_INCREMENT,
+                pincodeDistrictId INT NOT NULL,
+                pincode VARCHAR(10) NOT NULL,
+                pincodeArea VARCHAR(100) NULL,
+                PRIMARY KEY (pincodeId),
+                KEY idxPincode (pincode),
+                KEY idxPincodeDistrictId (pincodeDistrictId)
+            )
+        `);
+    },
+
+    down: async (db) => {
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_PINCODE}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_DISTRICT}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_STATE}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_COUNTRY}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_CONTACT_INFORMATIONS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_CONTACTS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_CONTACT}`);
+    }
+};
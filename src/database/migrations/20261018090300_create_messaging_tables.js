@@ -0,0 +1,148 @@
+const tables = require('../../config/tables'); // Import table configurations
+
+/**
+ * Email templates and the mailbox fetched over IMAP, SMS messages, and the
+ * WhatsApp clients, templates and messages.
+ */
+module.exports = {
+    up: async (db) => {
+        // Placeholders in templateBody are written as {{ mailBodyData.name }}
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_EMAIL_TEMPLATES} (
+                templateId INT NOT NULL AUTO_INCREMENT,
+                templateSubject VARCHAR(255) NOT NULL,
+                templateBody MEDIUMTEXT NOT NULL,
+                templateIsActive ENUM('0', '1') NOT NULL DEFAULT '1',
+                PRIMARY KEY (templateId)
+            )
+        `);
+
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_EMAILS_DETAILS} (
+                emailId INT NOT NULL AUTO_INCREMENT,
+                emailAddress VARCHAR(191) NOT NULL,
+                emailDisplayName VARCHAR(100) NULL,
+                emailIsActive ENUM('0', '1') NOT NULL DEFAULT '1',
+                PRIMARY KEY (emailId)
+            )
+        `);
+
+        // mailType: '0' received, '1' sent; an email is stored once per message ID
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_MAILS} (
+                mailId INT NOT NULL AUTO_INCREMENT,
+                mailMessageId VARCHAR(191) NOT NULL,
+                mailFromEmail VARCHAR(191) NOT NULL,
+                mailFromName VARCHAR(191) NULL,
+                mailToEmail VARCHAR(191) NOT NULL,
+                mailToName VARCHAR(191) NULL,
+                mailSubject TEXT NULL,
+                mailBody LONGTEXT NULL,
+                mailText LONGTEXT NULL,
+                mailType ENUM('0', '1') NOT NULL DEFAULT '0',
+                mailIsRead ENUM('0', '1') NOT NULL DEFAULT '0',
+                mailDate TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (mailId),
+                UNIQUE KEY uqMailMessageId (mailMessageId)
+            )
+        `);
+
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_MAIL_ATTACHMENTS} (
+                attachmentId INT NOT NULL AUTO_INCREMENT,
+                attachmentMailId INT NOT NULL,
+                attachmentFileName VARCHAR(255) NOT NULL,
+                attachmentContentType VARCHAR(100) NULL,
+                attachmentSize INT NULL,
+                attachmentPath VARCHAR(255) NOT NULL,
+                PRIMARY KEY (attachmentId),
+                KEY idxAttachmentMailId (attachmentMailId)
+            )
+        `);
+
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_SMS} (
+                smsId INT NOT NULL AUTO_INCREMENT,
+                smsFrom VARCHAR(20) NOT NULL,
+                smsTo VARCHAR(20) NOT NULL,
+                smsBody TEXT NOT NULL,
+                smsTime DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (smsId)
+            )
+        `);
+
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_SMS_CLIENT} (
+                clientId INT NOT NULL AUTO_INCREMENT,
+                clientName VARCHAR(50) NOT NULL,
+                clientBaseUrl VARCHAR(255) NULL,
+                clientApiKey VARCHAR(255) NULL,
+                clientIsActive ENUM('0', '1') NOT NULL DEFAULT '1',
+                PRIMARY KEY (clientId)
+            )
+        `);
+
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_SMS_TEMPLATES} (
+                templateId INT NOT NULL AUTO_INCREMENT,
+                templateName VARCHAR(100) NOT NULL,
+                templateBody TEXT NOT NULL,
+                templateIsActive ENUM('0', '1') NOT NULL DEFAULT '1',
+                PRIMARY KEY (templateId)
+            )
+        `);
+
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_WHATSAPP_CLIENTS} (
+                clientId INT NOT NULL AUTO_INCREMENT,
+                clientName VARCHAR(50) NOT NULL,
+                clientBaseUrl VARCHAR(255) NULL,
+                clientAccountId VARCHAR(100) NOT NULL,
+                clientApiKey VARCHAR(255) NOT NULL,
+                clientWhatsppNumber VARCHAR(20) NULL,
+                clientIsActive ENUM('0', '1') NOT NULL DEFAULT '1',
+                PRIMARY KEY (clientId)
+            )
+        `);
+
+        // templateWhatsappClientIdentifier is the content SID of the approved template at the provider
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_WHATSAPP_TEMPLATES} (
+                templateId INT NOT NULL AUTO_INCREMENT,
+                templateName VARCHAR(100) NOT NULL,
+                templateWhatsappClientIdentifier VARCHAR(100) NOT NULL,
+                templateVariableCount INT NOT NULL DEFAULT 0,
+                templateIsActive ENUM('0', '1') NOT NULL DEFAULT '1',
+                PRIMARY KEY (templateId),
+                KEY idxTemplateName (templateName)
+            )
+        `);
+
+        // messageType: '0' sent, '1' received
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_WHATSAPP_MESSAGES} (
+                messageId INT NOT NULL AUTO_INCREMENT,
+                whatsappMessageId VARCHAR(64) NOT NULL,
+                contactNumber VARCHAR(20) NOT NULL,
+                messageBody TEXT NULL,
+                messageType ENUM('0', '1') NOT NULL,
+                messageTime TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (messageId),
+                KEY idxMessageContactNumber (contactNumber)
+            )
+        `);
+    },
+
+    down: async (db) => {
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_WHATSAPP_MESSAGES}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_WHATSAPP_TEMPLATES}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_WHATSAPP_CLIENTS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_SMS_TEMPLATES}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_SMS_CLIENT}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_SMS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_MAIL_ATTACHMENTS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_MAILS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_EMAILS_DETAILS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_EMAIL_TEMPLATES}`);
+    }
+};
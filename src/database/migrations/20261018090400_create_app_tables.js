@@ -0,0 +1,97 @@
+const tables = require('../../config/tables'); // Import table configurations
+
+/**
+ * Tables behind the admin panel itself: its routes and menu, website visitors,
+ * scheduled events, options (key/value settings) and the file manager icons.
+ */
+module.exports = {
+    up: async (db) => {
+        // routeTarget: '1' renders the route without the panel layout
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_ROUTES} (
+                routeId INT NOT NULL AUTO_INCREMENT,
+                routeUrl VARCHAR(255) NOT NULL,
+                routeComponentName VARCHAR(100) NOT NULL,
+                routeComponentLocation VARCHAR(255) NOT NULL,
+                routeTarget ENUM('0', '1') NOT NULL DEFAULT '0',
+                routeIsPrivate ENUM('0', '1') NOT NULL DEFAULT '1',
+                PRIMARY KEY (routeId)
+            )
+        `);
+
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_MENU_ITEMS} (
+                menuId INT NOT NULL AUTO_INCREMENT,
+                menuTitle VARCHAR(100) NOT NULL,
+                menuSvg TEXT NULL,
+                menuType VARCHAR(20) NOT NULL,
+                menuRouteId INT NOT NULL,
+                menuParentId INT NULL,
+                menuIsActive ENUM('0', '1') NOT NULL DEFAULT '1',
+                PRIMARY KEY (menuId),
+                KEY idxMenuParentId (menuParentId)
+            )
+        `);
+
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_VISITORS} (
+                visitorId INT NOT NULL AUTO_INCREMENT,
+                ip VARCHAR(45) NULL,
+                os VARCHAR(50) NOT NULL,
+                device VARCHAR(100) NULL,
+                visitedDate DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (visitorId),
+                KEY idxVisitedDate (visitedDate)
+            )
+        `);
+
+        // The request template, headers and per-recipient data are JSON; eventStatus '0' pending, '1' processed
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_EVENTS} (
+                eventId INT NOT NULL AUTO_INCREMENT,
+                eventRequestUrl VARCHAR(255) NOT NULL,
+                eventRequestType VARCHAR(10) NOT NULL DEFAULT 'POST',
+                eventRequestHeaders JSON NULL,
+                eventRequestData JSON NOT NULL,
+                eventData JSON NOT NULL,
+                eventTimestamp DATETIME NOT NULL,
+                eventStatus ENUM('0', '1') NOT NULL DEFAULT '0',
+                eventResponseCode INT NULL,
+                eventResponseBody MEDIUMTEXT NULL,
+                PRIMARY KEY (eventId),
+                KEY idxEventDue (eventStatus, eventTimestamp)
+            )
+        `);
+
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_OPTIONS} (
+                optionId INT NOT NULL AUTO_INCREMENT,
+                optionKey VARCHAR(100) NOT NULL,
+                optionValue TEXT NULL,
+                PRIMARY KEY (optionId),
+                UNIQUE KEY uqOptionKey (optionKey)
+            )
+        `);
+
+        // A row matches either a fileType ("folder", "back") or one of the comma separated fileExtensions
+        await db.statement(`
+            CREATE TABLE IF NOT EXISTS ${tables.TBL_FILE_ICONS} (
+                iconId INT NOT NULL AUTO_INCREMENT,
+                fileType VARCHAR(20) NULL,
+                fileExtensions VARCHAR(255) NULL,
+                iconSvg TEXT NOT NULL,
+                iconColorClass VARCHAR(50) NULL,
+                PRIMARY KEY (iconId)
+            )
+        `);
+    },
+
+    down: async (db) => {
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_FILE_ICONS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_OPTIONS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_EVENTS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_VISITORS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_MENU_ITEMS}`);
+        await db.statement(`DROP TABLE IF EXISTS ${tables.TBL_ROUTES}`);
+    }
+};
@@ -0,0 +1,20 @@
+const tables = require('../../config/tables'); // Import table configurations
+
+/**
+ * Lets transactions be edited and deleted. A deleted transaction keeps its row with the
+ * deletion date and user, so the history stays complete; it no longer counts anywhere.
+ * One column per statement, as SQLite cannot add several columns at once.
+ */
+module.exports = {
+    up: async (db) => {
+        await db.statement(`ALTER TABLE ${tables.TBL_TRANSECTIONS} ADD COLUMN transectionUpdatedDate DATETIME NULL`);
+        await db.statement(`ALTER TABLE ${tables.TBL_TRANSECTIONS} ADD COLUMN transectionDeletedDate DATETIME NULL`);
+        await db.statement(`ALTER TABLE ${tables.TBL_TRANSECTIONS} ADD COLUMN transectionDeletedUserId INT NULL`);
+    },
+
+    down: async (db) => {
+        await db.statement(`ALTER TABLE ${tables.TBL_TRANSECTIONS} DROP COLUMN transectionDeletedUserId`);
+        await db.statement(`ALTER TABLE ${tables.TBL_TRANSECTIONS} DROP COLUMN transectionDeletedDate`);
+        await db.statement(`ALTER TABLE ${tables.TBL_TRANSECTIONS} DROP COLUMN transectionUpdatedDate`);
+    }
+};
@@ -0,0 +1,18 @@
+const tables = require('../../config/tables'); // Import table configurations
+
+/**
+ * Bank-to-bank transfers. A transfer is stored as a pair of transactions of type '2':
+ * transectionTransferDirection '0' leaves the source bank, '1' reaches the destination bank,
+ * and each entry points to the other one through transectionLinkedId.
+ */
+module.exports = {
+    up: async (db) => {
+        await db.statement(`ALTER TABLE ${tables.TBL_TRANSECTIONS} ADD COLUMN transectionTransferDirection ENUM('0', '1') NULL`);
+        await db.statement(`ALTER TABLE ${tables.TBL_TRANSECTIONS} ADD COLUMN transectionLinkedId INT NULL`);
+    },
+
+    down: async (db) => {
+        await db.statement(`ALTER TABLE ${tables.TBL_TRANSECTIONS} DROP COLUMN transectionLinkedId`);
+        await db.statement(`ALTER TABLE ${tables.TBL_TRANSECTIONS} DROP COLUMN transectionTransferDirection`);
+    }
+};
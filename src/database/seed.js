@@ -0,0 +1,25 @@
+/**
+ * Author: Jay Chauhan
+ * Script Name: seed
+ * Description:
+ * Command line entry point for the database seeders. Run the migrations first.
+ *
+ *   npm run seed        Adds the reference data (routes, menu, options, templates, locations).
+ *   npm run seed:demo   Adds the reference data and the demo dataset for local development.
+ */
+
+const MySQL = require('../utils/db/Mysql'); // Import the MySQL utility to close the pool when done
+const Seeder = require('./Seeder'); // Import the seeder runner
+
+const run = async (withDemo) => {
+    const seeder = new Seeder();
+    const ran = await seeder.run(withDemo);
+    ran.forEach(name => console.log(`Seeded: ${name}`));
+};
+
+run(process.argv.includes('--demo'))
+    .catch(error => {
+        console.error('Seeding failed: ' + error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => MySQL.closePool()); // Close the pool so the process can exit
@@ -0,0 +1,17 @@
+const tables = require('../../config/tables'); // Import table configurations
+const permissions = require('../../config/permissions'); // Import the permission names
+
+/**
+ * The administrator role (roleId 1, every permission) and a read-only role.
+ * Existing roles keep their permissions.
+ */
+module.exports = {
+    run: async (db) => {
+        const readPermissions = Object.values(permissions).filter(permission => permission.endsWith('.read'));
+
+        await db.table(tables.TBL_USER_ROLES).upsert([
+            { roleId: 1, roleName: 'Administrator', rolePermissions: JSON.stringify(['*']) },
+            { roleId: 2, roleName: 'Viewer', rolePermissions: JSON.stringify(readPermissions) }
+        ], []);
+    }
+};
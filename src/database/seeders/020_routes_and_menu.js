@@ -0,0 +1,42 @@
+const tables = require('../../config/tables'); // Import table configurations
+
+// Wraps the path data of a 24x24 outline icon into an SVG element
+const icon = (paths) => `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${paths}</svg>`;
+
+/**
+ * The routes of the admin panel and the sidebar menu pointing at them.
+ * routeTarget '1' renders a page without the panel layout (login, password reset).
+ */
+module.exports = {
+    run: async (db) => {
+        await db.table(tables.TBL_ROUTES).upsert([
+            { routeId: 1, routeUrl: '/login', routeComponentName: 'Login', routeComponentLocation: 'pages/auth/Login', routeTarget: '1', routeIsPrivate: '0' },
+            { routeId: 2, routeUrl: '/reset-password/:token', routeComponentName: 'ResetPassword', routeComponentLocation: 'pages/auth/ResetPassword', routeTarget: '1', routeIsPrivate: '0' },
+            { routeId: 3, routeUrl: '/', routeComponentName: 'Dashboard', routeComponentLocation: 'pages/dashboard/Dashboard', routeTarget: '0', routeIsPrivate: '1' },
+            { routeId: 4, routeUrl: '/money', routeComponentName: 'Money', routeComponentLocation: 'pages/money/Money', routeTarget: '0', routeIsPrivate: '1' },
+            { routeId: 5, routeUrl: '/payments', routeComponentName: 'Payments', routeComponentLocation: 'pages/payments/Payments', routeTarget: '0', routeIsPrivate: '1' },
+            { routeId: 6, routeUrl: '/contacts', routeComponentName: 'Contacts', routeComponentLocation: 'pages/contacts/Contacts', routeTarget: '0', routeIsPrivate: '1' },
+            { routeId: 7, routeUrl: '/email', routeComponentName: 'Email', routeComponentLocation: 'pages/email/Email', routeTarget: '0', routeIsPrivate: '1' },
+            { routeId: 8, routeUrl: '/whatsapp', routeComponentName: 'Whatsapp', routeComponentLocation: 'pages/whatsapp/Whatsapp', routeTarget: '0', routeIsPrivate: '1' },
+            { routeId: 9, routeUrl: '/sms', routeComponentName: 'Sms', routeComponentLocation: 'pages/sms/Sms', routeTarget: '0', routeIsPrivate: '1' },
+            { routeId: 10, routeUrl: '/nas', routeComponentName: 'FileManager', routeComponentLocation: 'pages/nas/FileManager', routeTarget: '0', routeIsPrivate: '1' },
+            { routeId: 11, routeUrl: '/users', routeComponentName: 'Users', routeComponentLocation: 'pages/users/Users', routeTarget: '0', routeIsPrivate: '1' },
+            { routeId: 12, routeUrl: '/security', routeComponentName: 'Security', routeComponentLocation: 'pages/security/Security', routeTarget: '0', routeIsPrivate: '1' },
+            { routeId: 13, routeUrl: '/account', routeComponentName: 'Account', routeComponentLocation: 'pages/account/Account', routeTarget: '0', routeIsPrivate: '1' }
+        ]);
+
+        // Top level items only (menuParentId null); menuType is passed to the panel as is
+        await db.table(tables.TBL_MENU_ITEMS).upsert([
+            { menuId: 1, menuTitle: 'Dashboard', menuSvg: icon('<rect x="3" y="3" width="7" height="7"/><rect x="14" y="3" width="7" height="7"/><rect x="14" y="14" width="7" height="7"/><rect x="3" y="14" width="7" height="7"/>'), menuType: 'link', menuRouteId: 3, menuParentId: null, menuIsActive: '1' },
+            { menuId: 2, menuTitle: 'Money', menuSvg: icon('<line x1="12" y1="1" x2="12" y2="23"/><path d="M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6"/>'), menuType: 'link', menuRouteId: 4, menuParentId: null, menuIsActive: '1' },
+            { menuId: 3, menuTitle: 'Payments', menuSvg: icon('<rect x="1" y="4" width="22" height="16" rx="2"/><line x1="1" y1="10" x2="23" y2="10"/>'), menuType: 'link', menuRouteId: 5, menuParentId: null, menuIsActive: '1' },
+            { menuId: 4, menuTitle: 'Contacts', menuSvg: icon('<path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/>'), menuType: 'link', menuRouteId: 6, menuParentId: null, menuIsActive: '1' },
+            { menuId: 5, menuTitle: 'Email', menuSvg: icon('<path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"/><polyline points="22,6 12,13 2,6"/>'), menuType: 'link', menuRouteId: 7, menuParentId: null, menuIsActive: '1' },
+            { menuId: 6, menuTitle: 'WhatsApp', menuSvg: icon('<path d="M21 11.5a8.38 8.38 0 0 1-9 8.5 8.5 8.5 0 0 1-3.8-.9L3 21l1.9-5.7A8.5 8.5 0 1 1 21 11.5z"/>'), menuType: 'link', menuRouteId: 8, menuParentId: null, menuIsActive: '1' },
+            { menuId: 7, menuTitle: 'SMS', menuSvg: icon('<path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>'), menuType: 'link', menuRouteId: 9, menuParentId: null, menuIsActive: '1' },
+            { menuId: 8, menuTitle: 'File Manager', menuSvg: icon('<path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>'), menuType: 'link', menuRouteId: 10, menuParentId: null, menuIsActive: '1' },
+            { menuId: 9, menuTitle: 'Users', menuSvg: icon('<path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/><path d="M23 21v-2a4 4 0 0 0-3-3.87"/><path d="M16 3.13a4 4 0 0 1 0 7.75"/>'), menuType: 'link', menuRouteId: 11, menuParentId: null, menuIsActive: '1' },
+            { menuId: 10, menuTitle: 'Security', menuSvg: icon('<path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/>'), menuType: 'link', menuRouteId: 12, menuParentId: null, menuIsActive: '1' }
+        ]);
+    }
+};
@@ -0,0 +1,24 @@
+const tables = require('../../config/tables'); // Import table configurations
+
+// Wraps the path data of a 24x24 outline icon into an SVG element
+const icon = (paths) => `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${paths}</svg>`;
+
+const FILE = '<path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/>'; // Outline of a page
+
+/**
+ * The icons of the file manager. DirectoryController matches a row on its fileType
+ * ("folder" or "back") or on one of its comma separated fileExtensions.
+ */
+module.exports = {
+    run: async (db) => {
+        await db.table(tables.TBL_FILE_ICONS).upsert([
+            { iconId: 1, fileType: 'folder', fileExtensions: null, iconSvg: icon('<path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>'), iconColorClass: 'text-warning' },
+            { iconId: 2, fileType: 'back', fileExtensions: null, iconSvg: icon('<polyline points="15 18 9 12 15 6"/>'), iconColorClass: 'text-secondary' },
+            { iconId: 3, fileType: null, fileExtensions: 'jpg,jpeg,png,gif,bmp,svg,webp', iconSvg: icon('<rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><polyline points="21 15 16 10 5 21"/>'), iconColorClass: 'text-success' },
+            { iconId: 4, fileType: null, fileExtensions: 'mp4,mkv,avi,mov,webm', iconSvg: icon('<polygon points="23 7 16 12 23 17 23 7"/><rect x="1" y="5" width="15" height="14" rx="2"/>'), iconColorClass: 'text-danger' },
+            { iconId: 5, fileType: null, fileExtensions: 'mp3,wav,flac,aac,ogg', iconSvg: icon('<path d="M9 18V5l12-2v13"/><circle cx="6" cy="18" r="3"/><circle cx="18" cy="16" r="3"/>'), iconColorClass: 'text-info' },
+            { iconId: 6, fileType: null, fileExtensions: 'pdf,doc,docx,xls,xlsx,ppt,pptx,txt,csv', iconSvg: icon(FILE + '<line x1="16" y1="13" x2="8" y2="13"/><line x1="16" y1="17" x2="8" y2="17"/>'), iconColorClass: 'text-primary' },
+            { iconId: 7, fileType: null, fileExtensions: 'zip,rar,7z,tar,gz', iconSvg: icon('<polyline points="21 8 21 21 3 21 3 8"/><rect x="1" y="3" width="22" height="5"/><line x1="10" y1="12" x2="14" y2="12"/>'), iconColorClass: 'text-dark' }
+        ]);
+    }
+};
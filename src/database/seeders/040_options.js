@@ -0,0 +1,28 @@
+const tables = require('../../config/tables'); // Import table configurations
+
+/**
+ * Returns the Indian financial year (April to March) the given date falls in, e.g. "2026-27".
+ *
+ * @param {Date} now - The date.
+ * @returns {string} The financial year.
+ */
+const financialYear = (now) => {
+    const startYear = now.getMonth() >= 3 ? now.getFullYear() : now.getFullYear() - 1;
+    return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+/**
+ * The settings read through getOption(). Options that already exist keep their value,
+ * so running the seeder again never resets the payment link counter.
+ */
+module.exports = {
+    run: async (db) => {
+        await db.table(tables.TBL_OPTIONS).upsert([
+            { optionKey: 'activePaymentGateway', optionValue: 'cashfree' }, // Class name in providers/payment ("class-cashfree.js")
+            { optionKey: 'paymentLinkNumber', optionValue: '0' }, // Last number used in a payment link ID
+            { optionKey: 'paymentLinkIdPrefix', optionValue: JSON.stringify({ 1: 'PAY', 2: 'ADV' }) }, // Payment link ID prefix per link type
+            { optionKey: 'currentFinancialYear', optionValue: financialYear(new Date()) },
+            { optionKey: 'cashfreeLinkStatusMap', optionValue: JSON.stringify({ ACTIVE: '0', PAID: '1', PARTIALLY_PAID: '2', EXPIRED: '3', CANCELLED: '4' }) } // Cashfree link status to linkStatus
+        ], []);
+    }
+};
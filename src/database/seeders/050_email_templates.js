@@ -0,0 +1,60 @@
+const tables = require('../../config/tables'); // Import table configurations
+
+/**
+ * The email templates used by Mail.sendEmailTemplate(). Placeholders are written as
+ * {{ mailBodyData.name }}. Templates that already exist keep their (possibly edited) text.
+ */
+module.exports = {
+    run: async (db) => {
+        await db.table(tables.TBL_EMAIL_TEMPLATES).upsert([
+            {
+                templateId: 1, // Login OTP
+                templateSubject: 'Your login code',
+                templateBody: '<p>Hi {{ mailBodyData.loginId }},</p><p>Your one-time login code is <strong>{{ mailBodyData.otp }}</strong>.</p><p>If you did not try to log in, change your password right away.</p>',
+                templateIsActive: '1'
+            },
+            {
+                templateId: 2, // Email address verification
+                templateSubject: 'Verify your email address',
+                templateBody: '<p>Please confirm your email address by opening the link below.</p><p><a href="{{ mailBodyData.emailVerificationLink }}">Verify email address</a></p>',
+                templateIsActive: '1'
+            },
+            {
+                templateId: 3, // Free-form email sent from the panel
+                templateSubject: 'A new message', // Replaced by the subject given when sending
+                templateBody: '<p>Hi {{ mailBodyData.name }},</p><h3>{{ mailBodyData.emailTitle }}</h3><p>{{ mailBodyData.message }}</p>',
+                templateIsActive: '1'
+            },
+            {
+                templateId: 4, // Quick reply
+                templateSubject: 'Thank you for getting in touch',
+                templateBody: '<p>Hi {{ mailBodyData.name }},</p><p>Thank you for your message. I will get back to you shortly.</p>',
+                templateIsActive: '1'
+            },
+            {
+                templateId: 5, // Payment link
+                templateSubject: 'Payment request',
+                templateBody: '<p>Hi {{ mailBodyData.name }},</p><p>Please pay Rs. {{ mailBodyData.linkAmount }} for {{ mailBodyData.linkPurpose }} before {{ mailBodyData.linkExpiryTime }}.</p><p><a href="{{ mailBodyData.linkUrl }}">Pay now</a></p>',
+                templateIsActive: '1'
+            },
+            {
+                templateId: 6, // Password reset link
+                templateSubject: 'Reset your password',
+                templateBody: '<p>Hi {{ mailBodyData.name }},</p><p>Use the link below to reset your password. It is valid for {{ mailBodyData.validity }} minutes and can be used once.</p><p><a href="{{ mailBodyData.passwordResetLink }}">Reset password</a></p><p>If you did not request this, you can ignore this email.</p>',
+                templateIsActive: '1'
+            },
+            {
+                templateId: 7, // New device login alert
+                templateSubject: 'New login to your account',
+                templateBody: '<p>Hi {{ mailBodyData.name }},</p><p>Your account was just accessed from a new device.</p><p>Time: {{ mailBodyData.time }}<br>IP address: {{ mailBodyData.ip }}<br>Device: {{ mailBodyData.userAgent }}</p><p>If this was not you, reset your password and sign out of all sessions right away.</p>',
+                templateIsActive: '1'
+            },
+            {
+                templateId: 8, // Invite for a new user
+                templateSubject: 'You have been invited',
+                templateBody: '<p>Hi {{ mailBodyData.name }},</p><p>An account has been created for you. Use the link below to choose your password. It is valid for {{ mailBodyData.validity }} hours and can be used once.</p><p><a href="{{ mailBodyData.passwordResetLink }}">Set your password</a></p>',
+                templateIsActive: '1'
+            }
+        ], []);
+    }
+};
@@ -0,0 +1,16 @@
+const tables = require('../../config/tables'); // Import table configurations
+
+/**
+ * The WhatsApp templates looked up by name through WhatsappService.getTemplateIdByName().
+ * They are added inactive: set templateWhatsappClientIdentifier to the content SID of the
+ * approved template at Twilio, then activate it. Existing templates are left untouched.
+ */
+module.exports = {
+    run: async (db) => {
+        await db.table(tables.TBL_WHATSAPP_TEMPLATES).upsert([
+            { templateId: 1, templateName: 'payment_link_razorpay', templateWhatsappClientIdentifier: '', templateVariableCount: 6, templateIsActive: '0' }, // Name, purpose, amount, validity, URL, URL path
+            { templateId: 2, templateName: 'add_task_notification', templateWhatsappClientIdentifier: '', templateVariableCount: 0, templateIsActive: '0' },
+            { templateId: 3, templateName: 'new_device_login', templateWhatsappClientIdentifier: '', templateVariableCount: 3, templateIsActive: '0' } // Name, IP address, time
+        ], []);
+    }
+};
@@ -0,0 +1,44 @@
+const tables = require('../../config/tables'); // Import table configurations
+
+const STATES = [
+    'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar', 'Chhattisgarh', 'Goa', 'Gujarat', 'Haryana',
+    'Himachal Pradesh', 'Jharkhand', 'Karnataka', 'Kerala', 'Madhya Pradesh', 'Maharashtra', 'Manipur',
+    'Meghalaya', 'Mizoram', 'Nagaland', 'Odisha', 'Punjab', 'Rajasthan', 'Sikkim', 'Tamil Nadu', 'Telangana',
+    'Tripura', 'Uttar Pradesh', 'Uttarakhand', 'West Bengal', 'Andaman and Nicobar Islands', 'Chandigarh',
+    'Dadra and Nagar Haveli and Daman and Diu', 'Delhi', 'Jammu and Kashmir', 'Ladakh', 'Lakshadweep', 'Puducherry'
+]; // States and union territories of India, stateId follows this order
+
+const GUJARAT_STATE_ID = STATES.indexOf('Gujarat') + 1;
+
+/**
+ * India with its states and union territories, plus a few districts of Gujarat with their
+ * head post office pincode. This is enough to work with locally; import the full
+ * India Post directory for production.
+ */
+module.exports = {
+    run: async (db) => {
+        await db.table(tables.TBL_COUNTRY).upsert({ countryId: 1, countryName: 'India', countryCode: 'IN' });
+
+        await db.table(tables.TBL_STATE).upsert(STATES.map((stateName, index) => ({
+            stateId: index + 1,
+            stateCountryId: 1,
+            stateName
+        })));
+
+        await db.table(tables.TBL_DISTRICT).upsert([
+            { districtId: 1, districtStateId: GUJARAT_STATE_ID, districtName: 'Ahmedabad' },
+            { districtId: 2, districtStateId: GUJARAT_STATE_ID, districtName: 'Gandhinagar' },
+            { districtId: 3, districtStateId: GUJARAT_STATE_ID, districtName: 'Rajkot' },
+            { districtId: 4, districtStateId: GUJARAT_STATE_ID, districtName: 'Surat' },
+            { districtId: 5, districtStateId: GUJARAT_STATE_ID, districtName: 'Vadodara' }
+        ]);
+
+        await db.table(tables.TBL_PINCODE).upsert([
+            { pincodeId: 1, pincodeDistrictId: 1, pincode: '380001', pincodeArea: 'Ahmedabad' },
+            { pincodeId: 2, pincodeDistrictId: 2, pincode: '382010', pincodeArea: 'Gandhinagar' },
+            { pincodeId: 3, pincodeDistrictId: 3, pincode: '360001', pincodeArea: 'Rajkot' },
+            { pincodeId: 4, pincodeDistrictId: 4, pincode: '395003', pincodeArea: 'Surat' },
+            { pincodeId: 5, pincodeDistrictId: 5, pincode: '390001', pincodeArea: 'Vadodara' }
+        ]);
+    }
+};
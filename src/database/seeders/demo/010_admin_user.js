@@ -0,0 +1,33 @@
+const crypto = require('crypto'); // Import the crypto module for generating the password
+const tables = require('../../../config/tables'); // Import table configurations
+const Password = require('../../../utils/password/Password'); // Import the Password utility for hashing
+
+/**
+ * A local administrator (userId 1, login "admin"). The password is taken from
+ * DEMO_ADMIN_PASSWORD or generated and printed once. An existing user 1 is left untouched.
+ */
+module.exports = {
+    run: async (db) => {
+        const existingUser = await db.table(tables.TBL_USERS).select("userId").where("userId", 1).first();
+        if (existingUser) {
+            return;
+        }
+
+        const password = process.env.DEMO_ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+        await db.table(tables.TBL_USERS).insert({
+            userId: 1,
+            userFirstName: 'Demo',
+            userLastName: 'Admin',
+            userEmail: 'admin@example.com',
+            userLogin: 'admin',
+            userPassword: await Password.hash(password),
+            userRoleId: 1,
+            userIsEmailVerified: '1',
+            userIsActive: '1'
+        });
+
+        if (!process.env.DEMO_ADMIN_PASSWORD) {
+            console.log(`Demo admin created: login "admin", password "${password}"`);
+        }
+    }
+};
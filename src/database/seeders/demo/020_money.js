@@ -0,0 +1,43 @@
+const tables = require('../../../config/tables'); // Import table configurations
+const { date } = require('../../../utils/functions'); // Utility function to format dates
+
+const DAY = 24 * 60 * 60 * 1000; // One day in ms
+
+/**
+ * Two bank accounts with their payment methods and a month of transactions booked by the demo admin.
+ * The balances match the opening balance plus the seeded transactions, running it again resets them.
+ */
+module.exports = {
+    run: async (db) => {
+        const daysAgo = (days) => date('YYYY-MM-DD HH:mm:ss', Date.now() - days * DAY);
+
+        await db.table(tables.TBL_PAYMENT_METHODS).upsert([
+            { paymentMethodId: 1, paymentMethodName: 'UPI', paymentMethodBankId: 1 },
+            { paymentMethodId: 2, paymentMethodName: 'Debit Card', paymentMethodBankId: 1 },
+            { paymentMethodId: 3, paymentMethodName: 'Net Banking', paymentMethodBankId: 2 }
+        ]);
+
+        // transectionType: '0' expense, '1' income
+        const transections = [
+            { transactionId: 1, transactionUserId: 1, transectionPaymentMeyhodId: 3, transectionTitle: 'Salary', transectionAmount: 85000, transectionType: '1', transectionTime: daysAgo(28) },
+            { transactionId: 2, transactionUserId: 1, transectionPaymentMeyhodId: 1, transectionTitle: 'Groceries', transectionAmount: 3250.50, transectionType: '0', transectionTime: daysAgo(21) },
+            { transactionId: 3, transactionUserId: 1, transectionPaymentMeyhodId: 2, transectionTitle: 'Electricity bill', transectionAmount: 1890, transectionType: '0', transectionTime: daysAgo(14) },
+            { transactionId: 4, transactionUserId: 1, transectionPaymentMeyhodId: 1, transectionTitle: 'Event booking advance', transectionAmount: 15000, transectionType: '1', transectionTime: daysAgo(7) },
+            { transactionId: 5, transactionUserId: 1, transectionPaymentMeyhodId: 3, transectionTitle: 'Speaker rental', transectionAmount: 6000, transectionType: '0', transectionTime: daysAgo(2) }
+        ];
+        await db.table(tables.TBL_TRANSECTIONS).upsert(transections);
+
+        // Opening balance of each bank, the seeded transactions are applied on top of it
+        const balances = { 1: 25000, 2: 40000 };
+        const methodBanks = { 1: 1, 2: 1, 3: 2 };
+        transections.forEach(transection => {
+            const bankId = methodBanks[transection.transectionPaymentMeyhodId];
+            balances[bankId] += transection.transectionType === '1' ? transection.transectionAmount : -transection.transectionAmount;
+        });
+
+        await db.table(tables.TBL_BANK_DETAILS).upsert([
+            { bankId: 1, bankName: 'Demo Savings Bank', bankAccountNumber: '000111222333', bankAccountBalance: balances[1], bankAccountIsActive: '1' },
+            { bankId: 2, bankName: 'Demo Current Bank', bankAccountNumber: '000444555666', bankAccountBalance: balances[2], bankAccountIsActive: '1' }
+        ]);
+    }
+};
@@ -0,0 +1,23 @@
+const tables = require('../../../config/tables'); // Import table configurations
+
+/**
+ * A few contacts, each with a phone number (category '0') and an email address (category '2').
+ */
+module.exports = {
+    run: async (db) => {
+        await db.table(tables.TBL_CONTACTS).upsert([
+            { contactId: 1, contactFirstName: 'Aarav', contactLastName: 'Shah', contactImage: null, contactIsActive: '1' },
+            { contactId: 2, contactFirstName: 'Diya', contactLastName: 'Patel', contactImage: null, contactIsActive: '1' },
+            { contactId: 3, contactFirstName: 'Kabir', contactLastName: 'Mehta', contactImage: null, contactIsActive: '1' }
+        ]);
+
+        await db.table(tables.TBL_CONTACT_INFORMATIONS).upsert([
+            { contactInformationId: 1, contactId: 1, contactInformationType: '0', contactInformationCategory: '0', contactInformationValue: '9000000001', contactInformationIsActive: '1' },
+            { contactInformationId: 2, contactId: 1, contactInformationType: '0', contactInformationCategory: '2', contactInformationValue: 'aarav@example.com', contactInformationIsActive: '1' },
+            { contactInformationId: 3, contactId: 2, contactInformationType: '0', contactInformationCategory: '0', contactInformationValue: '9000000002', contactInformationIsActive: '1' },
+            { contactInformationId: 4, contactId: 2, contactInformationType: '0', contactInformationCategory: '2', contactInformationValue: 'diya@example.com', contactInformationIsActive: '1' },
+            { contactInformationId: 5, contactId: 3, contactInformationType: '0', contactInformationCategory: '0', contactInformationValue: '9000000003', contactInformationIsActive: '1' },
+            { contactInformationId: 6, contactId: 3, contactInformationType: '0', contactInformationCategory: '2', contactInformationValue: 'kabir@example.com', contactInformationIsActive: '1' }
+        ]);
+    }
+};
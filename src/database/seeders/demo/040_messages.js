@@ -0,0 +1,33 @@
+const tables = require('../../../config/tables'); // Import table configurations
+const { date } = require('../../../utils/functions'); // Utility function to format dates
+
+const HOUR = 60 * 60 * 1000; // One hour in ms
+
+/**
+ * WhatsApp conversations with the demo contacts, a few SMS messages and a small inbox.
+ */
+module.exports = {
+    run: async (db) => {
+        const hoursAgo = (hours) => date('YYYY-MM-DD HH:mm:ss', Date.now() - hours * HOUR);
+
+        // messageType: '0' sent, '1' received
+        await db.table(tables.TBL_WHATSAPP_MESSAGES).upsert([
+            { messageId: 1, whatsappMessageId: 'DEMO000000000000000000000000000001', contactNumber: '9000000001', messageBody: 'Hi, are you available for a wedding on the 14th?', messageType: '1', messageTime: hoursAgo(30) },
+            { messageId: 2, whatsappMessageId: 'DEMO000000000000000000000000000002', contactNumber: '9000000001', messageBody: 'Yes, the date is free. I will share the quote shortly.', messageType: '0', messageTime: hoursAgo(29) },
+            { messageId: 3, whatsappMessageId: 'DEMO000000000000000000000000000003', contactNumber: '9000000002', messageBody: 'Payment done, please check.', messageType: '1', messageTime: hoursAgo(5) },
+            { messageId: 4, whatsappMessageId: 'DEMO000000000000000000000000000004', contactNumber: '9000000002', messageBody: 'Received, thank you!', messageType: '0', messageTime: hoursAgo(4) }
+        ]);
+
+        await db.table(tables.TBL_SMS).upsert([
+            { smsId: 1, smsFrom: 'DEMOBK', smsTo: '9000000000', smsBody: 'Rs.15000.00 credited to A/c XX2333 by UPI.', smsTime: hoursAgo(170) },
+            { smsId: 2, smsFrom: 'DEMOBK', smsTo: '9000000000', smsBody: 'Rs.6000.00 debited from A/c XX5666 by NEFT.', smsTime: hoursAgo(48) },
+            { smsId: 3, smsFrom: '9000000003', smsTo: '9000000000', smsBody: 'Call me when you are free.', smsTime: hoursAgo(3) }
+        ]);
+
+        // mailType: '0' received, '1' sent
+        await db.table(tables.TBL_MAILS).upsert([
+            { mailId: 1, mailMessageId: '<demo-1@example.com>', mailFromEmail: 'aarav@example.com', mailFromName: 'Aarav Shah', mailToEmail: 'admin@example.com', mailToName: 'Demo Admin', mailSubject: 'Booking enquiry', mailBody: '<p>Hi, I would like to book you for an event next month.</p>', mailText: 'Hi, I would like to book you for an event next month.', mailType: '0', mailIsRead: '0', mailDate: hoursAgo(20) },
+            { mailId: 2, mailMessageId: '<demo-2@example.com>', mailFromEmail: 'kabir@example.com', mailFromName: 'Kabir Mehta', mailToEmail: 'admin@example.com', mailToName: 'Demo Admin', mailSubject: 'Playlist for Saturday', mailBody: '<p>Sharing the playlist we discussed.</p>', mailText: 'Sharing the playlist we discussed.', mailType: '0', mailIsRead: '1', mailDate: hoursAgo(60) }
+        ]);
+    }
+};
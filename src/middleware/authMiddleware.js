@@ -2,18 +2,28 @@
  * Author: Jay Chauhan
  * Middleware Name: Authentication Middleware
  * Description:
- * This middleware validates the authorization token from the request headers.
- * If the token is valid, it attaches the user object to the request object (`req.user`) 
- * and proceeds to the next middleware or route handler. If the token is invalid, 
+ * This middleware validates the credential from the request headers. It accepts
+ * either a bearer token, resolved to an active, unexpired login session, or an
+ * API key in the `X-Api-Key` header for machine-to-machine callers. If it is valid,
+ * it attaches the caller details to the request object (`req.user`) and proceeds
+ * to the next middleware or route handler. API key callers get no role permissions,
+ * only the scopes of their key (`req.user.scopes`). If the credential is invalid,
  * it sends an appropriate error response.
  */
 
 require('dotenv').config(); // Load environment variables from the .env file.
 
-const { getUserByToken } = require('../utils/functions'); // Import a utility function to validate and get a user by token.
+const { getUserByToken } = require('../utils/functions'); // Import utility function to get a user by token.
+const ApiKeyService = require('../services/auth/ApiKeyService'); // Import the API key service to validate API keys.
 const Logger = require('../utils/logs/Logger'); // Import a custom Logger utility for logging error messages.
 
 const authMiddleware = async (req, res, next) => {
+    const apiKey = req.headers['x-api-key']; // Get the API key header from the request.
+
+    if (apiKey) {
+        return authenticateApiKey(req, res, next, apiKey); // Machine-to-machine caller.
+    }
+
     const authHeader = req.headers.authorization; // Get the authorization header from the request.
 
     // Check if the authorization header exists and starts with 'Bearer '.
@@ -24,7 +34,7 @@ const authMiddleware = async (req, res, next) => {
     const token = authHeader.replace("Bearer ", ""); // Extract the token by removing 'Bearer ' from the header.
 
     try {
-        const user = await getUserByToken(token); // Validate the token and fetch the corresponding user.
+        const user = await getUserByToken(token); // Resolve the token to its session and user.
 
         // If the token is invalid or user is not found, send a 401 Unauthorized response.
         if (!user) {
@@ -40,4 +50,38 @@ const authMiddleware = async (req, res, next) => {
     }
 };
 
+/**
+ * Validates an API key and attaches its owner and scopes to the request.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @param {Function} next - The next middleware.
+ * @param {string} apiKey - The API key from the request headers.
+ */
+const authenticateApiKey = async (req, res, next, apiKey) => {
+    try {
+        const apiKeyService = new ApiKeyService(); // Create an instance of the API key service.
+        // Resolve the key. The allowlist is checked against req.ip, which only honours X-Forwarded-For from trusted proxies.
+        const key = await apiKeyService.authenticate(apiKey, req.ip);
+
+        // If the key is unknown, revoked, expired or used from a foreign IP, send a 401 Unauthorized response.
+        if (!key) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
+
+        req.user = {
+            userId: key.userId, // The user who created the key.
+            apiKeyId: key.apiKeyId,
+            apiKeyName: key.name,
+            scopes: key.scopes,
+            permissions: [] // API keys never inherit role permissions.
+        };
+        next(); // Proceed to the next middleware or route handler.
+    } catch (error) {
+        const logger = new Logger(); // Create an instance of the Logger utility for error logging.
+        logger.write("Middleware Error: " + error, "middleware/error"); // Log the error message in the appropriate log file.
+        res.status(500).json({ message: 'Opps! Something went wrong' }); // Send a 500 Internal Server Error response.
+    }
+};
+
 module.exports = authMiddleware; // Export the middleware for use in other parts of the application.
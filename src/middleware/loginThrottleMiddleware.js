@@ -0,0 +1,38 @@
+/**
+ * Author: Jay Chauhan
+ * Middleware Name: Login Throttle Middleware
+ * Description:
+ * This middleware rate limits the public login endpoints per IP address and per
+ * username. Requests made during a lockout, above the rate limit or before the
+ * progressive delay after a failure has passed get a 429 response with a
+ * Retry-After header. Failures and successes are recorded by the controller.
+ */
+
+const LoginThrottleService = require('../services/auth/LoginThrottleService'); // Import the service keeping the counters.
+const Logger = require('../utils/logs/Logger'); // Import a custom Logger utility for logging error messages.
+
+const loginThrottleMiddleware = async (req, res, next) => {
+    try {
+        const throttle = new LoginThrottleService(); // Create an instance of the throttle service.
+        const result = await throttle.hit(LoginThrottleService.keysFor(req)); // Count the request and check the limits.
+
+        if (result.allowed) {
+            return next(); // Proceed to the route handler.
+        }
+
+        const messages = {
+            locked: 'Too many failed attempts! Account is temporarily locked.',
+            rate: 'Too many requests! Please try again later.',
+            delay: 'Please wait before trying again.'
+        };
+
+        res.set('Retry-After', String(result.retryAfter)); // Tell the client when to retry.
+        res.status(429).json({ message: messages[result.reason], retryAfter: result.retryAfter });
+    } catch (error) {
+        const logger = new Logger(); // Create an instance of the Logger utility for error logging.
+        logger.write("Login Throttle Error: " + error, "middleware/error"); // Log the error message in the appropriate log file.
+        res.status(500).json({ message: 'Opps! Something went wrong' }); // Send a 500 Internal Server Error response.
+    }
+};
+
+module.exports = loginThrottleMiddleware; // Export the middleware for use in other parts of the application.
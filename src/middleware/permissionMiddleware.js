@@ -0,0 +1,35 @@
+/**
+ * Author: Jay Chauhan
+ * Middleware Name: Permission Middleware
+ * Description:
+ * This middleware factory checks that the authenticated user's role grants the
+ * given permission. It relies on `req.user.permissions`, which `authMiddleware`
+ * loads together with the user, so the check needs no extra query. Requests
+ * made with an API key are checked against the key's scopes instead, so a route
+ * is only reachable with a key if it names the scope it accepts. Forbidden
+ * requests are logged and answered with a 403 response.
+ */
+
+const { hasPermission } = require('../utils/functions'); // Import a utility function to match permissions.
+const Logger = require('../utils/logs/Logger'); // Import a custom Logger utility for logging denied requests.
+
+const requirePermission = (permission, scope = null) => {
+    return (req, res, next) => {
+        // API keys pass only if the route accepts one of their scopes.
+        if (req.user && req.user.apiKeyId) {
+            if (scope && req.user.scopes.includes(scope)) {
+                return next();
+            }
+        } else if (req.user && hasPermission(req.user.permissions, permission)) {
+            return next(); // Let the request through if the user's role grants the permission.
+        }
+
+        const logger = new Logger(); // Create an instance of the Logger utility for logging.
+        const caller = req.user ? (req.user.apiKeyId ? `API key ${req.user.apiKeyId}` : `user ${req.user.userId}`) : 'unknown';
+        const needs = req.user && req.user.apiKeyId ? `scope "${scope}"` : `"${permission}"`;
+        logger.write(`Permission denied: ${caller} needs ${needs} for ${req.method} ${req.originalUrl}`, "permission/denied"); // Log the denied request.
+        res.status(403).json({ message: 'Forbidden' }); // Send a 403 Forbidden response.
+    };
+};
+
+module.exports = requirePermission; // Export the middleware factory for use in the route files.
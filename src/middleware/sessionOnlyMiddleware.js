@@ -0,0 +1,17 @@
+/**
+ * Author: Jay Chauhan
+ * Middleware Name: Session Only Middleware
+ * Description:
+ * This middleware rejects requests authenticated with an API key. It guards the
+ * self-service routes (menu, 2FA, account, sessions, devices, API keys) that only make
+ * sense for a logged-in person and carry no permission check of their own.
+ */
+
+const sessionOnlyMiddleware = (req, res, next) => {
+    if (req.user && req.user.apiKeyId) {
+        return res.status(403).json({ message: 'Forbidden' }); // API keys cannot use these routes.
+    }
+    next(); // Proceed to the next middleware or route handler.
+};
+
+module.exports = sessionOnlyMiddleware; // Export the middleware for use in the route files.
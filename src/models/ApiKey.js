@@ -0,0 +1,27 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class ApiKey
+ * @description API keys of machine-to-machine callers, stored as SHA-256 hashes.
+ * @author Jay Chauhan
+ */
+class ApiKey extends Model {
+    static STATUSES = Object.freeze({ REVOKED: "0", ACTIVE: "1" }); // apiKeyStatus codes
+
+    static table = tables.TBL_API_KEYS;
+    static alias = "ak";
+    static primaryKey = "apiKeyId";
+    static columns = [
+        "apiKeyId", "apiKeyUserId", "apiKeyName", "apiKeyPrefix", "apiKeyHash", "apiKeyScopes", "apiKeyAllowedIps",
+        "apiKeyExpiry", "apiKeyLastUsedDate", "apiKeyLastUsedIp", "apiKeyStatus", "apiKeyCreatedDate"
+    ];
+    static enums = {
+        apiKeyStatus: this.STATUSES
+    };
+    static relations = {
+        user: { type: "belongsTo", model: () => require('./User'), foreignKey: "apiKeyUserId", ownerKey: "userId" }
+    };
+}
+
+module.exports = ApiKey; // Export the ApiKey class
@@ -0,0 +1,28 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class AuditLog
+ * @description The append-only security audit log.
+ * @author Jay Chauhan
+ */
+class AuditLog extends Model {
+    static OUTCOMES = Object.freeze({ SUCCESS: "success", FAILURE: "failure" }); // auditOutcome values
+
+    static table = tables.TBL_AUDIT_LOGS;
+    static alias = "al";
+    static primaryKey = "auditId";
+    static columns = [
+        "auditId", "auditActorUserId", "auditActorApiKeyId", "auditAction", "auditTarget", "auditIp", "auditUserAgent",
+        "auditOutcome", "auditDetails", "auditCreatedDate"
+    ];
+    static enums = {
+        auditOutcome: this.OUTCOMES
+    };
+    static relations = {
+        actor: { type: "belongsTo", model: () => require('./User'), foreignKey: "auditActorUserId", ownerKey: "userId" },
+        apiKey: { type: "belongsTo", model: () => require('./ApiKey'), foreignKey: "auditActorApiKeyId", ownerKey: "apiKeyId" }
+    };
+}
+
+module.exports = AuditLog; // Export the AuditLog class
@@ -0,0 +1,19 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class AuthThrottle
+ * @description Brute-force protection counters of the login endpoints.
+ * @author Jay Chauhan
+ */
+class AuthThrottle extends Model {
+    static table = tables.TBL_AUTH_THROTTLES;
+    static alias = "at";
+    static primaryKey = "throttleId";
+    static columns = [
+        "throttleId", "throttleKey", "throttleHits", "throttleWindowStart", "throttleFailures",
+        "throttleLastFailureDate", "throttleLockedUntil"
+    ];
+}
+
+module.exports = AuthThrottle; // Export the AuthThrottle class
@@ -0,0 +1,26 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class BankDetail
+ * @description The bank accounts money is booked against.
+ * @author Jay Chauhan
+ */
+class BankDetail extends Model {
+    static table = tables.TBL_BANK_DETAILS;
+    static alias = "b";
+    static primaryKey = "bankId";
+    static columns = [
+        "bankId", "bankName", "bankAccountNumber", "bankAccountBalance", "bankAccountIsActive"
+    ];
+    static enums = {
+        bankAccountIsActive: Model.FLAG
+    };
+    static relations = {
+        paymentMethods: { type: "hasMany", model: () => require('./PaymentMethod'), foreignKey: "paymentMethodBankId", ownerKey: "bankId" },
+        cards: { type: "hasMany", model: () => require('./CardDetail'), foreignKey: "cardBankId", ownerKey: "bankId" },
+        upiIds: { type: "hasMany", model: () => require('./UpiDetail'), foreignKey: "upiBankId", ownerKey: "bankId" }
+    };
+}
+
+module.exports = BankDetail; // Export the BankDetail class
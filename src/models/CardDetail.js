@@ -0,0 +1,24 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class CardDetail
+ * @description Cards issued on a bank account.
+ * @author Jay Chauhan
+ */
+class CardDetail extends Model {
+    static table = tables.TBL_CARD_DETAILS;
+    static alias = "cd";
+    static primaryKey = "cardId";
+    static columns = [
+        "cardId", "cardBankId", "cardNumber", "cardType", "cardIsActive"
+    ];
+    static enums = {
+        cardIsActive: Model.FLAG
+    };
+    static relations = {
+        bank: { type: "belongsTo", model: () => require('./BankDetail'), foreignKey: "cardBankId", ownerKey: "bankId" }
+    };
+}
+
+module.exports = CardDetail; // Export the CardDetail class
@@ -0,0 +1,44 @@
+const Model = require('./Model'); // Import the base model
+const ContactInformation = require('./ContactInformation'); // Import the contact information model
+const MySQL = require('../utils/db/Mysql'); // Import the MySQL utility for database operations
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class Contact
+ * @description Contacts, with their phone numbers and email addresses in tblContactInformations.
+ * @author Jay Chauhan
+ */
+class Contact extends Model {
+    static table = tables.TBL_CONTACTS;
+    static alias = "c";
+    static primaryKey = "contactId";
+    static columns = [
+        "contactId", "contactFirstName", "contactLastName", "contactImage", "contactIsActive"
+    ];
+    static enums = {
+        contactIsActive: Model.FLAG
+    };
+    static relations = {
+        informations: { type: "hasMany", model: () => require('./ContactInformation'), foreignKey: "contactId", ownerKey: "contactId" },
+        paymentLinks: { type: "hasMany", model: () => require('./PaymentLink'), foreignKey: "linkContactId", ownerKey: "contactId" }
+    };
+
+    /**
+     * @function getChannels
+     * @description Fetches the name of a contact with its active phone numbers and email addresses, one row per value.
+     * @param {number|string} contactId - The contact ID.
+     * @param {MySQL} [db] - The MySQL instance to use, a new one by default.
+     * @returns {Promise<Array<Object>>} Rows of contactFirstName, contactLastName, contactInformationCategory and contactInformationValue.
+     */
+    static async getChannels(contactId, db = new MySQL()) {
+        return await this.join(this.query(db), "informations")
+            .select("c.contactFirstName", "c.contactLastName", "ci.contactInformationCategory", "ci.contactInformationValue")
+            .where("c.contactId", contactId)
+            .where("ci.contactInformationType", "0")
+            .where("ci.contactInformationIsActive", Model.FLAG.YES)
+            .whereIn("ci.contactInformationCategory", Object.values(ContactInformation.CATEGORIES))
+            .get();
+    }
+}
+
+module.exports = Contact; // Export the Contact class
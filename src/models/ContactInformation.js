@@ -0,0 +1,28 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class ContactInformation
+ * @description The phone numbers and email addresses of a contact.
+ * @author Jay Chauhan
+ */
+class ContactInformation extends Model {
+    static CATEGORIES = Object.freeze({ PHONE: "0", EMAIL: "2" }); // contactInformationCategory codes
+
+    static table = tables.TBL_CONTACT_INFORMATIONS;
+    static alias = "ci";
+    static primaryKey = "contactInformationId";
+    static columns = [
+        "contactInformationId", "contactId", "contactInformationType", "contactInformationCategory",
+        "contactInformationValue", "contactInformationIsActive"
+    ];
+    static enums = {
+        contactInformationCategory: this.CATEGORIES,
+        contactInformationIsActive: Model.FLAG
+    };
+    static relations = {
+        contact: { type: "belongsTo", model: () => require('./Contact'), foreignKey: "contactId", ownerKey: "contactId" }
+    };
+}
+
+module.exports = ContactInformation; // Export the ContactInformation class
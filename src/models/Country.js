@@ -0,0 +1,21 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class Country
+ * @description Countries of the location lookup.
+ * @author Jay Chauhan
+ */
+class Country extends Model {
+    static table = tables.TBL_COUNTRY;
+    static alias = "co";
+    static primaryKey = "countryId";
+    static columns = [
+        "countryId", "countryName", "countryCode"
+    ];
+    static relations = {
+        states: { type: "hasMany", model: () => require('./State'), foreignKey: "stateCountryId", ownerKey: "countryId" }
+    };
+}
+
+module.exports = Country; // Export the Country class
@@ -0,0 +1,22 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class District
+ * @description Districts of the location lookup.
+ * @author Jay Chauhan
+ */
+class District extends Model {
+    static table = tables.TBL_DISTRICT;
+    static alias = "di";
+    static primaryKey = "districtId";
+    static columns = [
+        "districtId", "districtStateId", "districtName"
+    ];
+    static relations = {
+        state: { type: "belongsTo", model: () => require('./State'), foreignKey: "districtStateId", ownerKey: "stateId" },
+        pincodes: { type: "hasMany", model: () => require('./Pincode'), foreignKey: "pincodeDistrictId", ownerKey: "districtId" }
+    };
+}
+
+module.exports = District; // Export the District class
@@ -0,0 +1,21 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class EmailDetail
+ * @description The sender addresses mails can be sent from.
+ * @author Jay Chauhan
+ */
+class EmailDetail extends Model {
+    static table = tables.TBL_EMAILS_DETAILS;
+    static alias = "ed";
+    static primaryKey = "emailId";
+    static columns = [
+        "emailId", "emailAddress", "emailDisplayName", "emailIsActive"
+    ];
+    static enums = {
+        emailIsActive: Model.FLAG
+    };
+}
+
+module.exports = EmailDetail; // Export the EmailDetail class
@@ -0,0 +1,21 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class EmailTemplate
+ * @description Email templates, placeholders are written as {{ mailBodyData.name }}.
+ * @author Jay Chauhan
+ */
+class EmailTemplate extends Model {
+    static table = tables.TBL_EMAIL_TEMPLATES;
+    static alias = "et";
+    static primaryKey = "templateId";
+    static columns = [
+        "templateId", "templateSubject", "templateBody", "templateIsActive"
+    ];
+    static enums = {
+        templateIsActive: Model.FLAG
+    };
+}
+
+module.exports = EmailTemplate; // Export the EmailTemplate class
@@ -0,0 +1,24 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class Event
+ * @description Scheduled HTTP requests run by the event scheduler.
+ * @author Jay Chauhan
+ */
+class Event extends Model {
+    static STATUSES = Object.freeze({ PENDING: "0", PROCESSED: "1" }); // eventStatus codes
+
+    static table = tables.TBL_EVENTS;
+    static alias = "ev";
+    static primaryKey = "eventId";
+    static columns = [
+        "eventId", "eventRequestUrl", "eventRequestType", "eventRequestHeaders", "eventRequestData", "eventData",
+        "eventTimestamp", "eventStatus", "eventResponseCode", "eventResponseBody"
+    ];
+    static enums = {
+        eventStatus: this.STATUSES
+    };
+}
+
+module.exports = Event; // Export the Event class
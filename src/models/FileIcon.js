@@ -0,0 +1,18 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class FileIcon
+ * @description File manager icons, matched by fileType or by one of the comma separated fileExtensions.
+ * @author Jay Chauhan
+ */
+class FileIcon extends Model {
+    static table = tables.TBL_FILE_ICONS;
+    static alias = "fi";
+    static primaryKey = "iconId";
+    static columns = [
+        "iconId", "fileType", "fileExtensions", "iconSvg", "iconColorClass"
+    ];
+}
+
+module.exports = FileIcon; // Export the FileIcon class
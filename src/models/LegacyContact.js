@@ -0,0 +1,18 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class LegacyContact
+ * @description The legacy contact list, superseded by Contact.
+ * @author Jay Chauhan
+ */
+class LegacyContact extends Model {
+    static table = tables.TBL_CONTACT;
+    static alias = "lc";
+    static primaryKey = "contactId";
+    static columns = [
+        "contactId", "contactName", "contactNumber", "contactEmail"
+    ];
+}
+
+module.exports = LegacyContact; // Export the LegacyContact class
@@ -0,0 +1,28 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class Mail
+ * @description Received and sent emails, stored once per message ID.
+ * @author Jay Chauhan
+ */
+class Mail extends Model {
+    static TYPES = Object.freeze({ RECEIVED: "0", SENT: "1" }); // mailType codes
+
+    static table = tables.TBL_MAILS;
+    static alias = "ml";
+    static primaryKey = "mailId";
+    static columns = [
+        "mailId", "mailMessageId", "mailFromEmail", "mailFromName", "mailToEmail", "mailToName", "mailSubject",
+        "mailBody", "mailText", "mailType", "mailIsRead", "mailDate"
+    ];
+    static enums = {
+        mailType: this.TYPES,
+        mailIsRead: Model.FLAG
+    };
+    static relations = {
+        attachments: { type: "hasMany", model: () => require('./MailAttachment'), foreignKey: "attachmentMailId", ownerKey: "mailId" }
+    };
+}
+
+module.exports = Mail; // Export the Mail class
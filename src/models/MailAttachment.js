@@ -0,0 +1,22 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class MailAttachment
+ * @description Files attached to an email.
+ * @author Jay Chauhan
+ */
+class MailAttachment extends Model {
+    static table = tables.TBL_MAIL_ATTACHMENTS;
+    static alias = "ma";
+    static primaryKey = "attachmentId";
+    static columns = [
+        "attachmentId", "attachmentMailId", "attachmentFileName", "attachmentContentType", "attachmentSize",
+        "attachmentPath"
+    ];
+    static relations = {
+        mail: { type: "belongsTo", model: () => require('./Mail'), foreignKey: "attachmentMailId", ownerKey: "mailId" }
+    };
+}
+
+module.exports = MailAttachment; // Export the MailAttachment class
@@ -0,0 +1,24 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class MenuItem
+ * @description Items of the panel menu.
+ * @author Jay Chauhan
+ */
+class MenuItem extends Model {
+    static table = tables.TBL_MENU_ITEMS;
+    static alias = "mi";
+    static primaryKey = "menuId";
+    static columns = [
+        "menuId", "menuTitle", "menuSvg", "menuType", "menuRouteId", "menuParentId", "menuIsActive"
+    ];
+    static enums = {
+        menuIsActive: Model.FLAG
+    };
+    static relations = {
+        route: { type: "belongsTo", model: () => require('./Route'), foreignKey: "menuRouteId", ownerKey: "routeId" }
+    };
+}
+
+module.exports = MenuItem; // Export the MenuItem class
@@ -0,0 +1,18 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class Migration
+ * @description The schema migrations that have run, see src/database/Migrator.js.
+ * @author Jay Chauhan
+ */
+class Migration extends Model {
+    static table = tables.TBL_MIGRATIONS;
+    static alias = "mg";
+    static primaryKey = "migrationId";
+    static columns = [
+        "migrationId", "migrationName", "migrationBatch", "migrationRunDate"
+    ];
+}
+
+module.exports = Migration; // Export the Migration class
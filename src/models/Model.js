@@ -0,0 +1,130 @@
+const MySQL = require('../utils/db/Mysql'); // Import the MySQL utility for database operations
+
+/**
+ * @class Model
+ * @description Base class of the table models in this directory. A model describes one table of config/tables.js:
+ *              its columns, the meaning of its coded columns (enums) and its relations to other models, and
+ *              returns MySQL query builders for it, so callers keep chaining where(), orderBy(), paginate() etc.
+ *              Every model has a short alias that is unique across the models, so relations can be joined
+ *              without naming the aliases by hand.
+ *              Every method takes an optional MySQL instance, pass the transaction instance to run inside
+ *              transaction().
+ * @example
+ * const transections = await Transaction.query().select("t.*").where("t.transectionType", Transaction.TYPES.INCOME).get();
+ * await Transaction.join(Transaction.query(), "paymentMethod.bank").select("t.*", "b.bankName").get();
+ * @author Jay Chauhan
+ */
+class Model {
+    static table = null; // Table name from config/tables.js
+    static alias = null; // Table alias used by query() and join()
+    static primaryKey = null; // Primary key column
+    static columns = []; // Every column of the table
+    static enums = {}; // Coded columns, mapping each column to its { NAME: code } constants
+    static relations = {}; // Related models: { name: { type: "belongsTo" | "hasMany", model: () => Model, foreignKey, ownerKey } }
+
+    static FLAG = Object.freeze({ NO: "0", YES: "1" }); // Codes of the ENUM('0', '1') yes/no columns (…IsActive, …IsRead)
+
+    /**
+     * @function query
+     * @description Starts a query on the table, under the model's alias.
+     * @param {MySQL} [db] - The MySQL instance to use, a new one by default.
+     * @returns {MySQL}
+     */
+    static query(db = new MySQL()) {
+        return db.table(`${this.table} ${this.alias}`);
+    }
+
+    /**
+     * @function find
+     * @description Fetches a row by its primary key.
+     * @param {number|string} id - The primary key value.
+     * @param {MySQL} [db] - The MySQL instance to use, a new one by default.
+     * @returns {Promise<Object|undefined>} The row, or undefined if it does not exist.
+     */
+    static async find(id, db = new MySQL()) {
+        return await this.query(db).select(`${this.alias}.*`).where(`${this.alias}.${this.primaryKey}`, id).first();
+    }
+
+    /**
+     * @function create
+     * @description Inserts a row after checking its columns and coded values.
+     * @param {Object} data - The row to insert.
+     * @param {MySQL} [db] - The MySQL instance to use, a new one by default.
+     * @returns {Promise<number>} The ID of the new row.
+     */
+    static async create(data, db = new MySQL()) {
+        return await db.table(this.table).insert(this.validate(data));
+    }
+
+    /**
+     * @function update
+     * @description Updates a row by its primary key after checking the columns and coded values.
+     * @param {number|string} id - The primary key value.
+     * @param {Object} data - The columns to update.
+     * @param {MySQL} [db] - The MySQL instance to use, a new one by default.
+     * @returns {Promise<boolean>} Whether a row was updated.
+     */
+    static async update(id, data, db = new MySQL()) {
+        return await db.table(this.table).where(this.primaryKey, id).update(this.validate(data));
+    }
+
+    /**
+     * @function join
+     * @description Joins the models along a relation path to a query started with query(), e.g. "paymentMethod.bank"
+     *              joins the payment method of a transaction and then the bank of that payment method.
+     * @param {MySQL} query - The query to add the joins to.
+     * @param {string} path - The relation names, separated by dots.
+     * @param {string} [type=null] - The join type (LEFT, RIGHT, INNER).
+     * @returns {MySQL}
+     */
+    static join(query, path, type = null) {
+        let model = this;
+        for (const name of path.split('.')) {
+            const relation = model.relations[name];
+            if (!relation) {
+                throw new Error(`${model.name} has no relation "${name}".`);
+            }
+
+            const related = relation.model();
+            const condition = relation.type === 'hasMany'
+                ? `${related.alias}.${relation.foreignKey}=${model.alias}.${relation.ownerKey}`
+                : `${related.alias}.${relation.ownerKey}=${model.alias}.${relation.foreignKey}`;
+            query.join(`${related.table} ${related.alias}`, condition, type);
+            model = related;
+        }
+        return query;
+    }
+
+    /**
+     * @function label
+     * @description Returns the constant name of a coded value, e.g. label("transectionType", "1") gives "INCOME".
+     * @param {string} column - The coded column.
+     * @param {string|number} code - The stored value.
+     * @returns {string|null} The name, or null for an unknown value.
+     */
+    static label(column, code) {
+        const codes = this.enums[column] || {};
+        const entry = Object.entries(codes).find(([, value]) => value === String(code));
+        return entry ? entry[0] : null;
+    }
+
+    /**
+     * @function validate
+     * @description Checks that a row only has columns of the table and that its coded columns hold known codes.
+     * @param {Object} data - The row.
+     * @returns {Object} The same row.
+     */
+    static validate(data) {
+        for (const [column, value] of Object.entries(data)) {
+            if (!this.columns.includes(column)) {
+                throw new Error(`Unknown column "${column}" for ${this.name}.`);
+            }
+            if (this.enums[column] && value !== null && value !== undefined && this.label(column, value) === null) {
+                throw new Error(`Invalid value "${value}" for ${this.name}.${column}.`);
+            }
+        }
+        return data;
+    }
+}
+
+module.exports = Model; // Export the Model class
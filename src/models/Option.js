@@ -0,0 +1,18 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class Option
+ * @description Key/value settings, read and written through getOption() and setOption().
+ * @author Jay Chauhan
+ */
+class Option extends Model {
+    static table = tables.TBL_OPTIONS;
+    static alias = "o";
+    static primaryKey = "optionId";
+    static columns = [
+        "optionId", "optionKey", "optionValue"
+    ];
+}
+
+module.exports = Option; // Export the Option class
@@ -0,0 +1,25 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class PaymentGateway
+ * @description Credentials of the payment gateways.
+ * @author Jay Chauhan
+ */
+class PaymentGateway extends Model {
+    static table = tables.TBL_PAYMENT_GATEWAY;
+    static alias = "pg";
+    static primaryKey = "pgId";
+    static columns = [
+        "pgId", "pgName", "pgToken", "pgSecret", "pgApiVersion", "pgBankAccountLinked", "pgSandBox", "pgIsActive"
+    ];
+    static enums = {
+        pgSandBox: Model.FLAG,
+        pgIsActive: Model.FLAG
+    };
+    static relations = {
+        bank: { type: "belongsTo", model: () => require('./BankDetail'), foreignKey: "pgBankAccountLinked", ownerKey: "bankId" }
+    };
+}
+
+module.exports = PaymentGateway; // Export the PaymentGateway class
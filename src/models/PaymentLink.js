@@ -0,0 +1,28 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class PaymentLink
+ * @description Payment links created at the payment gateway.
+ * @author Jay Chauhan
+ */
+class PaymentLink extends Model {
+    static STATUSES = Object.freeze({ ACTIVE: "0", PAID: "1", PARTIALLY_PAID: "2", EXPIRED: "3", CANCELLED: "4" }); // linkStatus codes, the gateway statuses are mapped to them by the cashfreeLinkStatusMap option
+
+    static table = tables.TBL_PAYMENT_LINKS;
+    static alias = "pl";
+    static primaryKey = "linkId";
+    static columns = [
+        "linkId", "linkPgId", "linkIdFormatted", "linkGateway", "linkContactId", "linkUrl", "linkQr", "linkPurpose",
+        "linkAmount", "linkStatus", "linkExpiry", "linkNotification", "linkPaidAt", "linkExpiredAt", "linkFailedAt",
+        "linkCreatedDate"
+    ];
+    static enums = {
+        linkStatus: this.STATUSES
+    };
+    static relations = {
+        contact: { type: "belongsTo", model: () => require('./Contact'), foreignKey: "linkContactId", ownerKey: "contactId" }
+    };
+}
+
+module.exports = PaymentLink; // Export the PaymentLink class
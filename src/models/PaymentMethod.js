@@ -0,0 +1,22 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class PaymentMethod
+ * @description The ways money leaves or reaches a bank account (card, UPI, net banking, ...).
+ * @author Jay Chauhan
+ */
+class PaymentMethod extends Model {
+    static table = tables.TBL_PAYMENT_METHODS;
+    static alias = "pm";
+    static primaryKey = "paymentMethodId";
+    static columns = [
+        "paymentMethodId", "paymentMethodName", "paymentMethodBankId"
+    ];
+    static relations = {
+        bank: { type: "belongsTo", model: () => require('./BankDetail'), foreignKey: "paymentMethodBankId", ownerKey: "bankId" },
+        transections: { type: "hasMany", model: () => require('./Transaction'), foreignKey: "transectionPaymentMeyhodId", ownerKey: "paymentMethodId" }
+    };
+}
+
+module.exports = PaymentMethod; // Export the PaymentMethod class
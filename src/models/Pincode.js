@@ -0,0 +1,21 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class Pincode
+ * @description Pincodes of the location lookup.
+ * @author Jay Chauhan
+ */
+class Pincode extends Model {
+    static table = tables.TBL_PINCODE;
+    static alias = "pc";
+    static primaryKey = "pincodeId";
+    static columns = [
+        "pincodeId", "pincodeDistrictId", "pincode", "pincodeArea"
+    ];
+    static relations = {
+        district: { type: "belongsTo", model: () => require('./District'), foreignKey: "pincodeDistrictId", ownerKey: "districtId" }
+    };
+}
+
+module.exports = Pincode; // Export the Pincode class
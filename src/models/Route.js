@@ -0,0 +1,27 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class Route
+ * @description The routes of the admin panel.
+ * @author Jay Chauhan
+ */
+class Route extends Model {
+    static TARGETS = Object.freeze({ PANEL: "0", STANDALONE: "1" }); // routeTarget codes, STANDALONE renders the route without the panel layout
+
+    static table = tables.TBL_ROUTES;
+    static alias = "r";
+    static primaryKey = "routeId";
+    static columns = [
+        "routeId", "routeUrl", "routeComponentName", "routeComponentLocation", "routeTarget", "routeIsPrivate"
+    ];
+    static enums = {
+        routeTarget: this.TARGETS,
+        routeIsPrivate: Model.FLAG
+    };
+    static relations = {
+        menuItems: { type: "hasMany", model: () => require('./MenuItem'), foreignKey: "menuRouteId", ownerKey: "routeId" }
+    };
+}
+
+module.exports = Route; // Export the Route class
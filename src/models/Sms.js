@@ -0,0 +1,18 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class Sms
+ * @description Received SMS messages.
+ * @author Jay Chauhan
+ */
+class Sms extends Model {
+    static table = tables.TBL_SMS;
+    static alias = "s";
+    static primaryKey = "smsId";
+    static columns = [
+        "smsId", "smsFrom", "smsTo", "smsBody", "smsTime"
+    ];
+}
+
+module.exports = Sms; // Export the Sms class
@@ -0,0 +1,21 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class SmsClient
+ * @description Credentials of the SMS providers.
+ * @author Jay Chauhan
+ */
+class SmsClient extends Model {
+    static table = tables.TBL_SMS_CLIENT;
+    static alias = "sc";
+    static primaryKey = "clientId";
+    static columns = [
+        "clientId", "clientName", "clientBaseUrl", "clientApiKey", "clientIsActive"
+    ];
+    static enums = {
+        clientIsActive: Model.FLAG
+    };
+}
+
+module.exports = SmsClient; // Export the SmsClient class
@@ -0,0 +1,21 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class SmsTemplate
+ * @description SMS templates.
+ * @author Jay Chauhan
+ */
+class SmsTemplate extends Model {
+    static table = tables.TBL_SMS_TEMPLATES;
+    static alias = "st";
+    static primaryKey = "templateId";
+    static columns = [
+        "templateId", "templateName", "templateBody", "templateIsActive"
+    ];
+    static enums = {
+        templateIsActive: Model.FLAG
+    };
+}
+
+module.exports = SmsTemplate; // Export the SmsTemplate class
@@ -0,0 +1,22 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class State
+ * @description States of the location lookup.
+ * @author Jay Chauhan
+ */
+class State extends Model {
+    static table = tables.TBL_STATE;
+    static alias = "sta";
+    static primaryKey = "stateId";
+    static columns = [
+        "stateId", "stateCountryId", "stateName"
+    ];
+    static relations = {
+        country: { type: "belongsTo", model: () => require('./Country'), foreignKey: "stateCountryId", ownerKey: "countryId" },
+        districts: { type: "hasMany", model: () => require('./District'), foreignKey: "districtStateId", ownerKey: "stateId" }
+    };
+}
+
+module.exports = State; // Export the State class
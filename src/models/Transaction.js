@@ -0,0 +1,96 @@
+const Model = require('./Model'); // Import the base model
+const MySQL = require('../utils/db/Mysql'); // Import the MySQL utility for database operations
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class Transaction
+ * @description Money booked on a bank account through one of its payment methods. Deleted transactions keep their
+ *              row with transectionDeletedDate set; query() leaves them out unless asked for.
+ *              A transfer is a pair of TRANSFER entries, one OUT of the source bank and one IN to the destination
+ *              bank, linked to each other through transectionLinkedId.
+ * @author Jay Chauhan
+ */
+class Transaction extends Model {
+    static TYPES = Object.freeze({ EXPENSE: "0", INCOME: "1", TRANSFER: "2" }); // transectionType codes
+    static TRANSFER_DIRECTIONS = Object.freeze({ OUT: "0", IN: "1" }); // transectionTransferDirection codes of the two entries of a transfer
+
+    static table = tables.TBL_TRANSECTIONS;
+    static alias = "t";
+    static primaryKey = "transactionId";
+    static columns = [
+        "transactionId", "transactionUserId", "transectionPaymentMeyhodId", "transectionTitle", "transectionAmount",
+        "transectionType", "transectionTime", "transectionUpdatedDate", "transectionDeletedDate", "transectionDeletedUserId",
+        "transectionTransferDirection", "transectionLinkedId"
+    ];
+    static enums = {
+        transectionType: this.TYPES,
+        transectionTransferDirection: this.TRANSFER_DIRECTIONS
+    };
+    static relations = {
+        paymentMethod: { type: "belongsTo", model: () => require('./PaymentMethod'), foreignKey: "transectionPaymentMeyhodId", ownerKey: "paymentMethodId" },
+        user: { type: "belongsTo", model: () => require('./User'), foreignKey: "transactionUserId", ownerKey: "userId" }
+    };
+
+    /**
+     * @function query
+     * @description Starts a query on the transactions that are not deleted, or on all of them.
+     * @param {MySQL} [db] - The MySQL instance to use, a new one by default.
+     * @param {boolean} [withDeleted=false] - Whether to include deleted transactions.
+     * @returns {MySQL}
+     */
+    static query(db = new MySQL(), withDeleted = false) {
+        const query = super.query(db);
+        return withDeleted ? query : query.whereNull("t.transectionDeletedDate");
+    }
+
+    /**
+     * @function withDetails
+     * @description Starts a query on the transactions joined with their payment method ("pm"), bank ("b") and user ("u").
+     * @param {MySQL} [db] - The MySQL instance to use, a new one by default.
+     * @param {boolean} [withDeleted=false] - Whether to include deleted transactions.
+     * @returns {MySQL}
+     */
+    static withDetails(db = new MySQL(), withDeleted = false) {
+        return this.join(this.join(this.query(db, withDeleted), "paymentMethod.bank"), "user");
+    }
+
+    /**
+     * @function forBank
+     * @description Starts a query on the transactions booked on a bank account, joined as in withDetails().
+     * @param {number|string} bankId - The bank ID.
+     * @param {MySQL} [db] - The MySQL instance to use, a new one by default.
+     * @param {boolean} [withDeleted=false] - Whether to include deleted transactions.
+     * @returns {MySQL}
+     */
+    static forBank(bankId, db = new MySQL(), withDeleted = false) {
+        return this.withDetails(db, withDeleted).where("pm.paymentMethodBankId", bankId);
+    }
+
+    /**
+     * @function oneEntryPerTransfer
+     * @description Leaves the IN entry of every transfer out of a query, so a transfer is listed and counted once, by
+     *              its OUT entry. Rows without a direction are kept: income, expense and transfers saved before a
+     *              transfer had two entries.
+     * @param {MySQL} query - A query started with query().
+     * @returns {MySQL}
+     */
+    static oneEntryPerTransfer(query) {
+        return query.where(q => q.whereNull("t.transectionTransferDirection").orWhere("t.transectionTransferDirection", this.TRANSFER_DIRECTIONS.OUT));
+    }
+
+    /**
+     * @function balanceChange
+     * @description Returns how a transaction changes the balance of its bank: income and the IN entry of a transfer add
+     *              the amount, an expense and the OUT entry of a transfer subtract it.
+     * @param {string} type - The transectionType code.
+     * @param {number|string} amount - The transaction amount.
+     * @param {string} [direction=null] - The transectionTransferDirection code of a transfer entry.
+     * @returns {number}
+     */
+    static balanceChange(type, amount, direction = null) {
+        const adds = type === this.TYPES.INCOME || (type === this.TYPES.TRANSFER && direction === this.TRANSFER_DIRECTIONS.IN);
+        return adds ? parseFloat(amount) : -parseFloat(amount);
+    }
+}
+
+module.exports = Transaction; // Export the Transaction class
@@ -0,0 +1,24 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class UpiDetail
+ * @description UPI IDs linked to a bank account.
+ * @author Jay Chauhan
+ */
+class UpiDetail extends Model {
+    static table = tables.TBL_UPI_DETAILS;
+    static alias = "upi";
+    static primaryKey = "upiDetailId";
+    static columns = [
+        "upiDetailId", "upiBankId", "upiId", "upiIsActive"
+    ];
+    static enums = {
+        upiIsActive: Model.FLAG
+    };
+    static relations = {
+        bank: { type: "belongsTo", model: () => require('./BankDetail'), foreignKey: "upiBankId", ownerKey: "bankId" }
+    };
+}
+
+module.exports = UpiDetail; // Export the UpiDetail class
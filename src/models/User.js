@@ -0,0 +1,31 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class User
+ * @description Panel users.
+ * @author Jay Chauhan
+ */
+class User extends Model {
+    static LOGIN_FACTORS = Object.freeze({ EMAIL_OTP: "0", AUTHENTICATOR: "1" }); // userLoginFactor codes
+
+    static table = tables.TBL_USERS;
+    static alias = "u";
+    static primaryKey = "userId";
+    static columns = [
+        "userId", "userFirstName", "userLastName", "userEmail", "userLogin", "userPassword", "userPhoneNumber",
+        "userWhatsappNumber", "userRoleId", "userIsEmailVerified", "user2faSecret", "user2faQr",
+        "user2faPendingSecret", "user2faPendingQr", "userLoginFactor", "userIsActive"
+    ];
+    static enums = {
+        userIsEmailVerified: Model.FLAG,
+        userLoginFactor: this.LOGIN_FACTORS,
+        userIsActive: Model.FLAG
+    };
+    static relations = {
+        role: { type: "belongsTo", model: () => require('./UserRole'), foreignKey: "userRoleId", ownerKey: "roleId" },
+        sessions: { type: "hasMany", model: () => require('./UserSession'), foreignKey: "sessionUserId", ownerKey: "userId" }
+    };
+}
+
+module.exports = User; // Export the User class
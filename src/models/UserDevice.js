@@ -0,0 +1,27 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class UserDevice
+ * @description Known login devices of a user and their optional trust token.
+ * @author Jay Chauhan
+ */
+class UserDevice extends Model {
+    static STATUSES = Object.freeze({ REMOVED: "0", ACTIVE: "1" }); // deviceStatus codes
+
+    static table = tables.TBL_USER_DEVICES;
+    static alias = "ud";
+    static primaryKey = "deviceId";
+    static columns = [
+        "deviceId", "deviceUserId", "deviceFingerprint", "deviceIp", "deviceUserAgent", "deviceTrustToken",
+        "deviceTrustedUntil", "deviceFirstSeenDate", "deviceLastSeenDate", "deviceStatus"
+    ];
+    static enums = {
+        deviceStatus: this.STATUSES
+    };
+    static relations = {
+        user: { type: "belongsTo", model: () => require('./User'), foreignKey: "deviceUserId", ownerKey: "userId" }
+    };
+}
+
+module.exports = UserDevice; // Export the UserDevice class
@@ -0,0 +1,27 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class UserRecoveryCode
+ * @description Two-factor recovery codes, stored as SHA-256 hashes.
+ * @author Jay Chauhan
+ */
+class UserRecoveryCode extends Model {
+    static STATUSES = Object.freeze({ REVOKED: "0", ACTIVE: "1", USED: "2" }); // recoveryCodeStatus codes
+
+    static table = tables.TBL_USER_2FA_RECOVERY_CODES;
+    static alias = "rc";
+    static primaryKey = "recoveryCodeId";
+    static columns = [
+        "recoveryCodeId", "recoveryCodeUserId", "recoveryCodeHash", "recoveryCodeStatus", "recoveryCodeUsedDate",
+        "recoveryCodeCreatedDate"
+    ];
+    static enums = {
+        recoveryCodeStatus: this.STATUSES
+    };
+    static relations = {
+        user: { type: "belongsTo", model: () => require('./User'), foreignKey: "recoveryCodeUserId", ownerKey: "userId" }
+    };
+}
+
+module.exports = UserRecoveryCode; // Export the UserRecoveryCode class
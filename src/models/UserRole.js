@@ -0,0 +1,21 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class UserRole
+ * @description User roles and their JSON list of permissions.
+ * @author Jay Chauhan
+ */
+class UserRole extends Model {
+    static table = tables.TBL_USER_ROLES;
+    static alias = "ur";
+    static primaryKey = "roleId";
+    static columns = [
+        "roleId", "roleName", "rolePermissions"
+    ];
+    static relations = {
+        users: { type: "hasMany", model: () => require('./User'), foreignKey: "userRoleId", ownerKey: "roleId" }
+    };
+}
+
+module.exports = UserRole; // Export the UserRole class
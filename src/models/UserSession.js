@@ -0,0 +1,28 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class UserSession
+ * @description Per-device login sessions, tokens are stored as SHA-256 hashes.
+ * @author Jay Chauhan
+ */
+class UserSession extends Model {
+    static STATUSES = Object.freeze({ ENDED: "0", ACTIVE: "1" }); // sessionStatus codes
+
+    static table = tables.TBL_USER_SESSIONS;
+    static alias = "us";
+    static primaryKey = "sessionId";
+    static columns = [
+        "sessionId", "sessionUserId", "sessionAccessToken", "sessionAccessTokenExpiry", "sessionRefreshToken",
+        "sessionRefreshTokenExpiry", "sessionIp", "sessionUserAgent", "sessionCreatedDate", "sessionLastSeenDate",
+        "sessionStatus"
+    ];
+    static enums = {
+        sessionStatus: this.STATUSES
+    };
+    static relations = {
+        user: { type: "belongsTo", model: () => require('./User'), foreignKey: "sessionUserId", ownerKey: "userId" }
+    };
+}
+
+module.exports = UserSession; // Export the UserSession class
@@ -0,0 +1,31 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class UserVerification
+ * @description One-time codes and tokens: login OTPs and keys, email verification, password reset and invites.
+ * @author Jay Chauhan
+ */
+class UserVerification extends Model {
+    static TYPES = Object.freeze({ LOGIN: "1", EMAIL_VERIFICATION: "2", PASSWORD_RESET: "3", INVITE: "4" }); // verificationType codes
+    static KEY_TYPES = Object.freeze({ OTP: "1", TOKEN: "2", AUTHENTICATOR: "3" }); // verificationKeyType codes, TOKEN values are SHA-256 hashes
+    static STATUSES = Object.freeze({ INVALIDATED: "0", PENDING: "1", USED: "2" }); // verificationStatus codes
+
+    static table = tables.TBL_USER_VERIFICATION_DETAILS;
+    static alias = "uv";
+    static primaryKey = "verificationId";
+    static columns = [
+        "verificationId", "verificationUserId", "verificationType", "verificationKeyType", "verificationValue",
+        "verificationLinkedId", "verificationAttempts", "verificationStatus", "verificationCreatedDate"
+    ];
+    static enums = {
+        verificationType: this.TYPES,
+        verificationKeyType: this.KEY_TYPES,
+        verificationStatus: this.STATUSES
+    };
+    static relations = {
+        user: { type: "belongsTo", model: () => require('./User'), foreignKey: "verificationUserId", ownerKey: "userId" }
+    };
+}
+
+module.exports = UserVerification; // Export the UserVerification class
@@ -0,0 +1,18 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class Visitor
+ * @description Website visitors.
+ * @author Jay Chauhan
+ */
+class Visitor extends Model {
+    static table = tables.TBL_VISITORS;
+    static alias = "v";
+    static primaryKey = "visitorId";
+    static columns = [
+        "visitorId", "ip", "os", "device", "visitedDate"
+    ];
+}
+
+module.exports = Visitor; // Export the Visitor class
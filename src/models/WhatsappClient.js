@@ -0,0 +1,22 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class WhatsappClient
+ * @description Credentials of the WhatsApp providers.
+ * @author Jay Chauhan
+ */
+class WhatsappClient extends Model {
+    static table = tables.TBL_WHATSAPP_CLIENTS;
+    static alias = "wc";
+    static primaryKey = "clientId";
+    static columns = [
+        "clientId", "clientName", "clientBaseUrl", "clientAccountId", "clientApiKey", "clientWhatsppNumber",
+        "clientIsActive"
+    ];
+    static enums = {
+        clientIsActive: Model.FLAG
+    };
+}
+
+module.exports = WhatsappClient; // Export the WhatsappClient class
@@ -0,0 +1,26 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class WhatsappMessage
+ * @description Sent and received WhatsApp messages.
+ * @author Jay Chauhan
+ */
+class WhatsappMessage extends Model {
+    static DIRECTIONS = Object.freeze({ SENT: "0", RECEIVED: "1" }); // messageType codes
+
+    static table = tables.TBL_WHATSAPP_MESSAGES;
+    static alias = "wm";
+    static primaryKey = "messageId";
+    static columns = [
+        "messageId", "whatsappMessageId", "contactNumber", "messageBody", "messageType", "messageTime"
+    ];
+    static enums = {
+        messageType: this.DIRECTIONS
+    };
+    static relations = {
+        contactInformation: { type: "belongsTo", model: () => require('./ContactInformation'), foreignKey: "contactNumber", ownerKey: "contactInformationValue" }
+    };
+}
+
+module.exports = WhatsappMessage; // Export the WhatsappMessage class
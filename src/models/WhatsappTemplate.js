@@ -0,0 +1,21 @@
+const Model = require('./Model'); // Import the base model
+const tables = require('../config/tables'); // Import table configurations
+
+/**
+ * @class WhatsappTemplate
+ * @description Approved WhatsApp templates, identified at the provider by their content SID.
+ * @author Jay Chauhan
+ */
+class WhatsappTemplate extends Model {
+    static table = tables.TBL_WHATSAPP_TEMPLATES;
+    static alias = "wt";
+    static primaryKey = "templateId";
+    static columns = [
+        "templateId", "templateName", "templateWhatsappClientIdentifier", "templateVariableCount", "templateIsActive"
+    ];
+    static enums = {
+        templateIsActive: Model.FLAG
+    };
+}
+
+module.exports = WhatsappTemplate; // Export the WhatsappTemplate class
@@ -20,7 +20,9 @@ class GoogleAuthenticator {
     }
 
     /**
-     * Generates a 2FA secret for the user and updates the database with the secret and its OTPAuth URL.
+     * Generates a pending 2FA secret for the user and stores it with its OTPAuth URL. The pending secret
+     * does not replace the active one until it is confirmed with `activatePendingSecret`, so a working
+     * authenticator keeps working if enrollment is started by accident.
      * 
      * @returns {boolean|number} The number of rows updated or false if an error occurs.
      */
@@ -47,10 +49,10 @@ class GoogleAuthenticator {
 
                 const secret = speakeasy.generateSecret(authenticatorConfig); // Generate a secret.
 
-                // Prepare update details to save the secret and its OTPAuth URL in the database.
+                // Prepare update details to save the pending secret and its OTPAuth URL in the database.
                 const updateDetails = {
-                    user2faSecret: secret.base32, // Base32 encoded secret.
-                    user2faQr: secret.otpauth_url // OTPAuth URL for generating QR code.
+                    user2faPendingSecret: secret.base32, // Base32 encoded secret.
+                    user2faPendingQr: secret.otpauth_url // OTPAuth URL for generating QR code.
                 };
 
                 // Update the user's record in the database.
@@ -74,7 +76,7 @@ class GoogleAuthenticator {
     }
 
     /**
-     * Retrieves the OTPAuth URL from the database and generates a QR code URL.
+     * Retrieves the OTPAuth URL of the pending secret from the database and generates a QR code URL.
      * 
      * @returns {string|boolean} QR code URL as a string or false if an error occurs.
      */
@@ -82,14 +84,14 @@ class GoogleAuthenticator {
         try {
             await this.db.connect(); // Establish a connection to the database.
 
-            // Fetch the 2FA secret from the database.
+            // Fetch the pending 2FA secret from the database.
             const userDetails = await this.db.table(tables.TBL_USERS)
-                .select('user2faQr')
+                .select('user2faPendingQr')
                 .where('userId', this.userId)
                 .first();
 
-            if (userDetails) {
-                const otpauthUrl = userDetails.user2faQr; // Retrieve the OTPAuth URL.
+            if (userDetails && userDetails.user2faPendingQr) {
+                const otpauthUrl = userDetails.user2faPendingQr; // Retrieve the OTPAuth URL.
                 const qrCode = await qrcode.toDataURL(otpauthUrl); // Generate a QR code as a Data URL.
                 return qrCode; // Return the QR code URL.
             }
@@ -121,13 +123,7 @@ class GoogleAuthenticator {
 
 
             if (userDetails && userDetails.user2faSecret) {
-                // Verify the provided token using the user's secret.
-                return speakeasy.totp.verify({
-                    secret: userDetails.user2faSecret, // User's 2FA secret.
-                    encoding: 'base32', // Encoding format of the secret.
-                    token, // Token to verify.
-                    window: 1, // Allow for slight time variations.
-                });
+                return this.#verifyAgainst(userDetails.user2faSecret, token); // Verify the provided token using the user's secret.
             }
             return false; // Return false if user details or secret is missing.
         } catch (error) {
@@ -138,6 +134,108 @@ class GoogleAuthenticator {
             this.db.disconnect(); // Disconnect from the database.
         }
     }
+
+    /**
+     * Verifies a TOTP token against the pending secret and, if it matches, makes the pending secret the active one.
+     * 
+     * @param {string} token - The 2FA token provided by the user.
+     * @returns {boolean} True if the pending secret was activated, false otherwise.
+     */
+    async activatePendingSecret(token) {
+        try {
+            await this.db.connect(); // Establish a connection to the database.
+
+            // Fetch the user's pending 2FA secret from the database.
+            const userDetails = await this.db.table(tables.TBL_USERS)
+                .select('user2faPendingSecret', 'user2faPendingQr')
+                .where('userId', this.userId)
+                .first();
+
+            if (!userDetails || !userDetails.user2faPendingSecret || !this.#verifyAgainst(userDetails.user2faPendingSecret, token)) {
+                return false; // No pending secret or wrong token.
+            }
+
+            // Promote the pending secret and clear the pending fields.
+            return await this.db.table(tables.TBL_USERS)
+                .where('userId', this.userId)
+                .update({
+                    user2faSecret: userDetails.user2faPendingSecret,
+                    user2faQr: userDetails.user2faPendingQr,
+                    user2faPendingSecret: null,
+                    user2faPendingQr: null
+                });
+        } catch (error) {
+            // Log any errors during activation.
+            this.logger.write('Error activating secret: ' + JSON.stringify(error), '2fa/google/error');
+            return false;
+        } finally {
+            this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Checks whether the user has a pending (not yet confirmed) 2FA secret.
+     * 
+     * @returns {boolean} True if a pending secret exists.
+     */
+    async hasPendingSecret() {
+        try {
+            await this.db.connect(); // Establish a connection to the database.
+
+            const userDetails = await this.db.table(tables.TBL_USERS)
+                .select('user2faPendingSecret')
+                .where('userId', this.userId)
+                .first();
+
+            return !!(userDetails && userDetails.user2faPendingSecret);
+        } catch (error) {
+            this.logger.write('Error fetching pending secret: ' + JSON.stringify(error), '2fa/google/error');
+            return false;
+        } finally {
+            this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Removes both the active and the pending 2FA secret of the user.
+     * 
+     * @returns {boolean} True if the user was updated, false otherwise.
+     */
+    async removeSecret() {
+        try {
+            await this.db.connect(); // Establish a connection to the database.
+
+            return await this.db.table(tables.TBL_USERS)
+                .where('userId', this.userId)
+                .update({
+                    user2faSecret: null,
+                    user2faQr: null,
+                    user2faPendingSecret: null,
+                    user2faPendingQr: null
+                });
+        } catch (error) {
+            this.logger.write('Error removing secret: ' + JSON.stringify(error), '2fa/google/error');
+            return false;
+        } finally {
+            this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Verifies a TOTP token against a base32 secret.
+     * 
+     * @param {string} secret - Base32 encoded secret.
+     * @param {string} token - Token to verify.
+     * @returns {boolean} True if the token is valid.
+     */
+    #verifyAgainst(secret, token) {
+        return speakeasy.totp.verify({
+            secret: secret, // User's 2FA secret.
+            encoding: 'base32', // Encoding format of the secret.
+            token, // Token to verify.
+            window: 1, // Allow for slight time variations.
+        });
+    }
 }
 
 module.exports = GoogleAuthenticator; // Export the class for use in other modules.
@@ -12,7 +12,16 @@ const VerifyUserRoutes = require('./privateRoutes/VerifyUserRoutes');
 const EventRoutes = require('./privateRoutes/EventRoutes');
 const ContactRoutes = require('./privateRoutes/ContactRoutes');
 const DirectoryRoutes = require('./privateRoutes/DirectoryRoutes');
+const AccountRoutes = require('./privateRoutes/AccountRoutes');
+const SessionRoutes = require('./privateRoutes/SessionRoutes');
+const DeviceRoutes = require('./privateRoutes/DeviceRoutes');
+const SecurityRoutes = require('./privateRoutes/SecurityRoutes');
+const ApiKeyRoutes = require('./privateRoutes/ApiKeyRoutes');
+const UserRoutes = require('./privateRoutes/UserRoutes');
 const Logger = require('../utils/logs/Logger');
+const requirePermission = require('../middleware/permissionMiddleware');
+const sessionOnly = require('../middleware/sessionOnlyMiddleware');
+const permissions = require('../config/permissions');
 
 /*********************************************************************************************
  * Private routes 
@@ -28,7 +37,7 @@ router.use("/dashboard", DashboardRoutes);
 router.use("/sms", SmsRoutes);
 
 // Menu routes
-router.use("/menu", MenuRoutes);
+router.use("/menu", sessionOnly, MenuRoutes);
 
 // Email routes
 router.use("/email", EmailRoutes);
@@ -46,7 +55,7 @@ router.use("/event", EventRoutes);
 router.use("/payment", PaymentRoutes);
 
 // 2FA routes
-router.use("/2fa", VerifyUserRoutes);
+router.use("/2fa", sessionOnly, VerifyUserRoutes);
 
 // Contacts routes
 router.use("/contact", ContactRoutes);
@@ -54,8 +63,26 @@ router.use("/contact", ContactRoutes);
 // Directory routes
 router.use("/nas", DirectoryRoutes);
 
+// Account routes
+router.use("/account", sessionOnly, AccountRoutes);
+
+// Session routes
+router.use("/sessions", sessionOnly, SessionRoutes);
+
+// Device routes
+router.use("/devices", sessionOnly, DeviceRoutes);
+
+// Security routes
+router.use("/security", SecurityRoutes);
+
+// User management routes
+router.use("/users", UserRoutes);
+
+// API key routes
+router.use("/apikeys", sessionOnly, ApiKeyRoutes);
+
 // Clean Logs
-router.post("/clearLogs", (req, res) => {
+router.post("/clearLogs", requirePermission(permissions.LOGS_CLEAR), (req, res) => {
     const logger = new Logger();
     logger.cleanupLogs();
     res.status(200).json({ message: "Logs cleaned up successfully" });
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const AccountController = require('../../controllers/AccountController');
+
+// Account routes
+router.post("/password", AccountController.changePassword);
+
+// Export Router
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const ApiKeyController = require('../../controllers/ApiKeyController');
+const requirePermission = require('../../middleware/permissionMiddleware');
+const permissions = require('../../config/permissions');
+
+// API key routes
+router.post("/create", requirePermission(permissions.APIKEYS_MANAGE), ApiKeyController.createKey);
+router.get("/get", requirePermission(permissions.APIKEYS_MANAGE), ApiKeyController.getKeys);
+router.post("/revoke", requirePermission(permissions.APIKEYS_MANAGE), ApiKeyController.revokeKey);
+
+// Export Router
+module.exports = router;
@@ -8,9 +8,11 @@
 
 const express = require('express'); // Import Express for routing.
 const ContactController = require('../../controllers/ContactController'); // Import the controller to handle the logic.
+const requirePermission = require('../../middleware/permissionMiddleware'); // Import the middleware to check role permissions.
+const permissions = require('../../config/permissions'); // Import permission names.
 const router = express.Router(); // Create an Express router instance.
 
 // Route to create a 2FA secret for a user.
-router.get("/get", ContactController.getContacts);
+router.get("/get", requirePermission(permissions.CONTACT_READ), ContactController.getContacts);
 
 module.exports = router; // Export the router for use in other parts of the application.
@@ -1,17 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const DataController = require('../../controllers/DataController');
+const requirePermission = require('../../middleware/permissionMiddleware');
+const permissions = require('../../config/permissions');
 
 // Dashboard routes
 
 // Get Total Visits
-router.get("/getVisits", DataController.getVisits);
+router.get("/getVisits", requirePermission(permissions.DASHBOARD_READ), DataController.getVisits);
 
 // Get Bot Visits
-router.get("/getBotVisits", DataController.getBotVisits);
+router.get("/getBotVisits", requirePermission(permissions.DASHBOARD_READ), DataController.getBotVisits);
 
 // Get Visitor's Os Details
-router.get("/getVisitorOs", DataController.getVisitorOs);
+router.get("/getVisitorOs", requirePermission(permissions.DASHBOARD_READ), DataController.getVisitorOs);
 
 // Export Router
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const DeviceController = require('../../controllers/DeviceController');
+
+// Device routes
+router.get("/get", DeviceController.getDevices);
+router.post("/untrust", DeviceController.untrustDevice);
+router.post("/revoke", DeviceController.revokeDevice);
+
+// Export Router
+module.exports = router;
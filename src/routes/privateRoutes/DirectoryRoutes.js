@@ -8,13 +8,15 @@
 
 const express = require('express'); // Import Express for routing.
 const DirectoryController = require('../../controllers/DirectoryController'); // Import the controller to handle the logic.
+const requirePermission = require('../../middleware/permissionMiddleware'); // Import the middleware to check role permissions.
+const permissions = require('../../config/permissions'); // Import permission names.
 const router = express.Router(); // Create an Express router instance.
 
 // Route to create a 2FA secret for a user.
-router.get("/get", DirectoryController.getDirectoryTree);
-router.post("/getFile", DirectoryController.getFile);
-router.post("/deleteFile", DirectoryController.deleteFile);
-router.post("/createFolder", DirectoryController.createFolder);
-router.post("/deleteFolder", DirectoryController.deleteFolder);
+router.get("/get", requirePermission(permissions.NAS_READ), DirectoryController.getDirectoryTree);
+router.post("/getFile", requirePermission(permissions.NAS_READ), DirectoryController.getFile);
+router.post("/deleteFile", requirePermission(permissions.NAS_DELETE), DirectoryController.deleteFile);
+router.post("/createFolder", requirePermission(permissions.NAS_WRITE), DirectoryController.createFolder);
+router.post("/deleteFolder", requirePermission(permissions.NAS_DELETE), DirectoryController.deleteFolder);
 
 module.exports = router; // Export the router for use in other parts of the application.
\ No newline at end of file
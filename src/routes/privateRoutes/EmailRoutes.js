@@ -1,13 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const MailController = require('../../controllers/MailController');
+const requirePermission = require('../../middleware/permissionMiddleware');
+const permissions = require('../../config/permissions');
 
 // Mail routes
-router.post("/sendEmail", MailController.sendEmail);
-router.post("/sendQuickReply", MailController.sendQuickReply);
-router.post("/fetchEmails", MailController.fetchEmails);
-router.get("/getEmails", MailController.getEmails);
-router.post("/markRead", MailController.markRead);
+router.post("/sendEmail", requirePermission(permissions.EMAIL_SEND), MailController.sendEmail);
+router.post("/sendQuickReply", requirePermission(permissions.EMAIL_SEND), MailController.sendQuickReply);
+router.post("/fetchEmails", requirePermission(permissions.EMAIL_READ), MailController.fetchEmails);
+router.get("/getEmails", requirePermission(permissions.EMAIL_READ), MailController.getEmails);
+router.post("/markRead", requirePermission(permissions.EMAIL_READ), MailController.markRead);
 
 // Export Router
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const EventController = require('../../controllers/EventController');
+const requirePermission = require('../../middleware/permissionMiddleware');
+const permissions = require('../../config/permissions');
+const apiScopes = require('../../config/apiScopes');
 
 // Mail routes
-router.post("/trigger", EventController.trigger);
+router.post("/trigger", requirePermission(permissions.EVENT_TRIGGER, apiScopes.EVENT_TRIGGER), EventController.trigger);
 
 // Export Router
 module.exports = router;
\ No newline at end of file
@@ -1,17 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const MoneyController = require('../../controllers/MoneyController');
+const requirePermission = require('../../middleware/permissionMiddleware');
+const permissions = require('../../config/permissions');
 
 // Money routes
-router.get("/getPaymentMethods", MoneyController.getPaymentMethods);
-router.get("/getBanks", MoneyController.getBanks);
-router.get("/getUsers", MoneyController.getUsers);
-router.post("/saveTransection", MoneyController.saveTransection);
-router.get("/getRecentTransection", MoneyController.getRecentTransection);
-router.get("/getTransection", MoneyController.getTransection);
-router.get("/getTransectionSummary", MoneyController.getTransectionSummary);
-router.get("/getBankBalance", MoneyController.getBankBalance);
-router.get("/getBankDetails", MoneyController.getBankDetails);
+router.get("/getPaymentMethods", requirePermission(permissions.MONEY_READ), MoneyController.getPaymentMethods);
+router.get("/getBanks", requirePermission(permissions.MONEY_READ), MoneyController.getBanks);
+router.get("/getUsers", requirePermission(permissions.MONEY_READ), MoneyController.getUsers);
+router.post("/saveTransection", requirePermission(permissions.MONEY_WRITE), MoneyController.saveTransection);
+router.post("/updateTransection", requirePermission(permissions.MONEY_WRITE), MoneyController.updateTransection);
+router.post("/deleteTransection", requirePermission(permissions.MONEY_WRITE), MoneyController.deleteTransection);
+router.post("/saveTransfer", requirePermission(permissions.MONEY_WRITE), MoneyController.saveTransfer);
+router.get("/getRecentTransection", requirePermission(permissions.MONEY_READ), MoneyController.getRecentTransection);
+router.get("/getTransection", requirePermission(permissions.MONEY_READ), MoneyController.getTransection);
+router.get("/getTransectionSummary", requirePermission(permissions.MONEY_READ), MoneyController.getTransectionSummary);
+router.get("/getBankBalance", requirePermission(permissions.MONEY_READ), MoneyController.getBankBalance);
+router.get("/getBankDetails", requirePermission(permissions.MONEY_READ), MoneyController.getBankDetails);
 
 // Export Router
 module.exports = router;
\ No newline at end of file
@@ -1,11 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const PaymentController = require('../../controllers/PaymentController');
+const requirePermission = require('../../middleware/permissionMiddleware');
+const permissions = require('../../config/permissions');
 
 // Money routes
-router.post("/payment-link/create", PaymentController.createPaymentLink);
-router.post("/payout-link/create", PaymentController.createPayoutLink);
-router.get("/types", PaymentController.getPaymentTypes);
+router.post("/payment-link/create", requirePermission(permissions.PAYMENT_LINK), PaymentController.createPaymentLink);
+router.post("/payout-link/create", requirePermission(permissions.PAYMENT_PAYOUT), PaymentController.createPayoutLink);
+router.get("/types", requirePermission(permissions.PAYMENT_READ), PaymentController.getPaymentTypes);
 
 // Export Router
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const SecurityController = require('../../controllers/SecurityController');
+const requirePermission = require('../../middleware/permissionMiddleware');
+const permissions = require('../../config/permissions');
+
+// Security routes
+router.post("/unlock", requirePermission(permissions.SECURITY_UNLOCK), SecurityController.unlockAccount);
+router.get("/audit", requirePermission(permissions.AUDIT_READ), SecurityController.getAuditLog);
+
+// Export Router
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const SessionController = require('../../controllers/SessionController');
+
+// Session routes
+router.get("/get", SessionController.getSessions);
+router.post("/revoke", SessionController.revokeSession);
+router.post("/revokeOthers", SessionController.revokeOtherSessions);
+
+// Export Router
+module.exports = router;
@@ -1,14 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const SmsController = require('../../controllers/SmsController');
+const requirePermission = require('../../middleware/permissionMiddleware');
+const permissions = require('../../config/permissions');
+const apiScopes = require('../../config/apiScopes');
 
 // Sms Routes
 
 // Sms routes [FRONTEND DATA GETTING API]
-router.get("/getSms", SmsController.getSms);
+router.get("/getSms", requirePermission(permissions.SMS_READ), SmsController.getSms);
 
 // Sms import [BACKEND DATA RETRIVING API]
-router.post("/receiveSms", SmsController.receiveSms);
+router.post("/receiveSms", requirePermission(permissions.SMS_WRITE, apiScopes.SMS_INGEST), SmsController.receiveSms);
 
 // Export Router
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const UserController = require('../../controllers/UserController');
+const requirePermission = require('../../middleware/permissionMiddleware');
+const permissions = require('../../config/permissions');
+
+// User management routes
+router.get("/get", requirePermission(permissions.USERS_MANAGE), UserController.getUsers);
+router.post("/create", requirePermission(permissions.USERS_MANAGE), UserController.createUser);
+router.post("/update", requirePermission(permissions.USERS_MANAGE), UserController.updateUser);
+router.post("/role", requirePermission(permissions.USERS_MANAGE), UserController.assignRole);
+router.post("/deactivate", requirePermission(permissions.USERS_MANAGE), UserController.deactivateUser);
+router.post("/activate", requirePermission(permissions.USERS_MANAGE), UserController.activateUser);
+router.post("/resetPassword", requirePermission(permissions.USERS_MANAGE), UserController.forcePasswordReset);
+
+// Export Router
+module.exports = router;
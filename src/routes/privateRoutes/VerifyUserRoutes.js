@@ -16,4 +16,13 @@ router.post("/create", VerifyUserController.createSecret);
 // Route to verify a 2FA secret for a user.
 router.post("/verify", VerifyUserController.verifySecret);
 
+// Route to choose between the emailed OTP and the authenticator code for login.
+router.post("/loginFactor", VerifyUserController.setLoginFactor);
+
+// Route to replace the one-time recovery codes (requires the password or a current code).
+router.post("/recoveryCodes", VerifyUserController.regenerateRecoveryCodes);
+
+// Route to turn 2FA off (requires the password or a current code).
+router.post("/disable", VerifyUserController.disable2fa);
+
 module.exports = router; // Export the router for use in other parts of the application.
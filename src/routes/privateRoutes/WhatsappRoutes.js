@@ -1,12 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const WhatsappController = require('../../controllers/WhatsappController');
+const requirePermission = require('../../middleware/permissionMiddleware');
+const permissions = require('../../config/permissions');
 
 // Whatsapp messages
-router.post("/send", WhatsappController.sendMessage);
-router.post("/sendTemplate", WhatsappController.sendTemplate);
-router.post("/sendMessage", WhatsappController.sendFreeMessage);
-router.get("/getWhatsappMessages", WhatsappController.getWhatsappMessages);
+router.post("/send", requirePermission(permissions.WHATSAPP_SEND), WhatsappController.sendMessage);
+router.post("/sendTemplate", requirePermission(permissions.WHATSAPP_SEND), WhatsappController.sendTemplate);
+router.post("/sendMessage", requirePermission(permissions.WHATSAPP_SEND), WhatsappController.sendFreeMessage);
+router.get("/getWhatsappMessages", requirePermission(permissions.WHATSAPP_READ), WhatsappController.getWhatsappMessages);
 
 // Export Router
 module.exports = router;
\ No newline at end of file
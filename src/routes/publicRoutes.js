@@ -4,6 +4,7 @@ const RoutesController = require('../controllers/RoutesController');
 const PaymentRoutes = require('./privateRoutes/PaymentRoutes');
 const WhatsappController = require('../controllers/WhatsappController');
 const PaymentController = require('../controllers/PaymentController');
+const loginThrottleMiddleware = require('../middleware/loginThrottleMiddleware');
 const router = express.Router();
 
 /*********************************************************************************************
@@ -11,13 +12,20 @@ const router = express.Router();
  *********************************************************************************************/
 
 // Login Routes
-router.post('/sendOtp', LoginController.sendOtp);
-router.post('/login', LoginController.login);
+router.post('/sendOtp', loginThrottleMiddleware, LoginController.sendOtp);
+router.post('/login', loginThrottleMiddleware, LoginController.login);
+
+// Token Routes
+router.post('/token/refresh', LoginController.refreshToken);
 
 // Email Verification Route
 router.post('/verifyEmail', LoginController.sendVerificationMail);
 router.get('/verifyEmail/:token', LoginController.verifyEmail);
 
+// Password Reset Routes
+router.post('/password/forgot', loginThrottleMiddleware, LoginController.forgotPassword);
+router.post('/password/reset', loginThrottleMiddleware, LoginController.resetPassword);
+
 // React Routes
 router.get('/routes', RoutesController.getRoutes);
 
@@ -2,6 +2,7 @@
 
 const express = require('express');
 const cors = require('cors');
+const { PAGINATION_HEADERS } = require('../utils/functions');
 
 const router = express.Router();
 
@@ -10,8 +11,8 @@ const publicRoutes = require('./publicRoutes');
 const jsonErrorHandler = require('../handlers/BadRequestErrorHandler');
 const generalErrorHandler = require('../handlers/ServerErrorHandler');
 
-// Use CORS middleware
-router.use(cors());
+// Use CORS middleware, letting browsers read the paging headers of the list endpoints
+router.use(cors({ exposedHeaders: PAGINATION_HEADERS }));
 
 // Middleware to parse JSON bodies
 router.use(express.json());
@@ -4,27 +4,33 @@
  * Description:
  * This service provides two-factor authentication (2FA) functionality 
  * using Google Authenticator. It includes methods for generating a 
- * 2FA secret, verifying a 2FA code, and fetching user details from the database.
+ * 2FA secret, confirming it with a first code, managing one-time recovery codes,
+ * disabling 2FA, and fetching user details from the database.
  */
 
 const tables = require('../../config/tables');
 const GoogleAuthenticator = require('../../providers/2fa/google-authenticator'); // Import Google Authenticator provider.
 const MySQL = require('../../utils/db/Mysql'); // Import MySQL utility for database interactions.
 const Logger = require('../../utils/logs/Logger'); // Import Logger utility for logging errors and information.
+const Password = require('../../utils/password/Password'); // Import Password utility for re-checking the password.
+const { date, hashToken } = require('../../utils/functions'); // Utility functions to format dates and hash codes.
+const crypto = require('crypto'); // Import the crypto module for generating recovery codes.
 require('dotenv').config(); // Load environment variables from the .env file.
 
 class TwoFactorAuthService {
-    constructor(userToken) {
+    static RECOVERY_CODE_COUNT = 10; // Number of recovery codes issued at a time.
+
+    constructor(userId) {
         this.logger = new Logger(); // Initialize the Logger for error and information logging.
         this.db = new MySQL(); // Initialize the MySQL database connection utility.
-        this.userToken = userToken; // User token used to identify the user.
+        this.userId = userId; // ID of the logged-in user.
         this.googleAuthenticator = null; // Placeholder for the GoogleAuthenticator instance.
     }
 
     /**
      * Private method to set up the Google Authenticator instance.
      * - Connects to the database.
-     * - Fetches the user details using the provided token.
+     * - Fetches the user details using the provided user ID.
      * - Initializes the Google Authenticator with the user's ID.
      * 
      * @returns {boolean} True if setup is successful, false otherwise.
@@ -33,7 +39,7 @@ class TwoFactorAuthService {
         try {
             await this.db.connect(); // Connect to the database.
 
-            const user = await this.getUserDetails(['userId']); // Fetch user details by token.
+            const user = await this.getUserDetails(['userId']); // Fetch user details by ID.
 
             if (user) {
                 this.googleAuthenticator = new GoogleAuthenticator(user.userId); // Initialize Google Authenticator.
@@ -74,17 +80,105 @@ class TwoFactorAuthService {
     }
 
     /**
-     * Verifies a provided 2FA code against the stored secret.
+     * Verifies a provided 2FA code. If an enrollment is pending and the code matches the pending secret,
+     * the pending secret becomes active and a fresh set of recovery codes is issued.
      * 
      * @param {string} code - The 2FA code entered by the user.
-     * @returns {boolean} True if the code is valid, false otherwise.
+     * @returns {Object} `{ verified, activated, recoveryCodes }`, recoveryCodes is only set on activation.
      */
     async verifyCode(code) {
         try {
             await this.#setup(); // Ensure Google Authenticator is set up.
-            return this.googleAuthenticator.verifyToken(code); // Verify the provided 2FA code.
+
+            // Confirm a pending enrollment with its first valid code.
+            if (await this.googleAuthenticator.hasPendingSecret() && await this.googleAuthenticator.activatePendingSecret(code)) {
+                const recoveryCodes = await this.#issueRecoveryCodes(); // Issue one-time recovery codes.
+                return { verified: true, activated: true, recoveryCodes: recoveryCodes };
+            }
+
+            const verified = await this.googleAuthenticator.verifyToken(code); // Verify the provided 2FA code.
+            return { verified: verified, activated: false };
         } catch (error) {
             this.logger.write('Error verifying code [Service]: ' + JSON.stringify(error), '2fa/error'); // Log errors.
+            return { verified: false, activated: false }; // Return a failed result if an error occurs.
+        } finally {
+            this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Replaces the user's recovery codes with a new set after re-checking the password or a TOTP code.
+     * 
+     * @param {Object} credentials - `{ password }` or `{ code }` entered by the user.
+     * @returns {Array<string>|boolean} The new recovery codes, or false if re-authentication fails or 2FA is not active.
+     */
+    async regenerateRecoveryCodes(credentials) {
+        try {
+            const user = await this.getUserDetails(['userId', 'user2faSecret']); // Fetch user details by ID.
+
+            if (!user || !user.user2faSecret || !(await this.#reauthenticate(credentials))) {
+                return false; // 2FA not active or re-authentication failed.
+            }
+
+            return await this.#issueRecoveryCodes(); // Issue a new set of recovery codes.
+        } catch (error) {
+            this.logger.write('Error regenerating recovery codes [Service]: ' + error, '2fa/error'); // Log errors.
+            return false; // Return false if an error occurs.
+        } finally {
+            this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Disables 2FA after re-checking the password or a TOTP code. Removes the secrets and recovery codes
+     * and switches the login factor back to the emailed OTP.
+     * 
+     * @param {Object} credentials - `{ password }` or `{ code }` entered by the user.
+     * @returns {boolean} True if 2FA was disabled, false if re-authentication fails or an error occurs.
+     */
+    async disable(credentials) {
+        try {
+            if (!(await this.#reauthenticate(credentials))) {
+                return false; // Re-authentication failed.
+            }
+
+            await this.#setup(); // Ensure Google Authenticator is set up.
+            await this.googleAuthenticator.removeSecret(); // Remove the active and pending secrets.
+
+            await this.db.connect(); // Connect to the database.
+            await this.db.table(tables.TBL_USERS)
+                .where('userId', this.userId)
+                .update({ userLoginFactor: '0' }); // Fall back to the emailed OTP.
+            await this.db.table(tables.TBL_USER_2FA_RECOVERY_CODES)
+                .where('recoveryCodeUserId', this.userId)
+                .where('recoveryCodeStatus', '1')
+                .update({ recoveryCodeStatus: '0' }); // Revoke the remaining recovery codes.
+            return true;
+        } catch (error) {
+            this.logger.write('Error disabling 2FA [Service]: ' + error, '2fa/error'); // Log errors.
+            return false; // Return false if an error occurs.
+        } finally {
+            this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Consumes a recovery code. Each code can be used only once.
+     * 
+     * @param {string} code - The recovery code entered by the user.
+     * @returns {boolean} True if the code was valid and has now been used.
+     */
+    async useRecoveryCode(code) {
+        try {
+            await this.db.connect(); // Connect to the database.
+
+            return await this.db.table(tables.TBL_USER_2FA_RECOVERY_CODES)
+                .where('recoveryCodeUserId', this.userId)
+                .where('recoveryCodeHash', hashToken(this.#normalizeRecoveryCode(code)))
+                .where('recoveryCodeStatus', '1')
+                .update({ recoveryCodeStatus: '2', recoveryCodeUsedDate: date() }); // Mark the code as used.
+        } catch (error) {
+            this.logger.write('Error using recovery code [Service]: ' + error, '2fa/error'); // Log errors.
             return false; // Return false if an error occurs.
         } finally {
             this.db.disconnect(); // Disconnect from the database.
@@ -92,7 +186,90 @@ class TwoFactorAuthService {
     }
 
     /**
-     * Fetches user details from the database using the user token.
+     * Chooses how the user confirms a login: with an emailed OTP or with an authenticator (TOTP) code.
+     * The authenticator can only be chosen once a 2FA secret has been enrolled.
+     * 
+     * @param {string} factor - Either 'email' or 'totp'.
+     * @returns {boolean} True if the factor was saved, false if the user has no authenticator enrolled or an error occurs.
+     */
+    async setLoginFactor(factor) {
+        try {
+            const user = await this.getUserDetails(['userId', 'user2faSecret']); // Fetch user details by ID.
+
+            if (!user || (factor === 'totp' && !user.user2faSecret)) {
+                return false; // Authenticator not enrolled.
+            }
+
+            await this.db.connect(); // Connect to the database.
+            await this.db.table(tables.TBL_USERS)
+                .where('userId', this.userId)
+                .update({ userLoginFactor: factor === 'totp' ? '1' : '0' }); // Save the chosen factor.
+            return true;
+        } catch (error) {
+            this.logger.write('Error setting login factor [Service]: ' + error, '2fa/error'); // Log errors.
+            return false; // Return false if an error occurs.
+        } finally {
+            this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Revokes the user's current recovery codes and stores hashes of a new set.
+     * 
+     * @returns {Array<string>} The new recovery codes in plain text, shown to the user once.
+     */
+    async #issueRecoveryCodes() {
+        await this.db.connect(); // Connect to the database.
+
+        await this.db.table(tables.TBL_USER_2FA_RECOVERY_CODES)
+            .where('recoveryCodeUserId', this.userId)
+            .where('recoveryCodeStatus', '1')
+            .update({ recoveryCodeStatus: '0' }); // Revoke the previous set.
+
+        const recoveryCodes = [];
+        for (let i = 0; i < TwoFactorAuthService.RECOVERY_CODE_COUNT; i++) {
+            const code = crypto.randomBytes(5).toString('hex'); // 10 hex characters.
+            recoveryCodes.push(code.substring(0, 5) + '-' + code.substring(5));
+
+            await this.db.table(tables.TBL_USER_2FA_RECOVERY_CODES).insert({
+                recoveryCodeUserId: this.userId,
+                recoveryCodeHash: hashToken(code),
+                recoveryCodeStatus: '1'
+            });
+        }
+        return recoveryCodes;
+    }
+
+    /**
+     * Re-checks the identity of the user with their password or a current TOTP code.
+     * 
+     * @param {Object} credentials - `{ password }` or `{ code }` entered by the user.
+     * @returns {boolean} True if the password or the code is valid.
+     */
+    async #reauthenticate(credentials = {}) {
+        if (credentials.password) {
+            const user = await this.getUserDetails(['userPassword']); // Fetch the password hash.
+            return !!user && await Password.verify(credentials.password, user.userPassword);
+        }
+        if (credentials.code) {
+            const authenticator = new GoogleAuthenticator(this.userId);
+            return await authenticator.verifyToken(String(credentials.code));
+        }
+        return false;
+    }
+
+    /**
+     * Normalizes a recovery code as typed by the user (case and separators are ignored).
+     * 
+     * @param {string} code - The recovery code.
+     * @returns {string} The normalized code.
+     */
+    #normalizeRecoveryCode(code) {
+        return String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+    }
+
+    /**
+     * Fetches user details from the database using the user ID.
      * 
      * @param {Array<string>} data - List of fields to fetch from the database.
      * @returns {Object|boolean} User details object or false if an error occurs.
@@ -102,7 +279,7 @@ class TwoFactorAuthService {
             await this.db.connect(); // Connect to the database.
             return await this.db.table(tables.TBL_USERS) // Query the users table.
                 .select(...data) // Select specified fields.
-                .where('userAccessToken', this.userToken) // Filter by user token.
+                .where('userId', this.userId) // Filter by user ID.
                 .first(); // Fetch the first matching record.
         } catch (error) {
             console.log(error);
@@ -2,6 +2,7 @@ const Twilio = require('../providers/twilio/class-twilio');  // Import the Twili
 const Logger = require('../utils/logs/Logger');  // Import Logger class for logging purposes
 const MySQL = require('../utils/db/Mysql');  // Import MySQL class for database operations
 const tables = require('../config/tables');  // Import table configuration constants
+const WhatsappMessage = require('../models/WhatsappMessage');  // Import the WhatsApp message model
 
 /**
  * WhatsappService class handles all WhatsApp operations through Twilio API.
@@ -35,12 +36,12 @@ class WhatsappService {
                 whatsappMessageId: response.sid,  // Unique message ID from Twilio
                 contactNumber: response.to.split(':')[1].replace('+91'),  // Extract recipient number from Twilio response
                 messageBody: this.#convertToWhatsappFormate(response.body),  // Message content
-                messageType: "0",  // Message type (0 indicates sent message)
+                messageType: WhatsappMessage.DIRECTIONS.SENT,  // Message direction
             };
 
             // Connect to the database, insert message details, then disconnect
             await this.db.connect();
-            await this.db.table(tables.TBL_WHATSAPP_MESSAGES).insert(messageDetails);
+            await WhatsappMessage.create(messageDetails, this.db);
             await this.db.disconnect();
 
             // Log successful message sending
@@ -94,12 +95,12 @@ class WhatsappService {
                         whatsappMessageId: response.sid,  // Unique message ID from Twilio
                         contactNumber: response.to.split(':')[1].replace('+91'),  // Extract recipient number
                         messageBody: response.body,  // Message content
-                        messageType: "0",  // Message type (0 for sent message)
+                        messageType: WhatsappMessage.DIRECTIONS.SENT,  // Message direction
                     };
 
                     // Insert the message details into the database
                     await this.db.connect();
-                    await this.db.table(tables.TBL_WHATSAPP_MESSAGES).insert(messageDetails);
+                    await WhatsappMessage.create(messageDetails, this.db);
                     await this.db.disconnect();
 
                     return true;  // Message sent successfully
@@ -158,12 +159,12 @@ class WhatsappService {
                     whatsappMessageId: data.MessageSid,  // Unique message ID from Twilio, used for tracking
                     contactNumber: data.From.split(':')[1].replace('+91'),  // Extract and clean up sender's phone number (removes 'whatsapp:')
                     messageBody: data.Body,  // The actual text content of the received message
-                    messageType: "1",  // Message type is '1', indicating a received message (as opposed to sent)
+                    messageType: WhatsappMessage.DIRECTIONS.RECEIVED,  // Message direction
                 };
 
                 // Insert the message details into the database
                 await this.db.connect();  // Connect to the database
-                await this.db.table(tables.TBL_WHATSAPP_MESSAGES).insert(messageDetails);  // Insert the message details into the specified table
+                await WhatsappMessage.create(messageDetails, this.db);  // Insert the message details into the specified table
                 await this.db.disconnect();  // Disconnect from the database once done
 
                 return true;  // Return true indicating that the message was successfully saved
@@ -178,23 +179,40 @@ class WhatsappService {
     }
 
     /**
-    * @static
-    * @method getWhstappMessages
-    * @description Fetches Whstapp data from the database and sends it as a JSON response.
+    * @method getWhatsappMessages
+    * @description Fetches a page of WhatsApp conversations, the most recently active first, with all of their messages.
+    * @param {number} [page=1] - The page of conversations to fetch, starting at 1.
+    * @param {number} [perPage=20] - The number of conversations per page.
+    * @returns {Promise<Object|boolean>} `{ conversations, pagination }`, or false on failure.
     */
-    async getWhatsappMessages() {
+    async getWhatsappMessages(page = 1, perPage = 20) {
         try {
             await this.db.connect(); // Connect to the database
-            const whatsappMessages = await this.db.table(tables.TBL_WHATSAPP_MESSAGES + ' m')
-                .join(tables.TBL_CONTACT_INFORMATIONS + ' ci', "ci.contactInformationValue=m.contactNumber", 'LEFT')
-                .join(tables.TBL_CONTACTS + ' c', "c.contactId=ci.contactId", 'LEFT')
-                .orderBy('m.contactNumber', 'ASC')
-                .orderBy('m.messageTime', 'ASC')
-                .select("m.*", "CONCAT(c.contactFirstName, ' ', c.contactLastName) as name", "c.contactImage as image").get(); // Fetch whatsapp messages from the specified table
+
+            // Page through the contact numbers, each number is one conversation
+            const { data: numbers, pagination } = await WhatsappMessage.query(this.db)
+                .select("wm.contactNumber", MySQL.raw("MAX(wm.messageTime) as lastMessageTime"))
+                .groupBy("wm.contactNumber")
+                .orderBy("lastMessageTime", "DESC")
+                .orderBy("wm.contactNumber", "ASC")
+                .paginate(page, perPage);
+
+            let whatsappMessages = [];
+            if (numbers.length) {
+                whatsappMessages = await WhatsappMessage.join(WhatsappMessage.query(this.db), "contactInformation.contact", 'LEFT')
+                    .whereIn('wm.contactNumber', numbers.map(number => number.contactNumber))
+                    .orderBy('wm.messageTime', 'ASC')
+                    .select("wm.*", MySQL.raw("CONCAT(c.contactFirstName, ' ', c.contactLastName) as name"), "c.contactImage as image").get(); // Fetch the messages of the conversations on this page
+            }
             await this.db.disconnect(); // Disconnect from the database
+
+            // Keep the conversations in the order of the page
             const userMessage = this.#generateWhatsappJson(whatsappMessages); // Generate JSON object from the whatsapp messages
+            const conversations = numbers
+                .map(number => userMessage.find(user => user.userId === number.contactNumber))
+                .filter(Boolean);
 
-            return userMessage; // Return whatsapp messages data
+            return { conversations: conversations, pagination: pagination }; // Return whatsapp messages data
         } catch (error) {
             const logger = new Logger(); // Create a new instance of the Logger utility
             logger.write("Error in getting whatsapp: " + error, "whatsapp/error"); // Log the error
@@ -237,8 +255,8 @@ class WhatsappService {
 
             // Add message to the sender's messages
             users[contactNumber].messages[dateKey].push({
-                fromUserId: ((messageType == 0) ? (contactNumber) : ('919313190741')),
-                toUserId: ((messageType != 0) ? (contactNumber) : ('919313190741')),
+                fromUserId: ((messageType == WhatsappMessage.DIRECTIONS.SENT) ? (contactNumber) : ('919313190741')),
+                toUserId: ((messageType != WhatsappMessage.DIRECTIONS.SENT) ? (contactNumber) : ('919313190741')),
                 text: this.#convertToHTML(messageBody),
                 time: this.#formatTime(messageTime)
             });
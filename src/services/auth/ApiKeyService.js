@@ -0,0 +1,215 @@
+/**
+ * Author: Jay Chauhan
+ * Service Name: API Key Service
+ * Description:
+ * This service manages API keys for machine-to-machine callers such as cron jobs
+ * or the SMS forwarder. Each key carries a list of scopes, an optional IP allowlist
+ * and an optional expiry. Only a SHA-256 hash of the key is stored, the plain key
+ * is shown once when it is created.
+ */
+
+const crypto = require('crypto'); // Import the crypto module for generating secure keys.
+const MySQL = require('../../utils/db/Mysql'); // Import MySQL utility for database interactions.
+const tables = require('../../config/tables'); // Import table configurations.
+const apiScopes = require('../../config/apiScopes'); // Import the known API key scopes.
+const { date, hashToken } = require('../../utils/functions'); // Utility functions to format dates and hash keys.
+
+class ApiKeyService {
+    static KEY_PREFIX = 'ak_'; // Prefix that makes API keys recognisable in configs and logs.
+
+    constructor() {
+        this.db = new MySQL(); // Initialize the MySQL database connection utility.
+    }
+
+    /**
+     * Creates a new API key.
+     *
+     * @param {number} userId - The ID of the user creating the key.
+     * @param {Object} details - Details of the key.
+     * @param {string} details.name - A label for the key, e.g. "cron box".
+     * @param {Array<string>} details.scopes - Scopes granted to the key.
+     * @param {Array<string>} [details.allowedIps] - IP addresses allowed to use the key, any IP if empty.
+     * @param {string} [details.expiresAt] - Expiry as 'YYYY-MM-DD HH:mm:ss', never if empty.
+     * @returns {Promise<Object>} The new key ID and the plain key.
+     */
+    async createKey(userId, details) {
+        try {
+            await this.db.connect(); // Connect to the database.
+
+            const key = ApiKeyService.KEY_PREFIX + crypto.randomBytes(32).toString('hex'); // Random key.
+            const allowedIps = details.allowedIps && details.allowedIps.length ? details.allowedIps : null;
+
+            const apiKeyId = await this.db.table(tables.TBL_API_KEYS).insert({
+                apiKeyUserId: userId,
+                apiKeyName: details.name,
+                apiKeyPrefix: key.substring(0, 11), // Enough to recognise the key in listings.
+                apiKeyHash: hashToken(key),
+                apiKeyScopes: JSON.stringify(details.scopes),
+                apiKeyAllowedIps: allowedIps ? JSON.stringify(allowedIps) : null,
+                apiKeyExpiry: details.expiresAt || null,
+                apiKeyStatus: "1"
+            });
+
+            return { apiKeyId, key }; // The plain key is never stored.
+        } finally {
+            await this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Lists the API keys that have not been revoked.
+     *
+     * @returns {Promise<Array<Object>>} The keys, without their hashes.
+     */
+    async listKeys() {
+        try {
+            await this.db.connect(); // Connect to the database.
+
+            const keys = await this.db.table(tables.TBL_API_KEYS)
+                .select("apiKeyId", "apiKeyUserId", "apiKeyName", "apiKeyPrefix", "apiKeyScopes", "apiKeyAllowedIps", "apiKeyExpiry", "apiKeyLastUsedDate", "apiKeyLastUsedIp", "apiKeyCreatedDate")
+                .where("apiKeyStatus", "1")
+                .orderBy("apiKeyCreatedDate", "DESC")
+                .get();
+
+            return keys.map(key => ({
+                ...key,
+                apiKeyScopes: this.#parseList(key.apiKeyScopes),
+                apiKeyAllowedIps: this.#parseList(key.apiKeyAllowedIps)
+            }));
+        } finally {
+            await this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Revokes an API key. Requests using it are rejected right away.
+     *
+     * @param {number} apiKeyId - The ID of the key.
+     * @returns {Promise<Object|null>} `{ apiKeyId, name, scopes }` of the revoked key, or null if no active key has this ID.
+     */
+    async revokeKey(apiKeyId) {
+        try {
+            await this.db.connect(); // Connect to the database.
+
+            const apiKey = await this.db.table(tables.TBL_API_KEYS)
+                .select("apiKeyId", "apiKeyName", "apiKeyScopes")
+                .where("apiKeyId", apiKeyId)
+                .where("apiKeyStatus", "1")
+                .first();
+
+            if (!apiKey) {
+                return null; // Unknown or already revoked key.
+            }
+
+            const revoked = await this.db.table(tables.TBL_API_KEYS)
+                .where("apiKeyId", apiKey.apiKeyId)
+                .where("apiKeyStatus", "1")
+                .update({ apiKeyStatus: "0" });
+
+            if (!revoked) {
+                return null; // Revoked by another request in the meantime.
+            }
+
+            return {
+                apiKeyId: apiKey.apiKeyId,
+                name: apiKey.apiKeyName,
+                scopes: this.#parseList(apiKey.apiKeyScopes)
+            };
+        } finally {
+            await this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Resolves a presented API key. Revoked or expired keys, keys of deactivated users and requests
+     * from IPs outside the allowlist are rejected. The last-used time and IP are recorded on success.
+     *
+     * @param {string} key - The API key presented by the client.
+     * @param {string} ip - The IP address of the client, `req.ip`. Never pass a request header such as
+     *                      X-Forwarded-For, the client can put any address in it.
+     * @returns {Promise<Object|null>} `{ apiKeyId, userId, name, scopes }` or null if the key is not accepted.
+     */
+    async authenticate(key, ip) {
+        try {
+            await this.db.connect(); // Connect to the database.
+
+            // The key only works while the user who created it is active
+            const apiKey = await this.db.table(tables.TBL_API_KEYS + " k")
+                .join(tables.TBL_USERS + " u", "u.userId=k.apiKeyUserId")
+                .select("k.apiKeyId", "k.apiKeyUserId", "k.apiKeyName", "k.apiKeyScopes", "k.apiKeyAllowedIps", "k.apiKeyExpiry")
+                .where("k.apiKeyHash", hashToken(key))
+                .where("k.apiKeyStatus", "1")
+                .where("u.userIsActive", "1")
+                .first();
+
+            if (!apiKey) {
+                return null; // Unknown or revoked key, or a deactivated user.
+            }
+
+            if (apiKey.apiKeyExpiry && new Date(apiKey.apiKeyExpiry).getTime() <= Date.now()) {
+                return null; // Expired key.
+            }
+
+            const allowedIps = this.#parseList(apiKey.apiKeyAllowedIps);
+            if (allowedIps.length && (!ip || !allowedIps.includes(this.#normalizeIp(ip)))) {
+                return null; // Request from an IP outside the allowlist.
+            }
+
+            await this.db.table(tables.TBL_API_KEYS)
+                .where("apiKeyId", apiKey.apiKeyId)
+                .update({ apiKeyLastUsedDate: date(), apiKeyLastUsedIp: ip });
+
+            return {
+                apiKeyId: apiKey.apiKeyId,
+                userId: apiKey.apiKeyUserId,
+                name: apiKey.apiKeyName,
+                scopes: this.#parseList(apiKey.apiKeyScopes)
+            };
+        } finally {
+            await this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Checks that every scope is a known API key scope.
+     *
+     * @param {Array<string>} scopes - The scopes to check.
+     * @returns {boolean} True if the list is non-empty and every scope is known.
+     */
+    static isValidScopeList(scopes) {
+        const known = Object.values(apiScopes);
+        return Array.isArray(scopes) && scopes.length > 0 && scopes.every(scope => known.includes(scope));
+    }
+
+    /**
+     * Decodes a JSON list column.
+     *
+     * @param {string|Array|null} value - The stored list.
+     * @returns {Array<string>} The list, empty if none or invalid.
+     * @private
+     */
+    #parseList(value) {
+        if (Array.isArray(value)) {
+            return value; // Already decoded by the driver (JSON column).
+        }
+        try {
+            const parsed = JSON.parse(value || '[]');
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Strips the IPv4-mapped IPv6 prefix so "::ffff:10.0.0.5" matches "10.0.0.5".
+     *
+     * @param {string} ip - The IP address.
+     * @returns {string} The normalized IP address.
+     * @private
+     */
+    #normalizeIp(ip) {
+        return String(ip || '').replace(/^::ffff:/, '');
+    }
+}
+
+module.exports = ApiKeyService; // Export the service class for use in other modules.
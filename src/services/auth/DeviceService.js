@@ -0,0 +1,202 @@
+/**
+ * Author: Jay Chauhan
+ * Service Name: Device Service
+ * Description:
+ * This service keeps track of the devices a user logs in from. A device is
+ * identified by a fingerprint of its IP address and user agent, so a login from
+ * an unknown combination can trigger an alert. A device can also be trusted for
+ * a number of days: it then gets a random trust token (only its hash is stored)
+ * which lets it skip the OTP step. Both the device and its trust can be revoked.
+ */
+
+const crypto = require('crypto'); // Import the crypto module for generating trust tokens.
+const MySQL = require('../../utils/db/Mysql'); // Import MySQL utility for database interactions.
+const tables = require('../../config/tables'); // Import table configurations.
+const { date, hashToken } = require('../../utils/functions'); // Utility functions to format dates and hash tokens.
+require('dotenv').config(); // Load environment variables from the .env file.
+
+class DeviceService {
+    constructor() {
+        this.db = new MySQL(); // Initialize the MySQL database connection utility.
+        this.trustTtl = parseInt(process.env.TRUSTED_DEVICE_DAYS || 30) * 24 * 60 * 60 * 1000; // Trust lifetime in ms.
+    }
+
+    /**
+     * Builds the fingerprint of a device from its IP address and user agent.
+     *
+     * @param {Object} device - Details of the device.
+     * @param {string} [device.ip] - IP address of the client.
+     * @param {string} [device.userAgent] - User agent of the client.
+     * @returns {string} The SHA-256 fingerprint.
+     */
+    static fingerprint(device) {
+        return hashToken((device.ip || '') + '|' + (device.userAgent || ''));
+    }
+
+    /**
+     * Records a successful login from a device, adding the device if it has not been seen before.
+     *
+     * @param {number} userId - The ID of the user.
+     * @param {Object} device - Details of the device (`ip`, `userAgent`).
+     * @returns {Promise<Object>} `{ deviceId, isNew, isFirst }`, isFirst is true if the user had no known device yet.
+     */
+    async recordLogin(userId, device) {
+        try {
+            await this.db.connect(); // Connect to the database.
+
+            const fingerprint = DeviceService.fingerprint(device);
+
+            const knownDevice = await this.db.table(tables.TBL_USER_DEVICES)
+                .select("deviceId")
+                .where("deviceUserId", userId)
+                .where("deviceFingerprint", fingerprint)
+                .where("deviceStatus", "1")
+                .first();
+
+            if (knownDevice) {
+                await this.db.table(tables.TBL_USER_DEVICES)
+                    .where("deviceId", knownDevice.deviceId)
+                    .update({ deviceLastSeenDate: date() });
+                return { deviceId: knownDevice.deviceId, isNew: false, isFirst: false };
+            }
+
+            const anyDevice = await this.db.table(tables.TBL_USER_DEVICES)
+                .select("deviceId")
+                .where("deviceUserId", userId)
+                .first();
+
+            const deviceId = await this.db.table(tables.TBL_USER_DEVICES).insert({
+                deviceUserId: userId,
+                deviceFingerprint: fingerprint,
+                deviceIp: device.ip || null,
+                deviceUserAgent: device.userAgent ? String(device.userAgent).substring(0, 255) : null,
+                deviceFirstSeenDate: date(),
+                deviceLastSeenDate: date(),
+                deviceStatus: "1"
+            });
+
+            return { deviceId, isNew: true, isFirst: !anyDevice };
+        } finally {
+            await this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Trusts a device for the configured number of days and returns its new trust token.
+     *
+     * @param {number} userId - The ID of the user.
+     * @param {number} deviceId - The ID of the device.
+     * @returns {Promise<Object>} `{ deviceToken, trustedUntil }`.
+     */
+    async trustDevice(userId, deviceId) {
+        try {
+            await this.db.connect(); // Connect to the database.
+
+            const deviceToken = crypto.randomBytes(32).toString('hex'); // Random trust token.
+            const trustedUntil = date('YYYY-MM-DD HH:mm:ss', Date.now() + this.trustTtl);
+
+            await this.db.table(tables.TBL_USER_DEVICES)
+                .where("deviceId", deviceId)
+                .where("deviceUserId", userId)
+                .update({ deviceTrustToken: hashToken(deviceToken), deviceTrustedUntil: trustedUntil });
+
+            return { deviceToken, trustedUntil };
+        } finally {
+            await this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Checks whether a trust token belongs to a trusted, unexpired device of the user.
+     *
+     * @param {number} userId - The ID of the user.
+     * @param {string} deviceToken - The trust token presented by the client.
+     * @returns {Promise<boolean>} True if the device is trusted.
+     */
+    async isTrusted(userId, deviceToken) {
+        if (!deviceToken) {
+            return false;
+        }
+
+        try {
+            await this.db.connect(); // Connect to the database.
+
+            const device = await this.db.table(tables.TBL_USER_DEVICES)
+                .select("deviceId")
+                .where("deviceUserId", userId)
+                .where("deviceTrustToken", hashToken(deviceToken))
+                .where("deviceTrustedUntil", date(), ">")
+                .where("deviceStatus", "1")
+                .first();
+
+            return !!device;
+        } finally {
+            await this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Lists the known devices of the user.
+     *
+     * @param {number} userId - The ID of the user.
+     * @returns {Promise<Array<Object>>} The devices, most recently used first.
+     */
+    async listDevices(userId) {
+        try {
+            await this.db.connect(); // Connect to the database.
+
+            return await this.db.table(tables.TBL_USER_DEVICES)
+                .select("deviceId", "deviceIp", "deviceUserAgent", "deviceTrustedUntil", "deviceFirstSeenDate", "deviceLastSeenDate")
+                .where("deviceUserId", userId)
+                .where("deviceStatus", "1")
+                .orderBy("deviceLastSeenDate", "DESC")
+                .get();
+        } finally {
+            await this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Removes the trust of a device. The device stays known, so logging in from it raises no new alert.
+     *
+     * @param {number} userId - The ID of the user.
+     * @param {number} deviceId - The ID of the device.
+     * @returns {Promise<boolean>} True if the device was found.
+     */
+    async revokeTrust(userId, deviceId) {
+        try {
+            await this.db.connect(); // Connect to the database.
+
+            return await this.db.table(tables.TBL_USER_DEVICES)
+                .where("deviceId", deviceId)
+                .where("deviceUserId", userId)
+                .where("deviceStatus", "1")
+                .update({ deviceTrustToken: null, deviceTrustedUntil: null });
+        } finally {
+            await this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Forgets a device along with its trust. The next login from it counts as a new device again.
+     *
+     * @param {number} userId - The ID of the user.
+     * @param {number} deviceId - The ID of the device.
+     * @returns {Promise<boolean>} True if the device was found.
+     */
+    async revokeDevice(userId, deviceId) {
+        try {
+            await this.db.connect(); // Connect to the database.
+
+            return await this.db.table(tables.TBL_USER_DEVICES)
+                .where("deviceId", deviceId)
+                .where("deviceUserId", userId)
+                .where("deviceStatus", "1")
+                .update({ deviceStatus: "0", deviceTrustToken: null, deviceTrustedUntil: null });
+        } finally {
+            await this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+}
+
+module.exports = DeviceService; // Export the service class for use in other modules.
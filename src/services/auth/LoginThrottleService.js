@@ -0,0 +1,203 @@
+/**
+ * Author: Jay Chauhan
+ * Service Name: Login Throttle Service
+ * Description:
+ * This service protects the public login endpoints against brute-force attacks.
+ * Counters are kept per IP address and per username in the database, so they
+ * survive restarts. It enforces a request rate limit, a progressive delay after
+ * each failure and a temporary lockout once too many failures pile up.
+ */
+
+const MySQL = require('../../utils/db/Mysql'); // Import MySQL utility for database interactions.
+const tables = require('../../config/tables'); // Import table configurations.
+const { date, getClientIp } = require('../../utils/functions'); // Utility functions to format dates and read the client IP.
+require('dotenv').config(); // Load environment variables from the .env file.
+
+class LoginThrottleService {
+    constructor() {
+        this.db = new MySQL(); // Initialize the MySQL database connection utility.
+        this.maxFailures = parseInt(process.env.LOGIN_MAX_FAILURES || 5); // Failures before a lockout.
+        this.lockoutMs = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || 15) * 60 * 1000; // Lockout duration in ms.
+        this.rateLimit = parseInt(process.env.LOGIN_RATE_LIMIT || 10); // Requests allowed per window.
+        this.rateWindowMs = parseInt(process.env.LOGIN_RATE_WINDOW_MINUTES || 15) * 60 * 1000; // Rate limit window in ms.
+        this.maxDelayMs = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS || 30) * 1000; // Cap of the progressive delay in ms.
+    }
+
+    /**
+     * Builds the throttle keys (IP address and username) for a login request. The IP address is req.ip,
+     * so a client cannot pick a fresh IP key for each attempt through X-Forwarded-For.
+     *
+     * @param {Object} req - The Express request object.
+     * @returns {Array<string>} The throttle keys.
+     */
+    static keysFor(req) {
+        const keys = ['ip:' + getClientIp(req)];
+        const username = req.body && (req.body.username || req.body.email);
+        if (username) {
+            keys.push('user:' + String(username).trim().toLowerCase());
+        }
+        return keys;
+    }
+
+    /**
+     * Counts the request against the rate limit and checks lockouts and progressive delays for every key.
+     * Keys without any recent activity are removed first, so the table only holds the keys in use.
+     *
+     * @param {Array<string>} keys - The throttle keys of the request.
+     * @returns {Promise<Object>} `{ allowed: true }` or `{ allowed: false, reason, retryAfter }` with retryAfter in seconds.
+     */
+    async hit(keys) {
+        try {
+            await this.db.connect(); // Connect to the database.
+
+            const now = Date.now();
+            await this.#pruneStale(now);
+
+            let blocked = null;
+            for (const key of keys) {
+                await this.#count(key, "throttleHits", "throttleWindowStart", this.rateWindowMs, now); // Count the request in the current window.
+
+                const throttle = await this.db.table(tables.TBL_AUTH_THROTTLES)
+                    .select("*")
+                    .where("throttleKey", key)
+                    .first() || {}; // Empty if the key was just pruned by a parallel request.
+
+                const windowStart = throttle.throttleWindowStart ? new Date(throttle.throttleWindowStart).getTime() : now;
+                const hits = parseInt(throttle.throttleHits || 0);
+                const lockedUntil = throttle.throttleLockedUntil ? new Date(throttle.throttleLockedUntil).getTime() : 0;
+                const failures = this.#activeFailures(throttle, now);
+                const lastFailure = throttle.throttleLastFailureDate ? new Date(throttle.throttleLastFailureDate).getTime() : 0;
+                const delay = failures > 0 ? Math.min(1000 * Math.pow(2, failures - 1), this.maxDelayMs) : 0;
+
+                let result = null;
+                if (lockedUntil > now) {
+                    result = { allowed: false, reason: 'locked', retryAfter: Math.ceil((lockedUntil - now) / 1000) };
+                } else if (hits > this.rateLimit) {
+                    result = { allowed: false, reason: 'rate', retryAfter: Math.ceil((windowStart + this.rateWindowMs - now) / 1000) };
+                } else if (now - lastFailure < delay) {
+                    result = { allowed: false, reason: 'delay', retryAfter: Math.ceil((lastFailure + delay - now) / 1000) };
+                }
+
+                // Keep the longest wait of all keys.
+                if (result && (!blocked || result.retryAfter > blocked.retryAfter)) {
+                    blocked = result;
+                }
+            }
+
+            return blocked || { allowed: true };
+        } finally {
+            await this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Records a failed attempt for every key and locks the key once the failure limit is reached.
+     * The failures are counted in the database, so parallel failures are all counted.
+     *
+     * @param {Array<string>} keys - The throttle keys of the request.
+     * @returns {Promise<void>}
+     */
+    async recordFailure(keys) {
+        try {
+            await this.db.connect(); // Connect to the database.
+
+            const now = Date.now();
+            for (const key of keys) {
+                await this.#count(key, "throttleFailures", "throttleLastFailureDate", this.lockoutMs, now);
+
+                // Lock the key once it has reached the failure limit.
+                await this.db.table(tables.TBL_AUTH_THROTTLES)
+                    .where("throttleKey", key)
+                    .where("throttleFailures", this.maxFailures, ">=")
+                    .update({ throttleLockedUntil: date('YYYY-MM-DD HH:mm:ss', now + this.lockoutMs) });
+            }
+        } finally {
+            await this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Clears the failures and lockout of the given keys, e.g. after a successful login or an admin unlock.
+     *
+     * @param {Array<string>} keys - The throttle keys to clear.
+     * @returns {Promise<boolean>} True if at least one key was cleared.
+     */
+    async reset(keys) {
+        try {
+            await this.db.connect(); // Connect to the database.
+
+            let cleared = false;
+            for (const key of keys) {
+                const updated = await this.db.table(tables.TBL_AUTH_THROTTLES)
+                    .where("throttleKey", key)
+                    .update({ throttleFailures: 0, throttleLastFailureDate: null, throttleLockedUntil: null });
+                cleared = cleared || updated;
+            }
+            return cleared;
+        } finally {
+            await this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Adds one to a counter of a key in the database. A counter whose period is over, or that was never
+     * started, restarts at 1 with the period starting now. The key is created if it is new; creating it
+     * is an upsert, so parallel first requests for the same key do not collide on the unique key.
+     *
+     * @param {string} key - The throttle key.
+     * @param {string} counterColumn - The counter column, e.g. "throttleHits".
+     * @param {string} startColumn - The column holding the start of the counter's period.
+     * @param {number} periodMs - The length of the period in ms.
+     * @param {number} now - Current time in ms.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async #count(key, counterColumn, startColumn, periodMs, now) {
+        await this.db.table(tables.TBL_AUTH_THROTTLES).upsert({ throttleKey: key }, []); // Create the key, keep an existing one.
+
+        const restarted = await this.db.table(tables.TBL_AUTH_THROTTLES)
+            .where("throttleKey", key)
+            .where(query => query.whereNull(startColumn).orWhere(startColumn, date('YYYY-MM-DD HH:mm:ss', now - periodMs), "<="))
+            .update({ [counterColumn]: 1, [startColumn]: date('YYYY-MM-DD HH:mm:ss', now) });
+
+        if (!restarted) {
+            await this.db.table(tables.TBL_AUTH_THROTTLES)
+                .where("throttleKey", key)
+                .update({ [counterColumn]: MySQL.raw(`${counterColumn} + 1`) });
+        }
+    }
+
+    /**
+     * Removes the keys that have nothing left to enforce: no request in the current rate limit window,
+     * no failure within the lockout period and no running lockout.
+     *
+     * @param {number} now - Current time in ms.
+     * @returns {Promise<number>} The number of removed keys.
+     * @private
+     */
+    async #pruneStale(now) {
+        const windowStart = date('YYYY-MM-DD HH:mm:ss', now - this.rateWindowMs);
+        const failureCutoff = date('YYYY-MM-DD HH:mm:ss', now - this.lockoutMs);
+
+        return await this.db.table(tables.TBL_AUTH_THROTTLES)
+            .where(query => query.whereNull("throttleWindowStart").orWhere("throttleWindowStart", windowStart, "<="))
+            .where(query => query.whereNull("throttleLastFailureDate").orWhere("throttleLastFailureDate", failureCutoff, "<="))
+            .where(query => query.whereNull("throttleLockedUntil").orWhere("throttleLockedUntil", date('YYYY-MM-DD HH:mm:ss', now), "<="))
+            .delete();
+    }
+
+    /**
+     * Returns the failure count of a key, forgetting failures older than the lockout period.
+     *
+     * @param {Object} throttle - The throttle row.
+     * @param {number} now - Current time in ms.
+     * @returns {number} The number of recent failures.
+     * @private
+     */
+    #activeFailures(throttle, now) {
+        const lastFailure = throttle.throttleLastFailureDate ? new Date(throttle.throttleLastFailureDate).getTime() : 0;
+        return now - lastFailure > this.lockoutMs ? 0 : parseInt(throttle.throttleFailures || 0);
+    }
+}
+
+module.exports = LoginThrottleService; // Export the service class for use in other modules.
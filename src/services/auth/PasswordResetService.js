@@ -0,0 +1,85 @@
+/**
+ * Author: Jay Chauhan
+ * Service Name: Password Reset Service
+ * Description:
+ * This service issues the single-use links that let a user choose a new password.
+ * It covers both the "forgot password" link and the invite sent to new users,
+ * which is the same kind of link with a longer validity. Only a SHA-256 hash of
+ * the token is stored, as verificationType 3 (reset) or 4 (invite).
+ */
+
+const crypto = require('crypto'); // Import the crypto module for generating secure tokens.
+const MySQL = require('../../utils/db/Mysql'); // Import MySQL utility for database interactions.
+const Mail = require('../../utils/mail/Mail'); // Import the Mail utility for sending emails.
+const tables = require('../../config/tables'); // Import table configurations.
+const UserVerification = require('../../models/UserVerification'); // Import the verification model for its type codes.
+const { hashToken } = require('../../utils/functions'); // Utility function to hash tokens.
+require('dotenv').config(); // Load environment variables from the .env file.
+
+class PasswordResetService {
+    static TYPE_RESET = UserVerification.TYPES.PASSWORD_RESET; // verificationType of password reset tokens.
+    static TYPE_INVITE = UserVerification.TYPES.INVITE; // verificationType of invite tokens.
+
+    constructor() {
+        this.db = new MySQL(); // Initialize the MySQL database connection utility.
+    }
+
+    /**
+     * Returns how long a link of the given type stays valid.
+     *
+     * @param {string} type - PasswordResetService.TYPE_RESET or TYPE_INVITE.
+     * @returns {number} The validity in minutes.
+     */
+    static ttlMinutes(type) {
+        return type === PasswordResetService.TYPE_INVITE
+            ? parseInt(process.env.INVITE_TTL_HOURS || 72) * 60
+            : parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || 30);
+    }
+
+    /**
+     * Emails a password reset link (template 6) or an invite link (template 8) to the user.
+     * Links of the same type issued earlier stop working.
+     *
+     * @param {Object} user - User row containing userId, userFirstName, userLastName and userEmail.
+     * @param {string} [type=PasswordResetService.TYPE_RESET] - The kind of link to send.
+     * @returns {Promise<boolean>} True if the email was sent.
+     */
+    async sendLink(user, type = PasswordResetService.TYPE_RESET) {
+        try {
+            await this.db.connect(); // Connect to the database.
+
+            // Invalidate links issued earlier, only the latest link may be used.
+            await this.db.table(tables.TBL_USER_VERIFICATION_DETAILS)
+                .where("verificationUserId", user.userId)
+                .where("verificationType", type)
+                .where("verificationStatus", "1")
+                .update({ verificationStatus: "0" });
+
+            // Generate the token, only its hash is stored.
+            const token = crypto.randomBytes(32).toString('hex');
+            await this.db.table(tables.TBL_USER_VERIFICATION_DETAILS).insert({
+                verificationUserId: user.userId,
+                verificationType: type,
+                verificationKeyType: "2",
+                verificationValue: hashToken(token),
+                verificationStatus: "1",
+            });
+
+            const isInvite = type === PasswordResetService.TYPE_INVITE;
+            const ttlMinutes = PasswordResetService.ttlMinutes(type);
+            const templateData = {
+                name: user.userFirstName + " " + user.userLastName,
+                passwordResetLink: `${process.env.ADMIN_PANEL_URL}/reset-password/${token}`,
+                validity: isInvite ? ttlMinutes / 60 : ttlMinutes // Hours for invites, minutes for resets.
+            };
+
+            const email = new Mail(); // Create a new instance of the Mail utility.
+            const emailResponse = await email.sendEmailTemplate(isInvite ? 8 : 6, templateData, user.userEmail);
+            return !!emailResponse && emailResponse.status == "success";
+        } finally {
+            await this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+}
+
+module.exports = PasswordResetService; // Export the service class for use in other modules.
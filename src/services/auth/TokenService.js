@@ -0,0 +1,144 @@
+/**
+ * Author: Jay Chauhan
+ * Service Name: Token Service
+ * Description:
+ * This service issues and rotates the access/refresh token pair of a login session.
+ * Every login creates its own row in the sessions table, so each device can be
+ * listed and revoked on its own. Access tokens are short lived, refresh tokens live
+ * longer and can be swapped exactly once for a new pair, which revokes the old pair.
+ * Only SHA-256 hashes of the tokens are stored.
+ */
+
+const crypto = require('crypto'); // Import the crypto module for generating secure tokens.
+const MySQL = require('../../utils/db/Mysql'); // Import MySQL utility for database interactions.
+const tables = require('../../config/tables'); // Import table configurations.
+const { date, hashToken } = require('../../utils/functions'); // Utility functions to format dates and hash tokens.
+require('dotenv').config(); // Load environment variables from the .env file.
+
+class TokenService {
+    constructor() {
+        this.db = new MySQL(); // Initialize the MySQL database connection utility.
+        this.accessTokenTtl = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES || 60) * 60 * 1000; // Access token lifetime in ms.
+        this.refreshTokenTtl = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || 30) * 24 * 60 * 60 * 1000; // Refresh token lifetime in ms.
+    }
+
+    /**
+     * Starts a new session for the user and generates its token pair.
+     *
+     * @param {number} userId - The ID of the user to issue tokens for.
+     * @param {Object} [device={}] - Details of the device logging in.
+     * @param {string} [device.ip] - IP address of the client.
+     * @param {string} [device.userAgent] - User agent of the client.
+     * @returns {Promise<Object>} The new token pair along with their expiry timestamps.
+     */
+    async issueTokens(userId, device = {}) {
+        try {
+            await this.db.connect(); // Connect to the database.
+
+            const tokens = this.#generateTokenPair(); // Generate the new pair.
+
+            await this.db.table(tables.TBL_USER_SESSIONS).insert({
+                sessionUserId: userId,
+                sessionAccessToken: hashToken(tokens.accessToken),
+                sessionAccessTokenExpiry: tokens.accessTokenExpiry,
+                sessionRefreshToken: hashToken(tokens.refreshToken),
+                sessionRefreshTokenExpiry: tokens.refreshTokenExpiry,
+                sessionIp: device.ip || null,
+                sessionUserAgent: device.userAgent ? String(device.userAgent).substring(0, 255) : null,
+                sessionLastSeenDate: date(),
+                sessionStatus: "1"
+            });
+
+            return tokens; // Return the issued pair.
+        } finally {
+            await this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Swaps a valid refresh token for a new token pair on the same session. The old pair stops working immediately.
+     *
+     * @param {string} refreshToken - The refresh token presented by the client.
+     * @returns {Promise<Object|null>} The new token pair, or null if the refresh token is invalid, revoked or expired.
+     */
+    async refreshTokens(refreshToken) {
+        try {
+            await this.db.connect(); // Connect to the database.
+
+            const refreshTokenHash = hashToken(refreshToken);
+
+            // Look up the active session owning this refresh token, ignoring expired tokens.
+            const session = await this.db.table(tables.TBL_USER_SESSIONS)
+                .select("sessionId")
+                .where("sessionRefreshToken", refreshTokenHash)
+                .where("sessionRefreshTokenExpiry", date(), ">")
+                .where("sessionStatus", "1")
+                .first();
+
+            if (!session) {
+                return null; // Unknown, rotated, revoked or expired refresh token.
+            }
+
+            const tokens = this.#generateTokenPair(); // Generate the replacement pair.
+
+            // Rotate only if the presented token is still the current one, so a token can be used once.
+            const rotated = await this.db.table(tables.TBL_USER_SESSIONS)
+                .where("sessionId", session.sessionId)
+                .where("sessionRefreshToken", refreshTokenHash)
+                .update({
+                    sessionAccessToken: hashToken(tokens.accessToken),
+                    sessionAccessTokenExpiry: tokens.accessTokenExpiry,
+                    sessionRefreshToken: hashToken(tokens.refreshToken),
+                    sessionRefreshTokenExpiry: tokens.refreshTokenExpiry,
+                    sessionLastSeenDate: date()
+                });
+
+            return rotated ? tokens : null; // Null if another request rotated the token first.
+        } finally {
+            await this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Revokes every active session of the user, optionally keeping one of them.
+     *
+     * @param {number} userId - The ID of the user.
+     * @param {number|null} [exceptSessionId=null] - Session to keep active, e.g. the current one.
+     * @returns {Promise<boolean>} True if at least one session was revoked.
+     */
+    async revokeSessions(userId, exceptSessionId = null) {
+        try {
+            await this.db.connect(); // Connect to the database.
+
+            this.db.table(tables.TBL_USER_SESSIONS)
+                .where("sessionUserId", userId)
+                .where("sessionStatus", "1");
+
+            if (exceptSessionId) {
+                this.db.where("sessionId", exceptSessionId, "!=");
+            }
+
+            return await this.db.update({ sessionStatus: "0" });
+        } finally {
+            await this.db.disconnect(); // Disconnect from the database.
+        }
+    }
+
+    /**
+     * Generates a random access/refresh token pair with expiry timestamps.
+     *
+     * @returns {Object} The token pair and expiry timestamps.
+     * @private
+     */
+    #generateTokenPair() {
+        const now = Date.now();
+        return {
+            accessToken: crypto.randomBytes(32).toString('hex'), // Random access token.
+            accessTokenExpiry: date('YYYY-MM-DD HH:mm:ss', now + this.accessTokenTtl), // Access token expiry.
+            refreshToken: crypto.randomBytes(48).toString('hex'), // Random refresh token.
+            refreshTokenExpiry: date('YYYY-MM-DD HH:mm:ss', now + this.refreshTokenTtl) // Refresh token expiry.
+        };
+    }
+}
+
+module.exports = TokenService; // Export the service class for use in other modules.
@@ -1,9 +1,12 @@
 const Logger = require('../../utils/logs/Logger');  // Import Logger class for logging purposes
 const MySQL = require('../../utils/db/Mysql');  // Import MySQL class for database operations
 const tables = require('../../config/tables');  // Import table configuration constants
-const { getOption, setOption, stringPad, date } = require('../../utils/functions');
+const { getOption, stringPad, date } = require('../../utils/functions');
 const WhatsappService = require('../WhatsappService');
 const Email = require('../../utils/mail/Mail');
+const Contact = require('../../models/Contact');
+const ContactInformation = require('../../models/ContactInformation');
+const PaymentLink = require('../../models/PaymentLink');
 
 class PaymentService {
     constructor(sandbox = false) {
@@ -37,23 +40,16 @@ class PaymentService {
             await this.db.connect();
             const paymentId = await this.#generatePaymentId(linkType);
 
-            const customer = await this.db.table(tables.TBL_CONTACTS + " c")
-                .join(tables.TBL_CONTACT_INFORMATIONS + " ci", "ci.contactId=c.contactId")
-                .select("c.contactFirstName", "c.contactLastName", "ci.contactInformationCategory", "ci.contactInformationValue")
-                .where("c.contactId", contactId)
-                .where("ci.contactInformationType", "0")
-                .where("ci.contactInformationIsActive", "1")
-                .rawWhere("ci.contactInformationCategory IN ('0', '2')")
-                .get();
+            const customer = await Contact.getChannels(contactId, this.db);
 
             const customerDetails = {
                 customer_name: customer[0].contactFirstName + " " + customer[0].contactLastName
             };
 
             customer.forEach(contactDetail => {
-                if (contactDetail.contactInformationCategory == 0) {
+                if (contactDetail.contactInformationCategory == ContactInformation.CATEGORIES.PHONE) {
                     customerDetails.customer_phone = contactDetail.contactInformationValue;
-                } else if (contactDetail.contactInformationCategory == 2) {
+                } else if (contactDetail.contactInformationCategory == ContactInformation.CATEGORIES.EMAIL) {
                     customerDetails.customer_email = contactDetail.contactInformationValue;
                 }
             });
@@ -90,13 +86,13 @@ class PaymentService {
                 linkQr: paymentLink.linkQr,
                 linkPurpose: paymentLink.linkPurpose,
                 linkAmount: paymentLink.linkAmount,
-                linkStatus: '0',
+                linkStatus: PaymentLink.STATUSES.ACTIVE,
                 linkExpiry: linkConfig.linkExpiryTime,
                 linkNotification: linkConfig.linkNotify,
             };
 
             // Store the payment link in the database
-            await this.db.table(tables.TBL_PAYMENT_LINKS).insert(linkDetails);
+            await PaymentLink.create(linkDetails, this.db);
 
             const templateParams = [
                 customerDetails.customer_name,
@@ -152,13 +148,21 @@ class PaymentService {
     }
     async #generatePaymentId(linkType) {
         try {
-            var linkNumber = await getOption('paymentLinkNumber');
-            var paymentLinkIdPrefix = await getOption('paymentLinkIdPrefix');
-            paymentLinkIdPrefix = JSON.parse(paymentLinkIdPrefix);
+            var paymentLinkIdPrefix = JSON.parse(await getOption('paymentLinkIdPrefix'));
             var currentFinancialYear = await getOption('currentFinancialYear');
-            const paymentId = paymentLinkIdPrefix[linkType] + '-' + currentFinancialYear + '-' + stringPad((parseInt(linkNumber) + 1), 6, '0');
-            await setOption('paymentLinkNumber', (parseInt(linkNumber) + 1));
-            return paymentId;
+
+            // Lock the counter row while it is incremented, so concurrent links never share a number
+            return await this.db.transaction(async trx => {
+                const counter = await trx.table(tables.TBL_OPTIONS)
+                    .select("optionValue")
+                    .where("optionKey", "paymentLinkNumber")
+                    .lockForUpdate()
+                    .first();
+                var linkNumber = parseInt(counter.optionValue) + 1;
+                const paymentId = paymentLinkIdPrefix[linkType] + '-' + currentFinancialYear + '-' + stringPad(linkNumber, 6, '0');
+                await trx.table(tables.TBL_OPTIONS).where("optionKey", "paymentLinkNumber").update({ optionValue: linkNumber });
+                return paymentId;
+            });
         } catch (error) {
             this.logger.write('Error generating payment ID:' + error, 'payment/error');
             return false;
@@ -188,7 +192,7 @@ class PaymentService {
                     break;
             }
 
-            return await this.db.table(tables.TBL_PAYMENT_LINKS)
+            return await this.db.table(PaymentLink.table)
                 .where("linkPgId", linkConfig.pgLinkId)
                 .where("linkIdFormatted", linkConfig.linkIdFormated)
                 .update(updateDetails);
@@ -203,23 +207,16 @@ class PaymentService {
             this.db.connect();
             const paymentId = await this.#generatePaymentId(linkType);
 
-            const customer = await this.db.table(tables.TBL_CONTACTS + " c")
-                .join(tables.TBL_CONTACT_INFORMATIONS + " ci", "ci.contactId=c.contactId")
-                .select("c.contactFirstName", "c.contactLastName", "ci.contactInformationCategory", "ci.contactInformationValue")
-                .where("c.contactId", contactId)
-                .where("ci.contactInformationType", "0")
-                .where("ci.contactInformationIsActive", "1")
-                .rawWhere("ci.contactInformationCategory IN ('0', '2')")
-                .get();
+            const customer = await Contact.getChannels(contactId, this.db);
 
             const customerDetails = {
                 customer_name: customer[0].contactFirstName + " " + customer[0].contactLastName
             };
 
             customer.forEach(contactDetail => {
-                if (contactDetail.contactInformationCategory == 0) {
+                if (contactDetail.contactInformationCategory == ContactInformation.CATEGORIES.PHONE) {
                     customerDetails.customer_phone = contactDetail.contactInformationValue;
-                } else if (contactDetail.contactInformationCategory == 2) {
+                } else if (contactDetail.contactInformationCategory == ContactInformation.CATEGORIES.EMAIL) {
                     customerDetails.customer_email = contactDetail.contactInformationValue;
                 }
             });
@@ -1,10 +1,35 @@
 // Importing required modules
-const mysql = require('mysql2/promise');  // Importing mysql2/promise for MySQL connection with promises
 require('dotenv').config();  // Loading environment variables from a .env file
 
+const DRIVERS = {
+    mysql: './drivers/MysqlDriver',  // Production default, a mysql2 connection pool
+    sqlite: './drivers/SqliteDriver'  // In-memory or file based SQLite for local development and tests
+};  // Database drivers selectable through DB_DRIVER
+
+let driver = null;  // Database driver shared by every MySQL instance, created on first use
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;  // A single table, column or alias name
+const OPERATORS = ['=', '!=', '<>', '<', '>', '<=', '>=', 'LIKE', 'NOT LIKE'];  // Comparison operators accepted in conditions
+
+/**
+ * @class RawExpression
+ * @description Wraps an SQL expression that is written into the query as is. Created through MySQL.raw().
+ */
+class RawExpression {
+    constructor(sql) {
+        this.sql = String(sql);
+    }
+}
+
 /**
  * @class MySQL
  * @description A class to handle MySQL database operations using a fluent interface.
+ *              Table and column names are validated and backtick-quoted; anything else, such as
+ *              `SUM(...)` or `CONCAT(...)`, has to be passed explicitly through MySQL.raw().
+ *              An unsafe name throws an error before the query is built.
+ *              All instances share one database driver, chosen with DB_DRIVER (see getDriver()).
+ *              A pooled connection is checked out for a single query, or for the whole transaction of
+ *              transaction() or between startTransaction() and commit()/rollback().
  * @uthor Jay Chauhan
  */
 class MySQL {
@@ -13,11 +38,55 @@ class MySQL {
      * Initializes the MySQL class with default values for query parts and connection.
      */
     constructor() {
-        this.connection = null;  // Holds the database connection
+        this.connection = null;  // Holds the pooled connection checked out for a transaction
         this.queryParts = this.#resetState();  // Initialize query parts
         this.lastQuery = '';  // Holds the last executed query
     }
 
+    /**
+     * @function getDriver
+     * @description Returns the shared database driver, creating it on first use. DB_DRIVER selects it:
+     *              "mysql" (default) connects to the server in the DB_* variables, "sqlite" runs SQLite in process.
+     * @returns {MysqlDriver|SqliteDriver}
+     */
+    static getDriver() {
+        if (!driver) {
+            const name = process.env.DB_DRIVER || 'mysql';
+            if (!DRIVERS[name]) {
+                throw new Error(`Unknown database driver "${name}". Use ${Object.keys(DRIVERS).join(' or ')}.`);
+            }
+            const Driver = require(DRIVERS[name]);
+            driver = new Driver();
+        }
+        return driver;
+    }
+
+    /**
+     * @function closePool
+     * @description Closes every connection of the shared driver, e.g. on shutdown. The next query creates a new driver.
+     * @returns {Promise<void>}
+     */
+    static async closePool() {
+        if (driver) {
+            const closingDriver = driver;
+            driver = null;
+            await closingDriver.end();
+        }
+    }
+
+    /**
+     * @function raw
+     * @description Marks an SQL expression to be written into the query without quoting or validation.
+     *              Never build it from user input.
+     * @param {string} expression - The SQL expression, e.g. "SUM(amount) as total".
+     * @returns {RawExpression}
+     * @example
+     * db.table("tblBankDetails").select(MySQL.raw("SUM(bankAccountBalance) as totalBalance")).first();
+     */
+    static raw(expression) {
+        return new RawExpression(expression);
+    }
+
     /**
      * @function #resetState
      * @description Resets the query parts to their default values.
@@ -28,37 +97,40 @@ class MySQL {
             table: '',  // Table name
             joins: [],  // Join statements
             select: [],  // Select columns
-            where: [],  // Where conditions
-            orWhere: [],  // OR Where conditions
-            groupBy: '',  // Group By statement
-            orderBy: '',  // Order By statement
-            limit: '',  // Limit statement
-            values: []  // Values for prepared statements
+            where: [],  // Where conditions as { boolean, sql, values }, in the order they were added
+            groupBy: [],  // Group By columns
+            having: [],  // Having conditions as { boolean, sql, values }
+            orderBy: [],  // Order By columns with direction
+            limit: null,  // Limit row count
+            offset: null,  // Offset row count
+            lockForUpdate: false  // Whether the selected rows are locked with FOR UPDATE
         };
     }
 
     /**
      * @function connect
-     * @description Connects to the MySQL database using credentials from environment variables.
+     * @description Makes sure the shared database driver exists. Connections are checked out per query,
+     *              so this no longer opens a connection of its own.
      * @returns {Promise<void>}
      */
     async connect() {
-        this.connection = await mysql.createConnection({
-            host: process.env.DB_HOST,
-            user: process.env.DB_USER,
-            password: process.env.DB_PASS,
-            database: process.env.DB_NAME,
-        });
+        MySQL.getDriver();
     }
 
     /**
      * @function disconnect
-     * @description Disconnects from the MySQL database.
+     * @description Returns a connection still checked out for an unfinished transaction to the pool,
+     *              rolling the transaction back first. The pool itself stays open.
      * @returns {Promise<void>}
      */
     async disconnect() {
         if (this.connection) {
-            await this.connection.end();
+            const connection = this.#releaseConnection();
+            try {
+                await connection.rollback();
+            } finally {
+                connection.release();
+            }
         }
     }
 
@@ -69,96 +141,183 @@ class MySQL {
      * @returns {MySQL}
      */
     table(tableName) {
-        this.queryParts.table = tableName;
+        this.queryParts.table = MySQL.#quoteTable(tableName);
         return this;
     }
 
     /**
      * @function join
      * @description Adds a JOIN clause to the query.
-     * @param {string} table - The table to join.
-     * @param {string} condition - The join condition.
+     * @param {string} table - The table to join, optionally followed by an alias ("tblUsers u").
+     * @param {string|RawExpression} condition - The join condition, column comparisons joined with AND ("u.userId=s.sessionUserId").
+     * @param {string} [type=null] - The join type (LEFT, RIGHT, INNER, CROSS).
      * @returns {MySQL}
      */
     join(table, condition, type = null) {
-        if (type) {
-            this.queryParts.joins.push(`${type} JOIN ${table} ON ${condition}`);
-            return this;
+        if (type && !['LEFT', 'RIGHT', 'INNER', 'CROSS'].includes(String(type).toUpperCase())) {
+            throw new Error(`Invalid join type "${type}".`);
         }
-        this.queryParts.joins.push(`JOIN ${table} ON ${condition}`);
+        const joinType = type ? `${String(type).toUpperCase()} JOIN` : 'JOIN';
+        this.queryParts.joins.push(`${joinType} ${MySQL.#quoteTable(table)} ON ${MySQL.#quoteJoinCondition(condition)}`);
         return this;
     }
 
     /**
      * @function select
      * @description Sets the columns to select in the query.
-     * @param {...string} columns - The columns to select.
+     * @param {...(string|RawExpression)} columns - The columns to select, optionally aliased ("name as n"), or raw expressions.
      * @returns {MySQL}
      */
     select(...columns) {
-        this.queryParts.select = columns;
+        this.queryParts.select = columns.map(column => MySQL.#quoteSelectColumn(column));
         return this;
     }
 
     /**
      * @function rawWhere
-     * @description Adds a WHERE condition to the query.
-     * @param {string} rawWhere - raw query.
+     * @description Adds a raw WHERE condition to the query, joined with AND.
+     * @param {RawExpression} rawWhere - raw query, created with MySQL.raw().
+     * @param {Array} [values=[]] - Values for the `?` placeholders of the raw query.
      * @returns {MySQL}
      */
-    rawWhere(rawWhere) {
-        this.queryParts.where.push(`${rawWhere}`);
-        return this;
+    rawWhere(rawWhere, values = []) {
+        if (!(rawWhere instanceof RawExpression)) {
+            throw new Error('rawWhere() expects an expression created with MySQL.raw().');
+        }
+        return this.#addCondition('AND', rawWhere.sql, values);
     }
 
     /**
      * @function where
-     * @description Adds a WHERE condition to the query.
-     * @param {string} column - The column for the condition.
+     * @description Adds a WHERE condition to the query, joined with AND. Pass a callback instead of a
+     *              column to add a parenthesized group of conditions built inside the callback.
+     * @param {string|Function} column - The column for the condition, or a callback receiving the builder.
      * @param {*} value - The value for the condition.
      * @param {string} [operator='='] - The operator for the condition.
      * @returns {MySQL}
+     * @example
+     * db.where("os", "0").where(query => query.where("device", "Bot").orWhere("device", "Crawler"));
+     * // WHERE os = ? AND (device = ? OR device = ?)
      */
     where(column, value, operator = '=') {
-        this.queryParts.where.push(`${column} ${operator} ?`);
-        this.queryParts.values.push(value);
-        return this;
+        if (typeof column === 'function') {
+            return this.#addGroup('AND', column);
+        }
+        return this.#addCondition('AND', `${MySQL.#quoteColumn(column)} ${MySQL.#checkOperator(operator)} ?`, [value]);
     }
 
     /**
      * @function orWhere
-     * @description Adds an OR WHERE condition to the query.
-     * @param {string} column - The column for the condition.
+     * @description Adds a WHERE condition to the query, joined with OR to the condition before it.
+     *              Pass a callback instead of a column to add a parenthesized group of conditions.
+     * @param {string|Function} column - The column for the condition, or a callback receiving the builder.
      * @param {*} value - The value for the condition.
      * @param {string} [operator='='] - The operator for the condition.
      * @returns {MySQL}
      */
     orWhere(column, value, operator = '=') {
-        this.queryParts.orWhere.push(`${column} ${operator} ?`);
-        this.queryParts.values.push(value);
-        return this;
+        if (typeof column === 'function') {
+            return this.#addGroup('OR', column);
+        }
+        return this.#addCondition('OR', `${MySQL.#quoteColumn(column)} ${MySQL.#checkOperator(operator)} ?`, [value]);
+    }
+
+    /**
+     * @function whereIn
+     * @description Adds a `column IN (...)` condition to the query. An empty list matches no rows.
+     * @param {string} column - The column for the condition.
+     * @param {Array} values - The accepted values.
+     * @returns {MySQL}
+     */
+    whereIn(column, values) {
+        if (!values.length) {
+            return this.#addCondition('AND', '1 = 0', []);
+        }
+        return this.#addCondition('AND', `${MySQL.#quoteColumn(column)} IN (${values.map(() => '?').join(', ')})`, values);
+    }
+
+    /**
+     * @function whereNotIn
+     * @description Adds a `column NOT IN (...)` condition to the query. An empty list matches every row.
+     * @param {string} column - The column for the condition.
+     * @param {Array} values - The rejected values.
+     * @returns {MySQL}
+     */
+    whereNotIn(column, values) {
+        if (!values.length) {
+            return this;
+        }
+        return this.#addCondition('AND', `${MySQL.#quoteColumn(column)} NOT IN (${values.map(() => '?').join(', ')})`, values);
+    }
+
+    /**
+     * @function whereNull
+     * @description Adds a `column IS NULL` condition to the query.
+     * @param {string} column - The column for the condition.
+     * @returns {MySQL}
+     */
+    whereNull(column) {
+        return this.#addCondition('AND', `${MySQL.#quoteColumn(column)} IS NULL`, []);
+    }
+
+    /**
+     * @function whereNotNull
+     * @description Adds a `column IS NOT NULL` condition to the query.
+     * @param {string} column - The column for the condition.
+     * @returns {MySQL}
+     */
+    whereNotNull(column) {
+        return this.#addCondition('AND', `${MySQL.#quoteColumn(column)} IS NOT NULL`, []);
+    }
+
+    /**
+     * @function whereBetween
+     * @description Adds a `column BETWEEN ? AND ?` condition to the query (both ends included).
+     * @param {string} column - The column for the condition.
+     * @param {Array} range - The lower and upper bound.
+     * @returns {MySQL}
+     */
+    whereBetween(column, [from, to]) {
+        return this.#addCondition('AND', `${MySQL.#quoteColumn(column)} BETWEEN ? AND ?`, [from, to]);
     }
 
     /**
      * @function groupBy
-     * @description Adds a GROUP BY clause to the query.
-     * @param {string} column - The column to group by.
+     * @description Adds columns to the GROUP BY clause of the query. Repeated calls add to the earlier ones.
+     * @param {...(string|RawExpression)} columns - The columns to group by.
      * @returns {MySQL}
      */
-    groupBy(column) {
-        this.queryParts.groupBy = `GROUP BY ${column}`;
+    groupBy(...columns) {
+        this.queryParts.groupBy.push(...columns.map(column => MySQL.#quoteColumn(column)));
+        return this;
+    }
+
+    /**
+     * @function having
+     * @description Adds a HAVING condition to the query, joined with AND.
+     * @param {string|RawExpression} column - The column, or an aggregate through MySQL.raw("count(*)").
+     * @param {*} value - The value for the condition.
+     * @param {string} [operator='='] - The operator for the condition.
+     * @returns {MySQL}
+     */
+    having(column, value, operator = '=') {
+        this.queryParts.having.push({ boolean: 'AND', sql: `${MySQL.#quoteColumn(column)} ${MySQL.#checkOperator(operator)} ?`, values: [value] });
         return this;
     }
 
     /**
      * @function orderBy
-     * @description Adds an ORDER BY clause to the query.
-     * @param {string} column - The column to order by.
-     * @param {string} order - The order direction (ASC or DESC).
+     * @description Adds a column to the ORDER BY clause of the query. Repeated calls add to the earlier ones.
+     * @param {string|RawExpression} column - The column or select alias to order by.
+     * @param {string} [order='ASC'] - The order direction (ASC or DESC).
      * @returns {MySQL}
      */
-    orderBy(column, order) {
-        this.queryParts.orderBy = `ORDER BY ${column} ${order}`;
+    orderBy(column, order = 'ASC') {
+        const direction = String(order).toUpperCase();
+        if (!['ASC', 'DESC'].includes(direction)) {
+            throw new Error(`Invalid order direction "${order}". Use ASC or DESC.`);
+        }
+        this.queryParts.orderBy.push(`${MySQL.#quoteColumn(column)} ${direction}`);
         return this;
     }
 
@@ -169,10 +328,245 @@ class MySQL {
      * @returns {MySQL}
      */
     limit(limit) {
-        this.queryParts.limit = `LIMIT ${limit}`;
+        this.queryParts.limit = MySQL.#toNonNegativeInt(limit, 'limit');
+        return this;
+    }
+
+    /**
+     * @function offset
+     * @description Adds an OFFSET clause to the query, skipping the given number of rows.
+     * @param {number} offset - The number of rows to skip.
+     * @returns {MySQL}
+     */
+    offset(offset) {
+        this.queryParts.offset = MySQL.#toNonNegativeInt(offset, 'offset');
+        return this;
+    }
+
+    /**
+     * @function lockForUpdate
+     * @description Locks the selected rows with `SELECT ... FOR UPDATE` until the transaction ends, so
+     *              other transactions cannot change them in between a read and the write based on it.
+     *              Only meaningful inside transaction(); outside of one the lock is released right away.
+     * @returns {MySQL}
+     */
+    lockForUpdate() {
+        this.queryParts.lockForUpdate = true;
+        return this;
+    }
+
+    /**
+     * @function #addCondition
+     * @description Adds a condition with its values to the WHERE conditions being built.
+     * @private
+     * @param {string} boolean - AND or OR.
+     * @param {string} sql - The condition with `?` placeholders.
+     * @param {Array} values - The values for the placeholders.
+     * @returns {MySQL}
+     */
+    #addCondition(boolean, sql, values) {
+        this.queryParts.where.push({ boolean, sql, values });
         return this;
     }
 
+    /**
+     * @function #addGroup
+     * @description Runs the callback against an empty condition list and adds the collected conditions as one parenthesized group.
+     * @private
+     * @param {string} boolean - AND or OR.
+     * @param {Function} callback - Receives the builder and adds the conditions of the group.
+     * @returns {MySQL}
+     */
+    #addGroup(boolean, callback) {
+        const outerConditions = this.queryParts.where;
+        this.queryParts.where = [];
+        try {
+            callback(this);
+        } finally {
+            const group = this.#compileConditions(this.queryParts.where);
+            this.queryParts.where = outerConditions;
+            if (group.sql) {
+                this.#addCondition(boolean, `(${group.sql})`, group.values);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * @function #compileConditions
+     * @description Joins a list of conditions into SQL, in the order they were added.
+     * @private
+     * @param {Array<Object>} conditions - The conditions.
+     * @returns {Object} `{ sql, values }`
+     */
+    #compileConditions(conditions) {
+        return {
+            sql: conditions.map((condition, index) => (index ? `${condition.boolean} ` : '') + condition.sql).join(' '),
+            values: conditions.flatMap(condition => condition.values)
+        };
+    }
+
+    /**
+     * @function #quoteName
+     * @description Validates and backtick-quotes a possibly qualified name ("column" or "table.column").
+     * @private
+     * @param {string} name - The name to quote.
+     * @param {boolean} [allowStar=false] - Whether "*" or "table.*" is accepted.
+     * @returns {string}
+     */
+    static #quoteName(name, allowStar = false) {
+        const parts = String(name).trim().split('.');
+        if (parts.length > 2) {
+            throw new Error(`Unsafe identifier "${name}".`);
+        }
+        return parts.map((part, index) => {
+            if (allowStar && part === '*' && index === parts.length - 1) {
+                return '*';
+            }
+            if (!IDENTIFIER.test(part)) {
+                throw new Error(`Unsafe identifier "${name}". Use MySQL.raw() for expressions.`);
+            }
+            return `\`${part}\``;
+        }).join('.');
+    }
+
+    /**
+     * @function #quoteColumn
+     * @description Quotes a column used in a condition, GROUP BY, ORDER BY, INSERT or UPDATE. Raw expressions pass as is.
+     * @private
+     * @param {string|RawExpression} column - The column.
+     * @returns {string}
+     */
+    static #quoteColumn(column) {
+        return column instanceof RawExpression ? column.sql : MySQL.#quoteName(column);
+    }
+
+    /**
+     * @function #quoteSelectColumn
+     * @description Quotes a selected column with its optional alias ("c.contactId as id"), "*" or "table.*".
+     * @private
+     * @param {string|RawExpression} column - The column.
+     * @returns {string}
+     */
+    static #quoteSelectColumn(column) {
+        if (column instanceof RawExpression) {
+            return column.sql;
+        }
+        const match = String(column).trim().match(/^(\S+)\s+as\s+(\S+)$/i);
+        if (match) {
+            return `${MySQL.#quoteName(match[1])} AS ${MySQL.#quoteAlias(match[2], column)}`;
+        }
+        return MySQL.#quoteName(column, true);
+    }
+
+    /**
+     * @function #quoteTable
+     * @description Quotes a table name with its optional alias ("tblUsers u" or "tblUsers as u").
+     * @private
+     * @param {string|RawExpression} table - The table.
+     * @returns {string}
+     */
+    static #quoteTable(table) {
+        if (table instanceof RawExpression) {
+            return table.sql;
+        }
+        const match = String(table).trim().match(/^(\S+)(?:\s+(?:as\s+)?(\S+))?$/i);
+        if (!match) {
+            throw new Error(`Unsafe table "${table}".`);
+        }
+        return MySQL.#quoteName(match[1]) + (match[2] ? ` ${MySQL.#quoteAlias(match[2], table)}` : '');
+    }
+
+    /**
+     * @function #quoteAlias
+     * @description Validates and quotes an alias.
+     * @private
+     * @param {string} alias - The alias.
+     * @param {string} source - The full name, for the error message.
+     * @returns {string}
+     */
+    static #quoteAlias(alias, source) {
+        if (!IDENTIFIER.test(alias)) {
+            throw new Error(`Unsafe alias in "${source}".`);
+        }
+        return `\`${alias}\``;
+    }
+
+    /**
+     * @function #quoteJoinCondition
+     * @description Quotes a join condition made of column comparisons joined with AND ("a.id=b.aId AND a.x=b.y").
+     * @private
+     * @param {string|RawExpression} condition - The join condition.
+     * @returns {string}
+     */
+    static #quoteJoinCondition(condition) {
+        if (condition instanceof RawExpression) {
+            return condition.sql;
+        }
+        return String(condition).split(/\s+AND\s+/i).map(comparison => {
+            const match = comparison.trim().match(/^(\S+?)\s*(=|!=|<>|<=|>=|<|>)\s*(\S+)$/);
+            if (!match) {
+                throw new Error(`Unsafe join condition "${condition}". Use MySQL.raw() for complex conditions.`);
+            }
+            return `${MySQL.#quoteName(match[1])} ${match[2]} ${MySQL.#quoteName(match[3])}`;
+        }).join(' AND ');
+    }
+
+    /**
+     * @function #checkOperator
+     * @description Validates a comparison operator.
+     * @private
+     * @param {string} operator - The operator.
+     * @returns {string}
+     */
+    static #checkOperator(operator) {
+        const normalized = String(operator).trim().toUpperCase().replace(/\s+/g, ' ');
+        if (!OPERATORS.includes(normalized)) {
+            throw new Error(`Invalid operator "${operator}".`);
+        }
+        return normalized;
+    }
+
+    /**
+     * @function #compileSelect
+     * @description Builds the SELECT query for the given query parts.
+     * @private
+     * @param {Object} parts - The query parts.
+     * @returns {Object} `{ query, values }`
+     */
+    #compileSelect(parts) {
+        const where = this.#compileConditions(parts.where);
+        const having = this.#compileConditions(parts.having);
+
+        let query = `SELECT ${parts.select.join(', ')} FROM ${parts.table}`;
+        if (parts.joins.length) query += ` ${parts.joins.join(' ')}`;
+        if (where.sql) query += ` WHERE ${where.sql}`;
+        if (parts.groupBy.length) query += ` GROUP BY ${parts.groupBy.join(', ')}`;
+        if (having.sql) query += ` HAVING ${having.sql}`;
+        if (parts.orderBy.length) query += ` ORDER BY ${parts.orderBy.join(', ')}`;
+        if (parts.limit !== null) query += ` LIMIT ${parts.limit}`;
+        if (parts.offset !== null) query += `${parts.limit !== null ? '' : MySQL.getDriver().compileUnboundedLimit()} OFFSET ${parts.offset}`;
+        if (parts.lockForUpdate) query += MySQL.getDriver().compileLock();
+
+        return { query: query, values: [...where.values, ...having.values] };
+    }
+
+    /**
+     * @function #toNonNegativeInt
+     * @description Validates a LIMIT/OFFSET value, which is written into the query rather than bound.
+     * @private
+     * @param {*} value - The value to check.
+     * @param {string} name - The name of the clause, for the error message.
+     * @returns {number}
+     */
+    static #toNonNegativeInt(value, name) {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 0) {
+            throw new Error(`Invalid ${name} "${value}". Expected a non-negative integer.`);
+        }
+        return number;
+    }
+
     /**
      * @function #execute
      * @description Executes the given query with provided values and resets the query parts.
@@ -182,14 +576,10 @@ class MySQL {
      * @returns {Promise<Array>}
      */
     async #execute(query, values) {
-        if (!this.connection) {
-            throw new Error('Database connection is not established. Call connect() first.');
-        }
-
         try {
             this.lastQuery = query;  // Store the last query
-            const [rows] = await this.connection.execute(query, values);
-            this.queryParts = this.#resetState();  // Reset the query parts after execution
+            this.queryParts = this.#resetState();  // Reset the query parts, the instance can be reused right away
+            const [rows] = await (this.connection || MySQL.getDriver()).execute(query, values);  // Use the transaction connection or any pooled one
             return rows;
         } catch (error) {
             console.error('Error executing query:', error);
@@ -203,15 +593,41 @@ class MySQL {
      * @returns {Promise<Array>}
      */
     async get() {
-        let query = `SELECT ${this.queryParts.select.join(', ')} FROM ${this.queryParts.table}`;
-        if (this.queryParts.joins.length) query += ` ${this.queryParts.joins.join(' ')}`;
-        if (this.queryParts.where.length) query += ` WHERE ${this.queryParts.where.join(' AND ')}`;
-        if (this.queryParts.orWhere.length) query += ` OR ${this.queryParts.orWhere.join(' OR ')}`;
-        if (this.queryParts.groupBy) query += ` ${this.queryParts.groupBy}`;
-        if (this.queryParts.orderBy) query += ` ${this.queryParts.orderBy}`;
-        if (this.queryParts.limit) query += ` ${this.queryParts.limit}`;
+        const { query, values } = this.#compileSelect(this.queryParts);
+        return await this.#execute(query, values);
+    }
+
+    /**
+     * @function paginate
+     * @description Executes the SELECT query for one page of rows and counts every matching row. The count runs over
+     *              the query without ORDER BY and LIMIT, so joins, GROUP BY and HAVING are counted as they are selected.
+     *              Set an ORDER BY on a unique column as well, otherwise rows can move between pages.
+     * @param {number} [page=1] - The page to fetch, starting at 1.
+     * @param {number} [perPage=50] - The number of rows per page.
+     * @returns {Promise<Object>} `{ data, pagination: { page, perPage, total, totalPages, nextPage } }`, where
+     *                            nextPage is null on the last page.
+     * @example
+     * const { data, pagination } = await db.table(tables.TBL_MAILS).select("*").orderBy("mailId", "DESC").paginate(2, 25);
+     */
+    async paginate(page = 1, perPage = 50) {
+        page = MySQL.#toNonNegativeInt(page, 'page') || 1;
+        perPage = MySQL.#toNonNegativeInt(perPage, 'per page') || 1;
 
-        return await this.#execute(query, this.queryParts.values);
+        const count = this.#compileSelect({ ...this.queryParts, orderBy: [], limit: null, offset: null, lockForUpdate: false });
+        const data = await this.limit(perPage).offset((page - 1) * perPage).get();
+        const [{ total }] = await this.#execute(`SELECT COUNT(*) AS total FROM (${count.query}) AS paginated`, count.values);
+
+        const totalPages = Math.ceil(total / perPage);
+        return {
+            data: data,
+            pagination: {
+                page: page,
+                perPage: perPage,
+                total: Number(total),
+                totalPages: totalPages,
+                nextPage: page < totalPages ? page + 1 : null
+            }
+        };
     }
 
     /**
@@ -230,7 +646,7 @@ class MySQL {
      * @returns {Promise<number>}
      */
     async insert(data) {
-        const columns = Object.keys(data).join(', ');
+        const columns = Object.keys(data).map(key => MySQL.#quoteColumn(key)).join(', ');
         const placeholders = Object.keys(data).map(() => '?').join(', ');
         const values = Object.values(data);
 
@@ -242,47 +658,233 @@ class MySQL {
 
     /**
      * @function update
-     * @description Builds and executes an UPDATE query with the given data.
+     * @description Builds and executes an UPDATE query with the given data. A value created with MySQL.raw() is written
+     *              as is, e.g. to change a counter in the database instead of writing back a value computed from a read.
      * @param {Object} data - The data to update.
      * @returns {Promise<boolean>}
+     * @example
+     * await db.table(tables.TBL_AUTH_THROTTLES).where("throttleKey", key).update({ throttleHits: MySQL.raw("throttleHits + 1") });
      */
     async update(data) {
-        const set = Object.keys(data).map(key => `${key} = ?`).join(', ');
-        const values = [...Object.values(data), ...this.queryParts.values];
+        const where = this.#compileConditions(this.queryParts.where);
+        const entries = Object.entries(data);
+        const set = entries.map(([key, value]) => `${MySQL.#quoteColumn(key)} = ${value instanceof RawExpression ? value.sql : '?'}`).join(', ');
+        const values = [...entries.filter(([, value]) => !(value instanceof RawExpression)).map(([, value]) => value), ...where.values];
 
         let query = `UPDATE ${this.queryParts.table} SET ${set}`;
-        if (this.queryParts.where.length) query += ` WHERE ${this.queryParts.where.join(' AND ')}`;
-        if (this.queryParts.orWhere.length) query += ` OR ${this.queryParts.orWhere.join(' OR ')}`;
+        if (where.sql) query += ` WHERE ${where.sql}`;
 
         const result = await this.#execute(query, values);
         return result.affectedRows > 0;
     }
 
+    /**
+     * @function delete
+     * @description Builds and executes a DELETE query. At least one WHERE condition is required,
+     *              so a forgotten condition cannot empty the whole table.
+     * @returns {Promise<number>} The number of deleted rows.
+     * @example
+     * await db.table(tables.TBL_MAILS).where("mailId", mailId).delete();
+     */
+    async delete() {
+        const where = this.#compileConditions(this.queryParts.where);
+        if (!where.sql) {
+            this.queryParts = this.#resetState();  // Do not leave the unsafe query behind for the next call
+            throw new Error('delete() requires at least one where condition.');
+        }
+
+        const query = `DELETE FROM ${this.queryParts.table} WHERE ${where.sql}`;
+
+        const result = await this.#execute(query, where.values);
+        return result.affectedRows;
+    }
+
+    /**
+     * @function insertMany
+     * @description Inserts several rows with multi-row INSERT queries. Every row must have the same columns.
+     *              Large batches are split into queries of `chunkSize` rows.
+     * @param {Array<Object>} rows - The rows to insert.
+     * @param {number} [chunkSize=500] - The maximum number of rows per query.
+     * @returns {Promise<number>} The number of inserted rows.
+     */
+    async insertMany(rows, chunkSize = 500) {
+        return await this.#insertRows(rows, null, chunkSize);
+    }
+
+    /**
+     * @function upsert
+     * @description Inserts one or more rows, updating the existing row instead when a row collides
+     *              with a primary or unique key (`ON DUPLICATE KEY UPDATE` on MySQL, `ON CONFLICT` on SQLite).
+     * @param {Object|Array<Object>} rows - The row or rows to insert.
+     * @param {Array<string>} [updateColumns] - The columns to overwrite on a duplicate, all inserted columns by default.
+     *                                          Pass an empty list to keep existing rows untouched.
+     * @param {number} [chunkSize=500] - The maximum number of rows per query.
+     * @returns {Promise<number>} The affected rows as reported by the driver (MySQL counts 1 per inserted row, 2 per updated row).
+     * @example
+     * await db.table(tables.TBL_MAILS).upsert(mails, ["mailSubject", "mailBody"]);
+     */
+    async upsert(rows, updateColumns = null, chunkSize = 500) {
+        rows = Array.isArray(rows) ? rows : [rows];
+        return await this.#insertRows(rows, updateColumns || Object.keys(rows[0] || {}), chunkSize);
+    }
+
+    /**
+     * @function #insertRows
+     * @description Builds and executes the multi-row INSERT queries behind insertMany() and upsert().
+     * @private
+     * @param {Array<Object>} rows - The rows to insert.
+     * @param {Array<string>|null} updateColumns - The columns to update on a duplicate key, null for a plain insert.
+     * @param {number} chunkSize - The maximum number of rows per query.
+     * @returns {Promise<number>} The total affected rows.
+     */
+    async #insertRows(rows, updateColumns, chunkSize) {
+        const table = this.queryParts.table;
+        this.queryParts = this.#resetState();  // Each chunk is executed on its own, the builder state is not needed anymore
+
+        if (!rows.length) {
+            return 0;
+        }
+
+        const keys = Object.keys(rows[0]);
+        rows.forEach((row, index) => {
+            const rowKeys = Object.keys(row);
+            if (rowKeys.length !== keys.length || !keys.every(key => rowKeys.includes(key))) {
+                throw new Error(`Row ${index} does not have the same columns as the first row.`);
+            }
+        });
+
+        const columns = keys.map(key => MySQL.#quoteColumn(key)).join(', ');
+        const rowPlaceholders = `(${keys.map(() => '?').join(', ')})`;
+        const size = MySQL.#toNonNegativeInt(chunkSize, 'chunk size') || rows.length;
+
+        const onDuplicate = updateColumns
+            ? MySQL.getDriver().compileUpsert(updateColumns.map(column => MySQL.#quoteColumn(column)), MySQL.#quoteColumn(keys[0]))
+            : '';
+
+        let affectedRows = 0;
+        for (let start = 0; start < rows.length; start += size) {
+            const chunk = rows.slice(start, start + size);
+            const query = `INSERT INTO ${table} (${columns}) VALUES ${chunk.map(() => rowPlaceholders).join(', ')}${onDuplicate}`;
+            const values = chunk.flatMap(row => keys.map(key => row[key]));
+
+            const result = await this.#execute(query, values);
+            affectedRows += result.affectedRows;
+        }
+        return affectedRows;
+    }
+
+    /**
+     * @function transaction
+     * @description Runs the callback inside a transaction. The callback receives its own MySQL instance bound to
+     *              the transaction connection; every query made through it is committed when the callback resolves
+     *              and rolled back when it throws, in which case the error is rethrown.
+     *              Called on an instance that is already inside a transaction, the callback joins that transaction.
+     * @param {Function} callback - Async function receiving the transaction instance.
+     * @returns {Promise<*>} The value returned by the callback.
+     * @example
+     * await db.transaction(async trx => {
+     *     const bank = await trx.table(tables.TBL_BANK_DETAILS).where("bankId", bankId).lockForUpdate().first();
+     *     await trx.table(tables.TBL_BANK_DETAILS).where("bankId", bankId).update({ bankAccountBalance: ... });
+     * });
+     */
+    async transaction(callback) {
+        if (this.connection) {
+            return await callback(this);  // Join the transaction already in progress
+        }
+
+        const trx = new MySQL();
+        await trx.startTransaction();
+        try {
+            const result = await callback(trx);
+            await trx.commit();
+            return result;
+        } catch (error) {
+            await trx.disconnect();  // Rolls back and releases the connection, unless commit() already did
+            throw error;
+        }
+    }
+
+    /**
+     * @function statement
+     * @description Executes a complete SQL statement as is, e.g. a CREATE TABLE in a migration. It is sent as a
+     *              plain query because not every DDL statement can be prepared. Never build the SQL from user input,
+     *              pass values through `?` placeholders instead.
+     * @param {string} sql - The SQL statement.
+     * @param {Array} [values=[]] - Values for the `?` placeholders.
+     * @returns {Promise<*>} The rows for a SELECT, otherwise the result header (affectedRows, insertId).
+     */
+    async statement(sql, values = []) {
+        try {
+            this.lastQuery = sql;  // Store the last query
+            const [result] = await (this.connection || MySQL.getDriver()).query(sql, values);
+            return result;
+        } catch (error) {
+            console.error('Error executing statement:', error);
+            throw error; // Rethrow the error after logging it
+        }
+    }
+
     /**
      * @function startTransaction
-     * @description Begins a new transaction.
+     * @description Checks a connection out of the pool and begins a new transaction on it.
+     *              Every query of this instance runs on that connection until commit() or rollback().
      * @returns {Promise<void>}
      */
     async startTransaction() {
-        await this.connection.beginTransaction();
+        if (this.connection) {
+            throw new Error('A transaction is already in progress on this instance.');
+        }
+        const connection = await MySQL.getDriver().getConnection();
+        try {
+            await connection.beginTransaction();
+        } catch (error) {
+            connection.release();
+            throw error;
+        }
+        this.connection = connection;
     }
 
     /**
      * @function commit
-     * @description Commits the current transaction.
+     * @description Commits the current transaction and returns its connection to the pool.
      * @returns {Promise<void>}
      */
     async commit() {
-        await this.connection.commit();
+        const connection = this.#releaseConnection();
+        try {
+            await connection.commit();
+        } finally {
+            connection.release();
+        }
     }
 
     /**
      * @function rollback
-     * @description Rolls back the current transaction.
+     * @description Rolls back the current transaction and returns its connection to the pool.
      * @returns {Promise<void>}
      */
     async rollback() {
-        await this.connection.rollback();
+        const connection = this.#releaseConnection();
+        try {
+            await connection.rollback();
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * @function #releaseConnection
+     * @description Detaches the transaction connection from this instance so later queries use the pool again.
+     * @private
+     * @returns {PoolConnection}
+     */
+    #releaseConnection() {
+        if (!this.connection) {
+            throw new Error('No transaction in progress. Call startTransaction() first.');
+        }
+        const connection = this.connection;
+        this.connection = null;
+        return connection;
     }
 
     /**
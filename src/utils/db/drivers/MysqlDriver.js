@@ -0,0 +1,103 @@
+const mysql = require('mysql2/promise');  // Importing mysql2/promise for MySQL connection with promises
+require('dotenv').config();  // Loading environment variables from a .env file
+
+/**
+ * @class MysqlDriver
+ * @description The production database driver: a mysql2 connection pool configured through the DB_* environment variables.
+ *              Every driver offers the same interface to the MySQL query builder:
+ *              - execute(sql, values) / query(sql, values) resolve to `[result]`, the rows of a SELECT or
+ *                `{ affectedRows, insertId }` for any other statement;
+ *              - getConnection() checks out a connection with the same methods plus beginTransaction(),
+ *                commit(), rollback() and release();
+ *              - end() closes every connection;
+ *              - the compile* methods return the dialect specific parts of a query.
+ * @author Jay Chauhan
+ */
+class MysqlDriver {
+    constructor() {
+        this.pool = mysql.createPool({
+            host: process.env.DB_HOST,
+            user: process.env.DB_USER,
+            password: process.env.DB_PASS,
+            database: process.env.DB_NAME,
+            connectionLimit: parseInt(process.env.DB_POOL_SIZE || 10),  // Maximum number of open connections
+            queueLimit: parseInt(process.env.DB_POOL_QUEUE_LIMIT || 0),  // Maximum queued requests (0 = no limit)
+            waitForConnections: true,  // Queue requests while every connection is busy
+            enableKeepAlive: true  // Keep idle connections from being dropped by the server
+        });
+    }
+
+    /**
+     * @function execute
+     * @description Runs a prepared statement on any pooled connection.
+     * @param {string} sql - The SQL statement with `?` placeholders.
+     * @param {Array} values - The values for the placeholders.
+     * @returns {Promise<Array>} `[result]`
+     */
+    async execute(sql, values) {
+        return await this.pool.execute(sql, values);
+    }
+
+    /**
+     * @function query
+     * @description Runs a plain (not prepared) statement on any pooled connection, e.g. DDL.
+     * @param {string} sql - The SQL statement with `?` placeholders.
+     * @param {Array} values - The values for the placeholders.
+     * @returns {Promise<Array>} `[result]`
+     */
+    async query(sql, values) {
+        return await this.pool.query(sql, values);
+    }
+
+    /**
+     * @function getConnection
+     * @description Checks a connection out of the pool, e.g. for a transaction.
+     * @returns {Promise<PoolConnection>}
+     */
+    async getConnection() {
+        return await this.pool.getConnection();
+    }
+
+    /**
+     * @function end
+     * @description Closes every connection of the pool.
+     * @returns {Promise<void>}
+     */
+    async end() {
+        await this.pool.end();
+    }
+
+    /**
+     * @function compileUpsert
+     * @description Returns the clause that turns an INSERT into an upsert.
+     * @param {Array<string>} updateColumns - The quoted columns to overwrite on a duplicate key.
+     * @param {string} firstColumn - The first quoted inserted column, assigned to itself when nothing is updated.
+     * @returns {string}
+     */
+    compileUpsert(updateColumns, firstColumn) {
+        const assignments = updateColumns.length
+            ? updateColumns.map(column => `${column} = VALUES(${column})`)
+            : [`${firstColumn} = ${firstColumn}`];  // Leaves the existing row as it is
+        return ` ON DUPLICATE KEY UPDATE ${assignments.join(', ')}`;
+    }
+
+    /**
+     * @function compileLock
+     * @description Returns the clause that locks the selected rows until the transaction ends.
+     * @returns {string}
+     */
+    compileLock() {
+        return ' FOR UPDATE';
+    }
+
+    /**
+     * @function compileUnboundedLimit
+     * @description Returns the LIMIT clause used for an OFFSET without a LIMIT.
+     * @returns {string}
+     */
+    compileUnboundedLimit() {
+        return ' LIMIT 18446744073709551615';
+    }
+}
+
+module.exports = MysqlDriver;
@@ -0,0 +1,314 @@
+const fs = require('fs');  // Importing fs to load and save the database file
+require('dotenv').config();  // Loading environment variables from a .env file
+
+/**
+ * @class SqliteDriver
+ * @description A database driver for local development and isolated test runs, backed by SQLite compiled to
+ *              WebAssembly (sql.js), so no database server is needed. Selected with DB_DRIVER=sqlite.
+ *              The database lives in memory and is gone when the process ends, unless DB_SQLITE_FILE names a
+ *              file to load it from and to save it to after every write.
+ *              It offers the same interface as MysqlDriver. CREATE TABLE and ALTER TABLE statements written for
+ *              MySQL (as in the migrations) are translated: ENUM columns become TEXT, AUTO_INCREMENT becomes
+ *              AUTOINCREMENT and secondary indexes are left out. Like mysql2, the values of columns declared DATETIME,
+ *              TIMESTAMP or DATE are returned as Date objects.
+ *              There is a single connection: a transaction holds it until commit or rollback. A second transaction,
+ *              and any query made outside the transaction, waits until it ends, so other requests never run inside
+ *              it. Code inside a transaction must therefore query through the transaction instance only.
+ * @author Jay Chauhan
+ */
+class SqliteDriver {
+    #database = null;  // Promise of the sql.js database, opened on first use
+    #lock = Promise.resolve();  // Settles when the running transaction releases the connection
+    #inTransaction = false;  // Whether a transaction is open
+    #dateColumns = null;  // Names of the columns declared DATETIME, TIMESTAMP or DATE, read from the schema on first use
+
+    constructor() {
+        this.file = process.env.DB_SQLITE_FILE || null;  // Database file, null keeps the database in memory
+    }
+
+    /**
+     * @function execute
+     * @description Runs a statement, once no transaction is open.
+     * @param {string} sql - The SQL statement with `?` placeholders.
+     * @param {Array} [values=[]] - The values for the placeholders.
+     * @returns {Promise<Array>} `[result]`
+     */
+    async execute(sql, values = []) {
+        const database = await this.#open();
+        while (this.#inTransaction) {
+            await this.#lock;  // Wait for the transaction to end, only its own connection may use the database meanwhile
+        }
+        return this.#execute(database, sql, values);
+    }
+
+    /**
+     * @function query
+     * @description Runs a statement once no transaction is open, translating MySQL CREATE TABLE and ALTER TABLE statements first.
+     * @param {string} sql - The SQL statement with `?` placeholders.
+     * @param {Array} [values=[]] - The values for the placeholders.
+     * @returns {Promise<Array>} `[result]`
+     */
+    async query(sql, values = []) {
+        return await this.execute(SqliteDriver.#translateDdl(sql), values);
+    }
+
+    /**
+     * @function getConnection
+     * @description Waits until no other transaction holds the connection and checks it out.
+     * @returns {Promise<Object>} The connection.
+     */
+    async getConnection() {
+        const database = await this.#open();
+
+        const previousLock = this.#lock;
+        let release;
+        this.#lock = new Promise(resolve => { release = resolve; });
+        await previousLock;
+
+        return {
+            execute: async (sql, values = []) => this.#execute(database, sql, values),
+            query: async (sql, values = []) => this.#execute(database, SqliteDriver.#translateDdl(sql), values),
+            beginTransaction: async () => {
+                database.run('BEGIN');
+                this.#inTransaction = true;
+            },
+            commit: async () => {
+                database.run('COMMIT');
+                this.#inTransaction = false;
+                this.#save(database);
+            },
+            rollback: async () => {
+                if (this.#inTransaction) {
+                    database.run('ROLLBACK');
+                    this.#inTransaction = false;
+                }
+            },
+            release: () => release()
+        };
+    }
+
+    /**
+     * @function end
+     * @description Saves and closes the database.
+     * @returns {Promise<void>}
+     */
+    async end() {
+        if (this.#database) {
+            const database = await this.#database;
+            this.#database = null;
+            this.#save(database);
+            database.close();
+        }
+    }
+
+    /**
+     * @function compileUpsert
+     * @description Returns the clause that turns an INSERT into an upsert.
+     * @param {Array<string>} updateColumns - The quoted columns to overwrite on a conflict.
+     * @returns {string}
+     */
+    compileUpsert(updateColumns) {
+        return updateColumns.length
+            ? ` ON CONFLICT DO UPDATE SET ${updateColumns.map(column => `${column} = excluded.${column}`).join(', ')}`
+            : ' ON CONFLICT DO NOTHING';
+    }
+
+    /**
+     * @function compileLock
+     * @description SQLite locks the whole database for a writing transaction, so rows need no lock of their own.
+     * @returns {string}
+     */
+    compileLock() {
+        return '';
+    }
+
+    /**
+     * @function compileUnboundedLimit
+     * @description Returns the LIMIT clause used for an OFFSET without a LIMIT.
+     * @returns {string}
+     */
+    compileUnboundedLimit() {
+        return ' LIMIT -1';
+    }
+
+    /**
+     * @function #open
+     * @description Loads sql.js and opens the database, from DB_SQLITE_FILE if it exists.
+     * @private
+     * @returns {Promise<Database>}
+     */
+    #open() {
+        if (!this.#database) {
+            const initSqlJs = require('sql.js');  // Loaded here, the MySQL driver does not need it
+            this.#database = initSqlJs().then(SQL => {
+                const data = this.file && fs.existsSync(this.file) ? fs.readFileSync(this.file) : null;
+                return new SQL.Database(data);
+            });
+        }
+        return this.#database;
+    }
+
+    /**
+     * @function #execute
+     * @description Runs a statement right away and saves the database after a write outside a transaction. It does not
+     *              wait for anything, so no other statement can run in between.
+     * @private
+     * @param {Database} database - The sql.js database.
+     * @param {string} sql - The SQL statement.
+     * @param {Array} values - The values for the placeholders.
+     * @returns {Array} `[result]`
+     */
+    #execute(database, sql, values) {
+        const result = this.#run(database, sql, values);
+        if (/^\s*(CREATE|ALTER|DROP)\s/i.test(sql)) {
+            this.#dateColumns = null;  // The schema changed, read the date columns again
+        }
+        if (!Array.isArray(result) && !this.#inTransaction) {
+            this.#save(database);
+        }
+        return [result];
+    }
+
+    /**
+     * @function #run
+     * @description Runs a statement on the database.
+     * @private
+     * @param {Database} database - The sql.js database.
+     * @param {string} sql - The SQL statement.
+     * @param {Array} values - The values for the placeholders.
+     * @returns {Array<Object>|Object} The rows of a SELECT, otherwise `{ affectedRows, insertId }`.
+     */
+    #run(database, sql, values) {
+        const statement = database.prepare(sql);
+        try {
+            statement.bind(values.map(value => SqliteDriver.#toSqliteValue(value)));
+
+            if (statement.getColumnNames().length) {
+                const rows = [];
+                while (statement.step()) {
+                    rows.push(statement.getAsObject());
+                }
+                return this.#fromSqliteRows(database, rows);
+            }
+
+            statement.step();
+            return {
+                affectedRows: database.getRowsModified(),
+                insertId: database.exec('SELECT last_insert_rowid()')[0].values[0][0]
+            };
+        } finally {
+            statement.free();
+        }
+    }
+
+    /**
+     * @function #save
+     * @description Writes the database to DB_SQLITE_FILE, if one is configured.
+     * @private
+     * @param {Database} database - The sql.js database.
+     */
+    #save(database) {
+        if (this.file) {
+            fs.writeFileSync(this.file, Buffer.from(database.export()));
+        }
+    }
+
+    /**
+     * @function #toSqliteValue
+     * @description Converts a value to one SQLite can bind: dates become "YYYY-MM-DD HH:mm:ss" (local time),
+     *              booleans 1/0, objects JSON and undefined NULL.
+     * @private
+     * @param {*} value - The value.
+     * @returns {*}
+     */
+    static #toSqliteValue(value) {
+        if (value === undefined) return null;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (value instanceof Date) {
+            const pad = number => String(number).padStart(2, '0');
+            return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} ${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+        }
+        if (value !== null && typeof value === 'object' && !(value instanceof Uint8Array)) return JSON.stringify(value);
+        return value;
+    }
+
+    /**
+     * @function #fromSqliteRows
+     * @description Converts the "YYYY-MM-DD HH:mm:ss" and "YYYY-MM-DD" values of the columns declared DATETIME, TIMESTAMP
+     *              or DATE to Date objects (local time), as SQLite has no date type of its own. Columns are matched by name,
+     *              so a column selected under another name stays a string; values of other columns are never converted.
+     * @private
+     * @param {Database} database - The sql.js database.
+     * @param {Array<Object>} rows - The rows.
+     * @returns {Array<Object>}
+     */
+    #fromSqliteRows(database, rows) {
+        if (!rows.length) {
+            return rows;
+        }
+
+        const dateColumns = Object.keys(rows[0]).filter(column => this.#getDateColumns(database).has(column));
+        for (const row of rows) {
+            for (const column of dateColumns) {
+                const match = typeof row[column] === 'string' && row[column].match(/^(\d{4})-(\d{2})-(\d{2})(?: (\d{2}):(\d{2}):(\d{2}))?$/);
+                if (match) {
+                    const [, year, month, day, hours, minutes, seconds] = match.map(part => Number(part || 0));
+                    row[column] = new Date(year, month - 1, day, hours, minutes, seconds);
+                }
+            }
+        }
+        return rows;
+    }
+
+    /**
+     * @function #getDateColumns
+     * @description Returns the names of the columns declared DATETIME, TIMESTAMP or DATE in any table, read from the schema
+     *              once and again after every CREATE, ALTER or DROP statement.
+     * @private
+     * @param {Database} database - The sql.js database.
+     * @returns {Set<string>}
+     */
+    #getDateColumns(database) {
+        if (!this.#dateColumns) {
+            const tables = database.exec("SELECT name FROM sqlite_master WHERE type = 'table'");
+            const columns = (tables.length ? tables[0].values : []).flatMap(([table]) => {
+                const [info] = database.exec(`SELECT name, type FROM pragma_table_info('${String(table).replace(/'/g, "''")}')`);
+                return info ? info.values.filter(([, type]) => /^(DATETIME|TIMESTAMP|DATE)\b/i.test(type)).map(([name]) => name) : [];
+            });
+            this.#dateColumns = new Set(columns);
+        }
+        return this.#dateColumns;
+    }
+
+    /**
+     * @function #translateDdl
+     * @description Rewrites a MySQL CREATE TABLE or ALTER TABLE statement for SQLite. Other statements are returned as they are.
+     * @private
+     * @param {string} sql - The SQL statement.
+     * @returns {string}
+     */
+    static #translateDdl(sql) {
+        if (/^\s*ALTER\s+TABLE/i.test(sql)) {
+            return sql.replace(/ENUM\s*\([^)]*\)/gi, 'TEXT');
+        }
+        if (!/^\s*CREATE\s+TABLE/i.test(sql)) {
+            return sql;
+        }
+
+        const autoIncrement = sql.match(/(\w+)\s+(?:BIG)?INT\s+NOT\s+NULL\s+AUTO_INCREMENT/i);
+
+        const lines = sql.split('\n').filter(line => {
+            if (/^\s*(KEY|INDEX)\s+\w+\s*\(/i.test(line)) return false;  // Secondary indexes are not needed locally
+            if (autoIncrement && /^\s*PRIMARY\s+KEY\s*\(/i.test(line)) return false;  // Declared on the column instead
+            return true;
+        });
+
+        return lines.join('\n')
+            .replace(/(\w+)\s+(?:BIG)?INT\s+NOT\s+NULL\s+AUTO_INCREMENT/i, '$1 INTEGER PRIMARY KEY AUTOINCREMENT')
+            .replace(/ENUM\s*\([^)]*\)/gi, 'TEXT')
+            .replace(/UNIQUE\s+KEY\s+\w+\s*\(/gi, 'UNIQUE (')
+            .replace(/,(\s*\)\s*)$/, '$1');  // Drop the comma left before the closing parenthesis
+    }
+}
+
+module.exports = SqliteDriver;
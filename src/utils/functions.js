@@ -1,11 +1,13 @@
+const crypto = require('crypto');
 const tables = require('../config/tables');
 const MySQL = require('./db/Mysql');
 
 /**
- * Retrieves user information by access token from the database.
+ * Retrieves the user and session matching an access token. Expired or revoked sessions and deactivated users are ignored.
+ * The session's last-seen time is refreshed at most once a minute.
  * 
  * @param {string} token - The access token to query.
- * @returns {Promise<Object>} - An object containing userAccessToken, userRefreshToken, and userEmail.
+ * @returns {Promise<Object>} - An object containing userId, userEmail, role details, permissions and sessionId.
  * @throws {Error} - Throws an error if the database connection or query fails.
  * 
  * @example
@@ -18,14 +20,145 @@ const getUserByToken = async (token) => {
     const db = new MySQL(); // Instantiate the MySQL connection wrapper
     await db.connect(); // Establish the database connection
 
-    // Query the database for the user matching the provided token
-    const user = await db.table(tables.TBL_USERS)
-        .select("userAccessToken", "userRefreshToken", "userEmail") // Select specific user fields
-        .where("userAccessToken", token) // Filter by access token
-        .first(); // Retrieve the first matching result
+    try {
+        // Query the database for the active session matching the provided token
+        const user = await db.table(tables.TBL_USER_SESSIONS + " s")
+            .join(tables.TBL_USERS + " u", "u.userId=s.sessionUserId")
+            .join(tables.TBL_USER_ROLES + " r", "r.roleId=u.userRoleId", "LEFT")
+            .select("u.userId", "u.userEmail", "u.userRoleId", "r.roleName", "r.rolePermissions", "s.sessionId", "s.sessionLastSeenDate") // Select specific user, role and session fields
+            .where("s.sessionAccessToken", hashToken(token)) // Filter by access token hash
+            .where("s.sessionAccessTokenExpiry", date(), ">") // Ignore expired access tokens
+            .where("s.sessionStatus", "1") // Ignore revoked sessions
+            .where("u.userIsActive", "1") // Ignore deactivated users
+            .first(); // Retrieve the first matching result
 
-    await db.disconnect(); // Close the database connection
-    return user; // Return the user data
+        if (user) {
+            user.permissions = parsePermissions(user.rolePermissions); // Decode the role's permission list
+            delete user.rolePermissions;
+        }
+
+        // Keep track of when the session was last used
+        if (user && Date.now() - new Date(user.sessionLastSeenDate).getTime() > 60 * 1000) {
+            await db.table(tables.TBL_USER_SESSIONS)
+                .where("sessionId", user.sessionId)
+                .update({ sessionLastSeenDate: date() });
+        }
+
+        return user; // Return the user data
+    } finally {
+        await db.disconnect(); // Close the database connection
+    }
+}
+
+/**
+ * Decodes the JSON permission list stored on a role.
+ * 
+ * @param {string|Array|null} rolePermissions - The stored permission list.
+ * @returns {Array<string>} - The permission names, empty if none or invalid.
+ */
+const parsePermissions = (rolePermissions) => {
+    if (Array.isArray(rolePermissions)) {
+        return rolePermissions; // Already decoded by the driver (JSON column)
+    }
+    try {
+        const parsed = JSON.parse(rolePermissions || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Checks whether a permission list grants a permission. Supports the `*` wildcard for
+ * every permission and `group.*` for every permission of a group.
+ * 
+ * @param {Array<string>} permissions - The permissions granted to the user's role.
+ * @param {string} permission - The permission to check, e.g. "money.write".
+ * @returns {boolean} - True if the permission is granted.
+ * 
+ * @example
+ * hasPermission(["money.*"], "money.write"); // true
+ * hasPermission(["money.read"], "money.write"); // false
+ */
+const hasPermission = (permissions, permission) => {
+    if (!Array.isArray(permissions)) {
+        return false;
+    }
+    const group = permission.split('.')[0]; // e.g. "money" for "money.write"
+    return permissions.includes('*') || permissions.includes(permission) || permissions.includes(group + '.*');
+}
+
+/**
+ * Hashes a token with SHA-256 so only the hash has to be stored.
+ * 
+ * @param {string} token - The token to hash.
+ * @returns {string} - The hex encoded hash.
+ * 
+ * @example
+ * const hash = hashToken('someAccessToken');
+ */
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(String(token), 'utf8').digest('hex'); // Hash the token
+}
+
+/**
+ * Returns the IP address of the client that made the request. This is `req.ip`: Express only reads
+ * X-Forwarded-For when the request came through a proxy named in the `trust proxy` setting (TRUST_PROXY),
+ * so the address cannot be chosen by the client.
+ * 
+ * @param {Object} req - The Express request object.
+ * @returns {string} - The client IP address.
+ * 
+ * @example
+ * const ip = getClientIp(req);
+ */
+const getClientIp = (req) => {
+    return req.ip || (req.socket && req.socket.remoteAddress) || null;
+}
+
+/**
+ * Reads the paging query parameters shared by the list endpoints: `page` (starting at 1)
+ * and `perPage` (capped at 200).
+ * 
+ * @param {Object} req - The Express request object.
+ * @param {number} [defaultPerPage=50] - The page size used when `perPage` is missing.
+ * @returns {Object} - `{ page, perPage }`, ready for MySQL paginate().
+ * 
+ * @example
+ * const { page, perPage } = getPagination(req); // ?page=2&perPage=25 gives { page: 2, perPage: 25 }
+ */
+const getPagination = (req, defaultPerPage = 50) => {
+    const page = Math.max(parseInt(req.query.page) || 1, 1); // Requested page, starting at 1
+    const perPage = Math.min(Math.max(parseInt(req.query.perPage) || defaultPerPage, 1), 200); // Rows per page, capped at 200
+    return { page, perPage };
+}
+
+/**
+ * The response headers carrying the paging metadata of the list endpoints.
+ */
+const PAGINATION_HEADERS = ['X-Total-Count', 'X-Page', 'X-Per-Page', 'X-Total-Pages', 'X-Next-Page'];
+
+/**
+ * Sends the paging metadata of a list endpoint in the response headers, so the body stays the bare list
+ * the endpoint returned before it was paged. X-Next-Page is left out on the last page.
+ * 
+ * @param {Object} res - The Express response object.
+ * @param {Object} pagination - The pagination returned by MySQL paginate().
+ * @returns {Object} - The response object, for chaining.
+ * 
+ * @example
+ * setPaginationHeaders(res, pagination).status(200).json(rows);
+ */
+const setPaginationHeaders = (res, pagination) => {
+    const [total, page, perPage, totalPages, nextPage] = PAGINATION_HEADERS;
+    res.set(total, String(pagination.total));
+    res.set(page, String(pagination.page));
+    res.set(perPage, String(pagination.perPage));
+    res.set(totalPages, String(pagination.totalPages));
+    if (pagination.nextPage) {
+        res.set(nextPage, String(pagination.nextPage));
+    }
+    return res;
 }
 
 /**
@@ -199,6 +332,12 @@ const stringPad = (num, length, char) => {
 // Export all the functions
 module.exports = {
     getUserByToken,
+    hashToken,
+    getClientIp,
+    getPagination,
+    PAGINATION_HEADERS,
+    setPaginationHeaders,
+    hasPermission,
     base64Encode,
     date,
     convertToPlainText,
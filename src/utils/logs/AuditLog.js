@@ -0,0 +1,57 @@
+const MySQL = require('../db/Mysql'); // Import the MySQL utility for database operations
+const tables = require('../../config/tables'); // Import table configurations
+const Logger = require('./Logger'); // Import the Logger utility as a fallback
+const { date, getClientIp } = require('../functions'); // Utility functions to format dates and read the client IP
+
+/**
+ * @class AuditLog
+ * @description A class to record security relevant actions (logins, 2FA changes, payouts, deletions)
+ *              in the append-only audit table. Entries are only ever inserted, never updated or deleted.
+ *              Writing an entry never throws, so a failing audit write cannot break the action itself;
+ *              such entries end up in the `audit/error` log file instead.
+ * @author Jay Chauhan
+ */
+class AuditLog {
+    static SUCCESS = 'success'; // The action was carried out
+    static FAILURE = 'failure'; // The action was attempted but failed (e.g. wrong password)
+
+    /**
+     * @function write
+     * @description Records an audit entry. The actor, IP address and user agent are taken from the request.
+     * @param {Request} req - The Express request object.
+     * @param {Object} entry - The audit entry.
+     * @param {string} entry.action - The action name, see config/auditActions.
+     * @param {string} [entry.outcome='success'] - AuditLog.SUCCESS or AuditLog.FAILURE.
+     * @param {string} [entry.target] - What the action was applied to, e.g. a username or a file path.
+     * @param {number} [entry.actorId] - The acting user, if the request is not authenticated (e.g. during login).
+     * @param {Object} [entry.details] - Extra details stored as JSON.
+     * @returns {Promise<void>}
+     */
+    async write(req, entry) {
+        const db = new MySQL(); // Create a new instance of the MySQL utility
+
+        const record = {
+            auditActorUserId: (req.user && req.user.userId) || entry.actorId || null,
+            auditActorApiKeyId: (req.user && req.user.apiKeyId) || null,
+            auditAction: entry.action,
+            auditTarget: entry.target !== undefined && entry.target !== null ? String(entry.target).substring(0, 255) : null,
+            auditIp: getClientIp(req),
+            auditUserAgent: req.headers['user-agent'] ? String(req.headers['user-agent']).substring(0, 255) : null,
+            auditOutcome: entry.outcome || AuditLog.SUCCESS,
+            auditDetails: entry.details ? JSON.stringify(entry.details) : null,
+            auditCreatedDate: date()
+        };
+
+        try {
+            await db.connect(); // Connect to the database
+            await db.table(tables.TBL_AUDIT_LOGS).insert(record);
+        } catch (error) {
+            const logger = new Logger(); // Keep the entry in the log files if the database write fails
+            logger.write("Error writing audit entry: " + error + " " + JSON.stringify(record), "audit/error");
+        } finally {
+            await db.disconnect(); // Disconnect from the database
+        }
+    }
+}
+
+module.exports = AuditLog; // Export the AuditLog class
@@ -2,6 +2,7 @@ const Email = require('./Mailer');  // Import Email class for sending emails
 const Logger = require('../logs/Logger');  // Import Logger class for logging
 const MySQL = require('../db/Mysql');  // Import MySQL class for database operations
 const tables = require('../../config/tables');  // Import table configurations
+const MailModel = require('../../models/Mail');  // Import the mail model, this class already owns the name Mail
 require('dotenv').config();  // Load environment variables
 
 /**
@@ -47,10 +48,10 @@ class Mail {
                 mailToEmail: mailDetails.to,
                 mailBody: mailDetails.html,
                 mailSubject: mailDetails.subject,
-                mailType: "1"
+                mailType: MailModel.TYPES.SENT
             };
             await this.db.connect();  // Connect to the database
-            await this.db.table(tables.TBL_MAILS).insert(sentEmailDetails);  // Insert the email details
+            await MailModel.create(sentEmailDetails, this.db);  // Insert the email details
             this.db.disconnect();  // Disconnect from the database
             return true;
         } else {
@@ -0,0 +1,120 @@
+const crypto = require('crypto'); // Import the crypto module for hashing
+const { promisify } = require('util'); // Import promisify to use scrypt with async/await
+
+const scrypt = promisify(crypto.scrypt); // Promise based scrypt
+
+/**
+ * @class Password
+ * @description A class to hash and verify user passwords. Hashes are stored as
+ *              `scrypt$N$r$p$salt$hash` so the algorithm and its parameters travel with the hash.
+ *              Legacy unsalted SHA-1 hashes are still verified so they can be upgraded on the next login.
+ * @author Jay Chauhan
+ */
+class Password {
+    static ALGORITHM = 'scrypt'; // Current hashing algorithm
+    static COST = 16384; // CPU/memory cost (N)
+    static BLOCK_SIZE = 8; // Block size (r)
+    static PARALLELIZATION = 1; // Parallelization (p)
+    static KEY_LENGTH = 64; // Length of the derived key in bytes
+    static SALT_LENGTH = 16; // Length of the random salt in bytes
+    static MIN_LENGTH = 8; // Minimum accepted password length
+
+    /**
+     * @function hash
+     * @description Hashes a plain text password with a random salt.
+     * @param {string} password - The plain text password.
+     * @returns {Promise<string>} - The encoded hash.
+     */
+    static async hash(password) {
+        const salt = crypto.randomBytes(Password.SALT_LENGTH);
+        const key = await Password.#derive(password, salt, Password.COST, Password.BLOCK_SIZE, Password.PARALLELIZATION);
+        return [
+            Password.ALGORITHM,
+            Password.COST,
+            Password.BLOCK_SIZE,
+            Password.PARALLELIZATION,
+            salt.toString('base64'),
+            key.toString('base64')
+        ].join('$');
+    }
+
+    /**
+     * @function verify
+     * @description Checks a plain text password against a stored hash (scrypt or legacy SHA-1).
+     * @param {string} password - The plain text password.
+     * @param {string} storedHash - The hash stored in the database.
+     * @returns {Promise<boolean>} - True if the password matches.
+     */
+    static async verify(password, storedHash) {
+        if (typeof password !== 'string' || typeof storedHash !== 'string') {
+            return false;
+        }
+
+        if (Password.isLegacy(storedHash)) {
+            const sha1 = crypto.createHash('sha1').update(password, 'utf8').digest('hex');
+            return Password.#safeEqual(Buffer.from(sha1), Buffer.from(storedHash.toLowerCase()));
+        }
+
+        const parts = storedHash.split('$');
+        if (parts.length !== 6 || parts[0] !== Password.ALGORITHM) {
+            return false; // Unknown hash format
+        }
+
+        const [, cost, blockSize, parallelization, salt, key] = parts;
+        const expected = Buffer.from(key, 'base64');
+        const derived = await Password.#derive(password, Buffer.from(salt, 'base64'), parseInt(cost), parseInt(blockSize), parseInt(parallelization), expected.length);
+        return Password.#safeEqual(derived, expected);
+    }
+
+    /**
+     * @function needsRehash
+     * @description Tells whether a stored hash uses a legacy algorithm or outdated parameters.
+     * @param {string} storedHash - The hash stored in the database.
+     * @returns {boolean} - True if the password should be hashed again.
+     */
+    static needsRehash(storedHash) {
+        if (Password.isLegacy(storedHash)) {
+            return true;
+        }
+        const parts = String(storedHash).split('$');
+        return parts[0] !== Password.ALGORITHM
+            || parseInt(parts[1]) !== Password.COST
+            || parseInt(parts[2]) !== Password.BLOCK_SIZE
+            || parseInt(parts[3]) !== Password.PARALLELIZATION;
+    }
+
+    /**
+     * @function isLegacy
+     * @description Tells whether a stored hash is a legacy unsalted SHA-1 hash.
+     * @param {string} storedHash - The hash stored in the database.
+     * @returns {boolean} - True for SHA-1 hashes.
+     */
+    static isLegacy(storedHash) {
+        return /^[a-f0-9]{40}$/i.test(String(storedHash));
+    }
+
+    /**
+     * @function #derive
+     * @description Derives a key from the password using scrypt.
+     * @private
+     */
+    static async #derive(password, salt, cost, blockSize, parallelization, keyLength = Password.KEY_LENGTH) {
+        return await scrypt(password, salt, keyLength, {
+            N: cost,
+            r: blockSize,
+            p: parallelization,
+            maxmem: 128 * cost * blockSize * 2 // Leave room for the configured cost
+        });
+    }
+
+    /**
+     * @function #safeEqual
+     * @description Compares two buffers in constant time.
+     * @private
+     */
+    static #safeEqual(a, b) {
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+}
+
+module.exports = Password; // Export the Password class